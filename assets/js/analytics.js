@@ -0,0 +1,377 @@
+/**
+ * Geniusglider IT Services - Analytics
+ * One way to send analytics events: each is checked against the event schema, batched, and
+ * handed to pluggable sinks (Google Analytics 4, a first-party collector where one is configured,
+ * and the console in development). Nothing leaves the page until the visitor allows analytics
+ * (assets/js/consent.js): until then events wait in memory, and they are dropped if refused.
+ * Batches go out every few seconds, when full, and by navigator.sendBeacon when the page is
+ * hidden. Collector batches that can't be delivered wait in localStorage for the next chance.
+ * Also loads under Node, so scripts/event-collector.js checks events against the same schema.
+ *
+ *   track('form_submit', { category: 'consultation', label: 'success', value: 42 })
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const analytics = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = analytics;
+    } else {
+        root.GeniusgliderAnalytics = analytics;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const OUTBOX_KEY = 'geniusglider-analytics:outbox';
+    const SESSION_KEY = 'geniusglider-analytics:session';
+
+    const DEFAULTS = {
+        sinks: ['ga4'], // 'collector' and 'console' are added in development; see PAGE LIFECYCLE
+        endpoint: '/api/events', // Only the dev server answers here; the static site has no /api/*
+        batchSize: 10,
+        flushInterval: 5000,
+        maxPending: 100, // Events held while the visitor hasn't answered the consent banner
+        maxOutbox: 500   // Undelivered collector events kept for later
+    };
+
+    // ===== EVENT SCHEMA =====
+    // Parameters per event and their types; a trailing ? marks an optional parameter.
+    // Most events keep the category/label/value shape the site has always sent to GA.
+
+    const LEGACY = { category: 'string', label: 'string?', value: 'number?' };
+
+    const EVENTS = {
+        app: LEGACY,
+        click: LEGACY,
+        email_suggestion_accepted: LEGACY,
+        error: LEGACY,
+        exit_intent: LEGACY,
+        form_draft: LEGACY,
+        form_guard: LEGACY,
+        form_interaction: LEGACY,
+        form_step: LEGACY,
+        form_submit: { ...LEGACY, code: 'string?' },
+        pdf_downloaded: LEGACY,
+        performance: LEGACY,
+        scroll_depth: LEGACY,
+        share: LEGACY,
+        sw_update: LEGACY,
+
+        // Core Web Vitals from assets/js/performance-monitor.js, once per page view
+        web_vital: {
+            metric: 'string',            // LCP, INP, CLS, FCP or TTFB
+            value: 'number',             // ms; unitless for CLS
+            rating: 'string',            // good, needs-improvement or poor
+            navigation_type: 'string',   // navigate, reload, back-forward or prerender
+            target: 'string?',           // LCP element or INP interaction target, as a CSS selector
+            interaction_type: 'string?', // INP: pointer or keyboard
+            resource_url: 'string?'      // LCP image, if any
+        }
+    };
+
+    function hasType(value, type) {
+        return type === 'number' ? Number.isFinite(value) : typeof value === type;
+    }
+
+    /**
+     * Check parameters against the schema. Returns { params, problems }: params keeps only the
+     * known parameters of the right type, and is null for an unknown event or a missing
+     * required parameter.
+     */
+    function checkParams(name, params = {}) {
+        const spec = Object.hasOwn(EVENTS, name) ? EVENTS[name] : null;
+        if (!spec) return { params: null, problems: [`unknown event "${name}"`] };
+
+        const clean = {};
+        const problems = [];
+        let usable = true;
+
+        Object.entries(spec).forEach(([key, declared]) => {
+            const optional = declared.endsWith('?');
+            const type = optional ? declared.slice(0, -1) : declared;
+            const value = params[key];
+
+            if (value === undefined || value === null || value === '') {
+                if (!optional) {
+                    problems.push(`${name}.${key} is required`);
+                    usable = false;
+                }
+            } else if (hasType(value, type)) {
+                clean[key] = value;
+            } else {
+                problems.push(`${name}.${key} should be a ${type}`);
+                if (!optional) usable = false;
+            }
+        });
+
+        Object.keys(params)
+            .filter((key) => !Object.hasOwn(spec, key) && params[key] !== undefined)
+            .forEach((key) => problems.push(`${name}.${key} is not in the schema`));
+
+        return { params: usable ? clean : null, problems };
+    }
+
+    /**
+     * Check a whole event as sent to the collector. Returns a list of problems; empty means valid.
+     */
+    function validateEvent(event) {
+        if (!event || typeof event !== 'object') return ['not an object'];
+
+        const problems = [];
+        if (event.v !== SCHEMA_VERSION) problems.push(`unsupported schema version ${event.v}`);
+        if (typeof event.id !== 'string' || !event.id) problems.push('id is required');
+        if (typeof event.ts !== 'string' || Number.isNaN(Date.parse(event.ts))) problems.push('ts must be an ISO date');
+        if (typeof event.page !== 'string') problems.push('page is required');
+
+        const { params, problems: paramProblems } = checkParams(event.name, event.params || {});
+        if (!params) problems.push(...paramProblems);
+        return problems;
+    }
+
+    // ===== SINKS =====
+    // send(events, settings) delivers one batch; settings.beacon is set when the page is going away.
+
+    function readOutbox() {
+        try {
+            const events = JSON.parse(root.localStorage.getItem(OUTBOX_KEY));
+            return Array.isArray(events) ? events : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function writeOutbox(events) {
+        try {
+            if (events.length) {
+                root.localStorage.setItem(OUTBOX_KEY, JSON.stringify(events));
+            } else {
+                root.localStorage.removeItem(OUTBOX_KEY);
+            }
+        } catch (error) {
+            // Storage disabled or full: these events are lost
+        }
+    }
+
+    function saveToOutbox(events) {
+        writeOutbox([...readOutbox(), ...events].slice(-settings.maxOutbox));
+    }
+
+    // Offline, overloaded or rate limited: worth sending again later. A 404 means no collector.
+    function isRetryableStatus(status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    async function postEvents(events, { endpoint, beacon }) {
+        const body = JSON.stringify({ v: SCHEMA_VERSION, events });
+
+        // Beacons outlive the page, but only say whether the browser queued them. Sent as
+        // text/plain, which browsers allow cross-origin without a preflight; it's still JSON.
+        if (beacon && typeof root.navigator.sendBeacon === 'function') {
+            return root.navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+        }
+        if (root.navigator.onLine === false) return false;
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                keepalive: true,
+                body
+            });
+            return response.ok || !isRetryableStatus(response.status);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const sinks = {
+        ga4: {
+            send(events) {
+                if (typeof root.gtag !== 'function') return;
+                events.forEach(({ name, params }) => {
+                    const { category, label, ...rest } = params;
+                    root.gtag('event', name, { event_category: category, event_label: label, ...rest });
+                });
+            }
+        },
+
+        collector: {
+            async send(events, options) {
+                if (!(await postEvents(events, options))) saveToOutbox(events);
+            }
+        },
+
+        console: {
+            send(events) {
+                events.forEach(({ name, params }) => console.debug(`[analytics] ${name}`, params));
+            }
+        }
+    };
+
+    // ===== QUEUE =====
+
+    let settings = { ...DEFAULTS };
+    let consent = 'pending'; // 'granted' or 'denied' once the visitor answers
+    let queue = [];
+    let timer = null;
+
+    function createId() {
+        if (root.crypto && typeof root.crypto.randomUUID === 'function') return root.crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    // Per tab, and only created once analytics is allowed
+    function sessionId() {
+        try {
+            let id = root.sessionStorage.getItem(SESSION_KEY);
+            if (!id) {
+                id = createId();
+                root.sessionStorage.setItem(SESSION_KEY, id);
+            }
+            return id;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send an event (see EVENTS for names and parameters). Events that don't match the schema
+     * are reported in the console and dropped, or sent without the offending optional parameter.
+     */
+    function track(name, params = {}) {
+        const { params: clean, problems } = checkParams(name, params);
+        if (problems.length) console.warn(`Analytics: ${problems.join('; ')}`);
+        if (!clean || consent === 'denied') return;
+
+        queue.push({
+            v: SCHEMA_VERSION,
+            id: createId(),
+            name,
+            params: clean,
+            ts: new Date().toISOString(),
+            page: root.location ? root.location.pathname : ''
+        });
+
+        if (consent === 'pending') {
+            if (queue.length > settings.maxPending) queue.shift();
+            return;
+        }
+        schedule();
+    }
+
+    function schedule() {
+        if (queue.length >= settings.batchSize) {
+            flush();
+        } else if (!timer) {
+            timer = setTimeout(flush, settings.flushInterval);
+        }
+    }
+
+    /**
+     * Hand every queued event to the sinks now.
+     * @param {Object} [options] - { beacon: true } when the page is being hidden or unloaded
+     */
+    function flush({ beacon = false } = {}) {
+        clearTimeout(timer);
+        timer = null;
+        if (consent !== 'granted' || !queue.length) return;
+
+        const session = sessionId();
+        const batch = queue.splice(0).map((event) => ({ ...event, session }));
+
+        settings.sinks.forEach((name) => {
+            const sink = sinks[name];
+            if (!sink) return;
+            try {
+                Promise.resolve(sink.send(batch, { ...settings, beacon })).catch((error) => {
+                    console.warn(`Analytics sink "${name}" failed:`, error);
+                });
+            } catch (error) {
+                console.warn(`Analytics sink "${name}" failed:`, error);
+            }
+        });
+    }
+
+    // Collector events stranded by an earlier failure or a closed tab
+    async function retryOutbox() {
+        const events = readOutbox();
+        if (consent !== 'granted' || !events.length || !settings.sinks.includes('collector')) return;
+
+        writeOutbox([]);
+        if (!(await postEvents(events, settings))) saveToOutbox(events);
+    }
+
+    function setConsent(granted) {
+        consent = granted ? 'granted' : 'denied';
+        if (granted) {
+            retryOutbox();
+            if (queue.length) schedule();
+        } else {
+            clearTimeout(timer);
+            timer = null;
+            queue = [];
+            writeOutbox([]);
+        }
+    }
+
+    /**
+     * Change settings, e.g. configure({ endpoint: 'https://collect.example.com/events' }).
+     * Setting an endpoint without listing sinks turns the collector sink on.
+     */
+    function configure(options) {
+        settings = { ...settings, ...options };
+        if (options.endpoint && !options.sinks && !settings.sinks.includes('collector')) {
+            settings.sinks = [...settings.sinks, 'collector'];
+        }
+    }
+
+    /**
+     * Add or replace a sink: { send(events, settings) }, then list its name in settings.sinks.
+     */
+    function register(name, sink) {
+        sinks[name] = sink;
+    }
+
+    // ===== PAGE LIFECYCLE =====
+
+    if (root.document) {
+        const { hostname, search } = root.location;
+        const local = ['localhost', '127.0.0.1'].includes(hostname);
+        if (local) {
+            // scripts/dev-server.js collects /api/events
+            settings.sinks = [...settings.sinks, 'collector'];
+        }
+        if (local || /[?&]debug=analytics\b/.test(search)) {
+            settings.sinks = [...settings.sinks, 'console'];
+        }
+
+        // Last chance to send: the tab may never become visible again
+        root.document.addEventListener('visibilitychange', () => {
+            if (root.document.visibilityState === 'hidden') flush({ beacon: true });
+        });
+        root.addEventListener('pagehide', () => flush({ beacon: true }));
+        root.addEventListener('online', retryOutbox);
+
+        // Loaded after consent.js, which calls back at once if the visitor already chose
+        if (root.GeniusgliderConsent) {
+            root.GeniusgliderConsent.onChange((granted) => setConsent(granted.analytics));
+        }
+    }
+
+    return {
+        SCHEMA_VERSION,
+        DEFAULTS,
+        EVENTS,
+        sinks,
+        checkParams,
+        validateEvent,
+        track,
+        flush,
+        configure,
+        register
+    };
+});
@@ -10,24 +10,37 @@
     const CONFIG = {
         animationDuration: 300,
         scrollThreshold: 100,
+        // Only scripts/dev-server.js serves these; the production host is static, so the live
+        // consultation forms post to Web3Forms instead (data-submit="web3forms")
         apiEndpoints: {
-            submitForm: '/api/consultation',
-            calculateROI: '/api/roi-calculator'
+            submitForm: '/api/consultation'
         },
+        requestTimeout: 15000,
+        // How consultations are sent (assets/js/form-submit.js): 'json' to apiEndpoints.submitForm,
+        // or 'web3forms' / 'form'; retryable failures are retried with exponential backoff
+        submission: {
+            adapter: 'json',
+            retries: 2,
+            retryDelay: 1000
+        },
+        // Events are checked against the schema in assets/js/analytics.js and only sent with consent
         analytics: {
-            gtag: window.gtag || function() {},
+            track: (name, params) => window.GeniusgliderAnalytics?.track(name, params),
             trackEvent: (action, category, label, value) => {
-                if (typeof window.gtag === 'function') {
-                    window.gtag('event', action, {
-                        event_category: category,
-                        event_label: label,
-                        value: value
-                    });
-                }
+                window.GeniusgliderAnalytics?.track(action, { category, label, value });
             }
         }
     };
 
+    // Engagement signals for lead scoring from assets/js/engagement.js (loaded before this file)
+    const Engagement = window.GeniusgliderEngagement;
+
+    // Swappable submission adapters from assets/js/form-submit.js (loaded before this file)
+    const Submit = window.GeniusgliderSubmit;
+
+    // The shared multi-step form component from assets/js/progressive-form.js (loaded before this file)
+    const FormComponent = window.GeniusgliderProgressiveForm;
+
     // ===== UTILITY FUNCTIONS =====
     const Utils = {
         // Debounce function for performance optimization
@@ -57,43 +70,7 @@
             };
         },
 
-        // Format currency values
-        formatCurrency: (amount, currency = 'INR') => {
-            return new Intl.NumberFormat('en-IN', {
-                style: 'currency',
-                currency: currency,
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        },
-
         // Validate email with business domain suggestions
-        validateBusinessEmail: (email) => {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            const businessDomains = [
-                'company.com', 'business.com', 'corp.com', 'enterprise.com',
-                'gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com'
-            ];
-
-            if (!emailRegex.test(email)) {
-                return { valid: false, suggestion: null };
-            }
-
-            const domain = email.split('@')[1];
-            const personalDomains = ['gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com'];
-
-            if (personalDomains.includes(domain)) {
-                const companyName = email.split('@')[0].replace(/[0-9]/g, '');
-                return {
-                    valid: true,
-                    suggestion: `${companyName}@company.com`,
-                    isPersonal: true
-                };
-            }
-
-            return { valid: true, suggestion: null, isPersonal: false };
-        },
-
         // Animate number counting
         animateNumber: (element, target, duration = 2000) => {
             const start = 0;
@@ -275,557 +252,73 @@
         }
     }
 
-    // ===== ROI CALCULATOR =====
-    class ROICalculator {
+    // ===== CONSULTATION SUBMISSION =====
+    // Forms with data-submit="api" are stepped and validated by the shared progressive form
+    // component, which also queues them offline; this sends them to the consultation API with a lead score.
+    // No page uses it in production: it is for a backend of your own, or the dev server's stub.
+    class ConsultationSubmission {
         constructor() {
-            this.calculatorTabs = document.querySelectorAll('.tab-btn');
-            this.calculatorPanels = document.querySelectorAll('.calculator-panel');
-            this.inputs = {
-                incidents: document.getElementById('incidents'),
-                resolutionTime: document.getElementById('resolution-time'),
-                employeeCount: document.getElementById('employee-count'),
-                hourlyCost: document.getElementById('hourly-cost')
-            };
-            this.results = {
-                currentCost: document.getElementById('current-cost'),
-                potentialSavings: document.getElementById('potential-savings'),
-                annualSavings: document.getElementById('annual-savings'),
-                roiPercentage: document.getElementById('roi-percentage')
-            };
+            this.form = document.querySelector('.progressive-form[data-submit="api"]');
 
             this.init();
         }
 
         init() {
-            this.bindEvents();
-            this.calculateROI(); // Initial calculation
-        }
-
-        bindEvents() {
-            // Tab switching
-            this.calculatorTabs.forEach(tab => {
-                tab.addEventListener('click', (e) => this.switchTab(e.target));
-            });
-
-            // Input changes
-            Object.values(this.inputs).forEach(input => {
-                if (input) {
-                    input.addEventListener('input', Utils.debounce(() => {
-                        this.calculateROI();
-                        this.trackCalculatorUsage();
-                    }, 300));
-                }
-            });
-        }
-
-        switchTab(clickedTab) {
-            const targetPanel = clickedTab.getAttribute('aria-controls');
-
-            // Update tab states
-            this.calculatorTabs.forEach(tab => {
-                tab.classList.remove('active');
-                tab.setAttribute('aria-selected', 'false');
-            });
-            clickedTab.classList.add('active');
-            clickedTab.setAttribute('aria-selected', 'true');
-
-            // Update panel visibility
-            this.calculatorPanels.forEach(panel => {
-                panel.classList.remove('active');
-            });
-            const targetElement = document.getElementById(targetPanel);
-            if (targetElement) {
-                targetElement.classList.add('active');
-            }
+            if (!this.form || !FormComponent || !Submit) return;
 
-            // Track tab switch
-            CONFIG.analytics.trackEvent('click', 'calculator_tab', targetPanel);
+            this.component = FormComponent.mount(this.form);
+            FormComponent.registerSubmitHandler('api', () => this.handleSubmit());
         }
 
-        calculateROI() {
-            const incidents = parseInt(this.inputs.incidents?.value) || 0;
-            const resolutionTime = parseFloat(this.inputs.resolutionTime?.value) || 0;
-            const employeeCount = parseInt(this.inputs.employeeCount?.value) || 0;
-            const hourlyCost = parseInt(this.inputs.hourlyCost?.value) || 0;
-
-            // Calculate current monthly cost
-            const monthlyDowntimeHours = incidents * resolutionTime;
-            const monthlyProductivityLoss = monthlyDowntimeHours * employeeCount * hourlyCost;
-            const currentMonthlyCost = monthlyProductivityLoss;
-
-            // Calculate potential savings (assuming 80% reduction in incidents and 70% faster resolution)
-            const improvedIncidents = Math.ceil(incidents * 0.2); // 80% reduction
-            const improvedResolutionTime = resolutionTime * 0.3; // 70% faster
-            const improvedDowntimeHours = improvedIncidents * improvedResolutionTime;
-            const improvedProductivityLoss = improvedDowntimeHours * employeeCount * hourlyCost;
-
-            const potentialMonthlySavings = currentMonthlyCost - improvedProductivityLoss;
-            const annualSavings = potentialMonthlySavings * 12;
-
-            // Estimate our service cost (30% of current IT budget)
-            const estimatedServiceCost = currentMonthlyCost * 0.3;
-            const netSavings = potentialMonthlySavings - estimatedServiceCost;
-            const roiPercentage = estimatedServiceCost > 0 ? ((netSavings * 12) / (estimatedServiceCost * 12)) * 100 : 0;
-
-            // Update display
-            this.updateResults({
-                currentCost: currentMonthlyCost,
-                potentialSavings: Math.max(0, potentialMonthlySavings),
-                annualSavings: Math.max(0, annualSavings),
-                roiPercentage: Math.max(0, roiPercentage)
-            });
-        }
-
-        updateResults(calculations) {
-            if (this.results.currentCost) {
-                this.results.currentCost.textContent = Utils.formatCurrency(calculations.currentCost);
-            }
-            if (this.results.potentialSavings) {
-                this.results.potentialSavings.textContent = Utils.formatCurrency(calculations.potentialSavings);
-            }
-            if (this.results.annualSavings) {
-                this.results.annualSavings.textContent = Utils.formatCurrency(calculations.annualSavings);
-            }
-            if (this.results.roiPercentage) {
-                this.results.roiPercentage.textContent = `${Math.round(calculations.roiPercentage)}%`;
-            }
-        }
-
-        trackCalculatorUsage() {
-            CONFIG.analytics.trackEvent('interaction', 'roi_calculator', 'input_change');
-        }
-    }
-
-    // ===== PROGRESSIVE FORM =====
-    class ProgressiveForm {
-        constructor() {
-            this.form = document.getElementById('consultation-form-element');
-            this.steps = document.querySelectorAll('.form-step');
-            this.currentStep = 1;
-            this.totalSteps = this.steps.length;
-            this.progressBar = document.querySelector('.progress-fill');
-            this.progressSteps = document.querySelectorAll('.step');
-            this.prevBtn = document.querySelector('.btn-prev');
-            this.nextBtn = document.querySelector('.btn-next');
-            this.submitBtn = document.querySelector('.btn-submit');
-            this.formSuccess = document.getElementById('form-success');
-            this.budgetRange = document.getElementById('budget');
-            this.budgetOutput = document.querySelector('output[for="budget"]');
-
-            // Form validation rules
-            this.validationRules = {
-                'first-name': { required: true, minLength: 2 },
-                'last-name': { required: true, minLength: 2 },
-                'email': { required: true, type: 'email' },
-                'phone': { required: true, type: 'tel' },
-                'company-name': { required: true, minLength: 2 },
-                'job-title': { required: true, minLength: 2 },
-                'company-size': { required: true },
-                'industry': { required: true }
-            };
-
-            this.leadScoring = {
-                email_domain: { business: 25, personal: -10 },
-                company_size: { '1-10': 10, '11-50': 20, '51-200': 25, '201-1000': 30 },
-                industry: { healthcare: 25, finance: 30, saas: 25, other: 15 },
-                budget_range: { low: 10, medium: 20, high: 30 },
-                pain_points: { multiple: 15, critical: 20 },
-                engagement: { video_watched: 10, pdf_downloaded: 15, pricing_viewed: 20 }
-            };
-
-            this.init();
-        }
-
-        init() {
-            if (!this.form) return;
-
-            this.bindEvents();
-            this.updateProgress();
-            this.setupBudgetRange();
-            this.setupRealTimeValidation();
-        }
-
-        bindEvents() {
-            // Navigation buttons
-            if (this.prevBtn) {
-                this.prevBtn.addEventListener('click', () => this.previousStep());
-            }
-            if (this.nextBtn) {
-                this.nextBtn.addEventListener('click', () => this.nextStep());
-            }
-
-            // Form submission
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-
-            // Keyboard navigation
-            this.form.addEventListener('keydown', (e) => this.handleKeydown(e));
-
-            // Track form interactions
-            this.form.addEventListener('focusin', (e) => this.trackFieldFocus(e));
-        }
-
-        setupBudgetRange() {
-            if (!this.budgetRange || !this.budgetOutput) return;
-
-            const updateBudgetDisplay = () => {
-                const value = parseInt(this.budgetRange.value);
-                this.budgetOutput.textContent = Utils.formatCurrency(value);
-            };
-
-            this.budgetRange.addEventListener('input', updateBudgetDisplay);
-            updateBudgetDisplay(); // Initial update
-        }
-
-        setupRealTimeValidation() {
-            Object.keys(this.validationRules).forEach(fieldName => {
-                const field = document.getElementById(fieldName);
-                if (field) {
-                    field.addEventListener('blur', () => this.validateField(field));
-                    field.addEventListener('input', Utils.debounce(() => this.validateField(field), 300));
-                }
-            });
-
-            // Special handling for email with domain suggestions
-            const emailField = document.getElementById('email');
-            if (emailField) {
-                emailField.addEventListener('blur', () => this.handleEmailValidation(emailField));
-            }
-        }
-
-        validateField(field) {
-            const fieldName = field.id;
-            const rules = this.validationRules[fieldName];
-            const errorElement = document.getElementById(`${fieldName}-error`);
-
-            if (!rules) return true;
-
-            let isValid = true;
-            let errorMessage = '';
-
-            // Required field validation
-            if (rules.required && !field.value.trim()) {
-                isValid = false;
-                errorMessage = 'This field is required';
-            }
-
-            // Minimum length validation
-            if (isValid && rules.minLength && field.value.trim().length < rules.minLength) {
-                isValid = false;
-                errorMessage = `Minimum ${rules.minLength} characters required`;
-            }
-
-            // Email validation
-            if (isValid && rules.type === 'email') {
-                const emailValidation = Utils.validateBusinessEmail(field.value);
-                if (!emailValidation.valid) {
-                    isValid = false;
-                    errorMessage = 'Please enter a valid email address';
-                }
-            }
-
-            // Phone validation
-            if (isValid && rules.type === 'tel') {
-                const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-                if (!phoneRegex.test(field.value.replace(/[\s\-\(\)]/g, ''))) {
-                    isValid = false;
-                    errorMessage = 'Please enter a valid phone number';
-                }
-            }
-
-            // Update field appearance and error message
-            if (errorElement) {
-                if (isValid) {
-                    field.classList.remove('invalid');
-                    errorElement.textContent = '';
-                    errorElement.classList.remove('visible');
-                } else {
-                    field.classList.add('invalid');
-                    errorElement.textContent = errorMessage;
-                    errorElement.classList.add('visible');
-                }
-            }
-
-            return isValid;
-        }
-
-        handleEmailValidation(emailField) {
-            const emailValidation = Utils.validateBusinessEmail(emailField.value);
-
-            if (emailValidation.valid && emailValidation.suggestion && emailValidation.isPersonal) {
-                // Show suggestion for business email
-                const suggestionElement = this.createEmailSuggestion(emailValidation.suggestion);
-                emailField.parentNode.appendChild(suggestionElement);
-            }
-        }
-
-        createEmailSuggestion(suggestion) {
-            const suggestionDiv = document.createElement('div');
-            suggestionDiv.className = 'email-suggestion';
-            suggestionDiv.innerHTML = `
-                <small>
-                    Did you mean:
-                    <button type="button" class="suggestion-btn">${suggestion}</button>?
-                </small>
-            `;
-
-            suggestionDiv.querySelector('.suggestion-btn').addEventListener('click', () => {
-                document.getElementById('email').value = suggestion;
-                suggestionDiv.remove();
-            });
-
-            return suggestionDiv;
-        }
-
-        validateCurrentStep() {
-            const currentStepElement = document.querySelector(`[data-step="${this.currentStep}"]`);
-            if (!currentStepElement) return true;
-
-            const fields = currentStepElement.querySelectorAll('input[required], select[required]');
-            let isStepValid = true;
-
-            fields.forEach(field => {
-                if (!this.validateField(field)) {
-                    isStepValid = false;
-                }
-            });
-
-            // Special validation for step 3 (at least one challenge should be selected)
-            if (this.currentStep === 3) {
-                const challenges = document.querySelectorAll('input[name="challenges"]:checked');
-                if (challenges.length === 0) {
-                    // Show validation message for challenges
-                    isStepValid = false;
-                }
-            }
-
-            return isStepValid;
-        }
-
-        nextStep() {
-            if (!this.validateCurrentStep()) {
-                // Focus first invalid field
-                const invalidField = document.querySelector('.form-step.active input.invalid, .form-step.active select.invalid');
-                if (invalidField) {
-                    invalidField.focus();
-                }
-                return;
-            }
-
-            if (this.currentStep < this.totalSteps) {
-                this.currentStep++;
-                this.updateSteps();
-                this.updateProgress();
-                this.updateNavigation();
-
-                // Track step progression
-                CONFIG.analytics.trackEvent('form_step', 'consultation', `step_${this.currentStep}`);
-            }
-        }
-
-        previousStep() {
-            if (this.currentStep > 1) {
-                this.currentStep--;
-                this.updateSteps();
-                this.updateProgress();
-                this.updateNavigation();
-            }
-        }
-
-        updateSteps() {
-            this.steps.forEach((step, index) => {
-                if (index + 1 === this.currentStep) {
-                    step.classList.add('active');
-                } else {
-                    step.classList.remove('active');
-                }
-            });
-        }
-
-        updateProgress() {
-            const progress = (this.currentStep / this.totalSteps) * 100;
-            if (this.progressBar) {
-                this.progressBar.style.width = `${progress}%`;
-            }
-
-            // Update progress steps
-            this.progressSteps.forEach((step, index) => {
-                if (index + 1 <= this.currentStep) {
-                    step.classList.add('active');
-                } else {
-                    step.classList.remove('active');
-                }
-            });
-        }
-
-        updateNavigation() {
-            // Update previous button
-            if (this.prevBtn) {
-                this.prevBtn.disabled = this.currentStep === 1;
-            }
-
-            // Show/hide next/submit buttons
-            if (this.currentStep === this.totalSteps) {
-                if (this.nextBtn) this.nextBtn.style.display = 'none';
-                if (this.submitBtn) this.submitBtn.style.display = 'inline-flex';
-            } else {
-                if (this.nextBtn) this.nextBtn.style.display = 'inline-flex';
-                if (this.submitBtn) this.submitBtn.style.display = 'none';
-            }
-        }
-
-        calculateLeadScore() {
-            let score = 0;
-            const formData = new FormData(this.form);
-
-            // Email domain scoring
-            const email = formData.get('email');
-            if (email) {
-                const emailValidation = Utils.validateBusinessEmail(email);
-                score += emailValidation.isPersonal ?
-                    this.leadScoring.email_domain.personal :
-                    this.leadScoring.email_domain.business;
-            }
-
-            // Company size scoring
-            const companySize = formData.get('company-size');
-            if (companySize && this.leadScoring.company_size[companySize]) {
-                score += this.leadScoring.company_size[companySize];
-            }
-
-            // Industry scoring
-            const industry = formData.get('industry');
-            if (industry && this.leadScoring.industry[industry]) {
-                score += this.leadScoring.industry[industry];
-            }
-
-            // Budget range scoring
-            const budget = parseInt(formData.get('budget'));
-            if (budget) {
-                if (budget >= 50000) score += this.leadScoring.budget_range.high;
-                else if (budget >= 20000) score += this.leadScoring.budget_range.medium;
-                else score += this.leadScoring.budget_range.low;
-            }
-
-            // Pain points scoring
-            const challenges = formData.getAll('challenges');
-            if (challenges.length >= 3) {
-                score += this.leadScoring.pain_points.multiple;
-            }
-            if (challenges.includes('downtime') || challenges.includes('security')) {
-                score += this.leadScoring.pain_points.critical;
-            }
-
-            return Math.max(0, Math.min(100, score)); // Clamp between 0-100
-        }
-
-        async handleSubmit(e) {
-            e.preventDefault();
-
-            if (!this.validateCurrentStep()) {
-                return;
-            }
+        // Runs once the component has validated every step and normalised the phone number to E.164
+        async handleSubmit() {
+            const { component } = this;
+            const payload = Submit.serialize(new FormData(this.form));
 
             // Show loading state
-            this.setSubmitState(true);
+            component.setSubmitState(true);
+            component.clearError();
 
             try {
-                const formData = new FormData(this.form);
-                const leadScore = this.calculateLeadScore();
+                // Lead score and its breakdown (progressive-form.js), the engagement behind it and submission time
+                const leadScore = await component.addLeadScore(payload);
+                const engagement = Engagement?.getSummary();
+                if (engagement) payload.engagement = engagement;
+                payload.timestamp = new Date().toISOString();
 
-                // Add lead score to form data
-                formData.append('lead_score', leadScore);
-                formData.append('timestamp', new Date().toISOString());
-
-                // Simulate API call (replace with actual endpoint)
-                await this.submitToAPI(formData);
+                await this.submitToAPI(payload);
 
                 // Show success message
-                this.showSuccess();
+                component.showSuccess();
 
                 // Track successful submission
                 CONFIG.analytics.trackEvent('form_submit', 'consultation', 'success', leadScore);
 
             } catch (error) {
+                // Offline: keep the submission and send it once the connection is back
+                if (error.code === 'network' && await component.queueOffline(payload, this.submitOptions())) return;
+
                 console.error('Form submission error:', error);
-                this.showError('Something went wrong. Please try again.');
+
+                component.showSubmitError(error, payload);
 
                 // Track failed submission
-                CONFIG.analytics.trackEvent('form_submit', 'consultation', 'error');
+                CONFIG.analytics.track('form_submit', { category: 'consultation', label: 'error', code: error.code });
             } finally {
-                this.setSubmitState(false);
+                component.setSubmitState(false);
             }
         }
 
-        async submitToAPI(formData) {
-            // Simulate API call - replace with actual implementation
-            return new Promise((resolve, reject) => {
-                setTimeout(() => {
-                    // Simulate success/failure
-                    if (Math.random() > 0.1) { // 90% success rate
-                        resolve({ success: true });
-                    } else {
-                        reject(new Error('API Error'));
-                    }
-                }, 2000);
-            });
-        }
-
-        setSubmitState(loading) {
-            if (this.submitBtn) {
-                this.submitBtn.setAttribute('data-loading', loading);
-                this.submitBtn.disabled = loading;
-
-                const btnText = this.submitBtn.querySelector('.btn-text');
-                const loadingText = this.submitBtn.getAttribute('data-loading-text');
-
-                if (loading && loadingText && btnText) {
-                    btnText.textContent = loadingText;
-                } else if (btnText) {
-                    btnText.textContent = 'Book My Free Strategy Session';
-                }
-            }
-        }
-
-        showSuccess() {
-            this.form.style.display = 'none';
-            if (this.formSuccess) {
-                this.formSuccess.style.display = 'block';
-            }
-        }
-
-        showError(message) {
-            // Create or update error message
-            let errorDiv = document.querySelector('.form-error');
-            if (!errorDiv) {
-                errorDiv = document.createElement('div');
-                errorDiv.className = 'form-error';
-                this.form.parentNode.insertBefore(errorDiv, this.form);
-            }
-
-            errorDiv.innerHTML = `
-                <div class="error-message">
-                    <strong>Error:</strong> ${message}
-                </div>
-            `;
-        }
-
-        handleKeydown(e) {
-            // Handle keyboard navigation
-            if (e.key === 'Enter' && e.target.type !== 'textarea') {
-                e.preventDefault();
-                if (this.currentStep < this.totalSteps) {
-                    this.nextStep();
-                } else {
-                    this.handleSubmit(e);
-                }
-            }
+        submitOptions() {
+            return {
+                ...CONFIG.submission,
+                endpoint: CONFIG.apiEndpoints.submitForm,
+                timeout: CONFIG.requestTimeout
+            };
         }
 
-        trackFieldFocus(e) {
-            const fieldName = e.target.id || e.target.name;
-            if (fieldName) {
-                CONFIG.analytics.trackEvent('form_interaction', 'field_focus', fieldName);
-            }
+        async submitToAPI(payload) {
+            return Submit.send(payload, this.submitOptions());
         }
     }
 
@@ -861,6 +354,22 @@
         }
     }
 
+    // ===== ENGAGEMENT TRACKING =====
+    // Page views, scroll depth and section views for lead scoring (assets/js/engagement.js),
+    // recorded once the visitor allows marketing
+    class EngagementTracker {
+        constructor() {
+            this.init();
+        }
+
+        init() {
+            if (!Engagement) return;
+
+            Engagement.recordPageView();
+            Engagement.observePage();
+        }
+    }
+
     // ===== EXIT INTENT & RETENTION =====
     class ExitIntentHandler {
         constructor() {
@@ -981,63 +490,37 @@
         }
     }
 
-    // ===== PERFORMANCE MONITORING =====
-    class PerformanceMonitor {
+    // ===== OFFLINE PAGE =====
+    class OfflinePage {
         constructor() {
-            this.metrics = {};
+            this.pageList = document.querySelector('[data-offline-pages]');
             this.init();
         }
 
         init() {
-            this.measurePageLoad();
-            this.measureCoreWebVitals();
-        }
+            if (!this.pageList || !('caches' in window)) return;
 
-        measurePageLoad() {
-            window.addEventListener('load', () => {
-                if ('performance' in window) {
-                    const perfData = performance.getEntriesByType('navigation')[0];
+            this.markCachedPages();
+        }
 
-                    this.metrics.pageLoad = {
-                        domContentLoaded: perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart,
-                        fullLoad: perfData.loadEventEnd - perfData.loadEventStart,
-                        firstByte: perfData.responseStart - perfData.requestStart
-                    };
+        // Flag each listed page as available or not, based on the service worker caches
+        async markCachedPages() {
+            const items = this.pageList.querySelectorAll('li');
 
-                    // Track performance metrics
-                    CONFIG.analytics.trackEvent('performance', 'page_load', 'dom_content_loaded', this.metrics.pageLoad.domContentLoaded);
-                }
-            });
-        }
+            await Promise.all(Array.from(items).map(async (item) => {
+                const link = item.querySelector('a');
+                const status = item.querySelector('.availability');
+                const cached = link ? await caches.match(link.getAttribute('href'), { ignoreSearch: true }) : null;
 
-        measureCoreWebVitals() {
-            // Largest Contentful Paint (LCP)
-            new PerformanceObserver((entryList) => {
-                const entries = entryList.getEntries();
-                const lastEntry = entries[entries.length - 1];
-                this.metrics.lcp = lastEntry.startTime;
-                CONFIG.analytics.trackEvent('performance', 'core_web_vitals', 'lcp', Math.round(lastEntry.startTime));
-            }).observe({ entryTypes: ['largest-contentful-paint'] });
-
-            // First Input Delay (FID)
-            new PerformanceObserver((entryList) => {
-                for (const entry of entryList.getEntries()) {
-                    this.metrics.fid = entry.processingStart - entry.startTime;
-                    CONFIG.analytics.trackEvent('performance', 'core_web_vitals', 'fid', Math.round(this.metrics.fid));
+                item.classList.toggle('unavailable', !cached);
+                if (status) {
+                    status.textContent = cached ? 'Saved on this device' : 'Needs a connection';
                 }
-            }).observe({ entryTypes: ['first-input'] });
-
-            // Cumulative Layout Shift (CLS)
-            let clsValue = 0;
-            new PerformanceObserver((entryList) => {
-                for (const entry of entryList.getEntries()) {
-                    if (!entry.hadRecentInput) {
-                        clsValue += entry.value;
-                    }
+                if (!cached && link) {
+                    link.setAttribute('aria-disabled', 'true');
+                    link.setAttribute('tabindex', '-1');
                 }
-                this.metrics.cls = clsValue;
-                CONFIG.analytics.trackEvent('performance', 'core_web_vitals', 'cls', Math.round(clsValue * 1000));
-            }).observe({ entryTypes: ['layout-shift'] });
+            }));
         }
     }
 
@@ -1062,11 +545,16 @@
                 // Initialize all components
                 this.components.push(new Navigation());
                 this.components.push(new HeroAnimations());
-                this.components.push(new ROICalculator());
-                this.components.push(new ProgressiveForm());
+                this.components.push(new ConsultationSubmission());
                 this.components.push(new ScrollAnimations());
+                this.components.push(new EngagementTracker());
                 this.components.push(new ExitIntentHandler());
-                this.components.push(new PerformanceMonitor());
+                this.components.push(new OfflinePage());
+
+                // assets/js/sw-register.js registers the service worker and offers updates. It also
+                // starts itself, since only offline.html loads app.js; start() returns the same manager
+                const serviceWorker = window.GeniusgliderServiceWorker?.start();
+                if (serviceWorker) this.components.push(serviceWorker);
 
                 // Log successful initialization
                 console.log('Geniusglider app initialized successfully');
@@ -0,0 +1,347 @@
+/**
+ * Geniusglider IT Services - Consent Manager
+ * Asks visitors which optional cookies and third-party scripts they accept (a banner, plus a
+ * preferences dialog reopened by any [data-consent-open] element), remembers the answer and
+ * tells Google Consent Mode. Pages mark gated scripts as
+ *   <script type="text/plain" data-consent="analytics" data-src="https://..."></script>
+ * or the same with an inline body; they only run once their category is granted.
+ * Load it before the other site scripts; assets/js/analytics.js follows the choice via onChange().
+ */
+
+(function(root) {
+    'use strict';
+
+    const STORAGE_KEY = 'geniusglider-consent';
+    const POLICY_VERSION = 2; // Bump when categories or vendors change, to ask everyone again
+    const MAX_AGE = 365 * 24 * 60 * 60 * 1000; // Ask again after a year
+
+    const CATEGORIES = [
+        {
+            id: 'necessary',
+            label: 'Strictly necessary',
+            description: 'Keep the site working: offline support, form drafts, spam protection and remembering this choice. Always on.',
+            required: true
+        },
+        {
+            id: 'analytics',
+            label: 'Analytics',
+            description: 'Google Analytics, so we can see which pages help visitors and how quickly they load.'
+        },
+        {
+            id: 'functional',
+            label: 'Chat and form checks',
+            description: 'The Tawk.to live chat and the hCaptcha check on the contact form.'
+        },
+        {
+            id: 'marketing',
+            label: 'Marketing',
+            description: 'Lets Google measure and personalise our advertising, and lets us note which pages you read and what you try on the site (kept on this device for 30 days) to prioritise your enquiry if you contact us.'
+        }
+    ];
+    const OPTIONAL = CATEGORIES.filter((category) => !category.required).map((category) => category.id);
+
+    // Google Consent Mode v2 signals each category controls
+    const CONSENT_MODE_SIGNALS = {
+        analytics: ['analytics_storage'],
+        functional: ['functionality_storage', 'personalization_storage'],
+        marketing: ['ad_storage', 'ad_user_data', 'ad_personalization']
+    };
+
+    // Cookies the gated vendors set, removed when their category is withdrawn
+    const COOKIE_PREFIXES = {
+        analytics: ['_ga', '_gid', '_gat'],
+        functional: ['__tawk', 'Tawk', 'TawkConnectionTime'],
+        marketing: ['_gcl']
+    };
+
+    // Our own localStorage keys for each category, deleted whenever it is not granted
+    const STORAGE_KEYS = {
+        marketing: ['geniusglider-engagement'] // assets/js/engagement.js
+    };
+
+    const listeners = [];
+    let choice = read();
+    let banner = null;
+    let dialog = null;
+
+    // ===== STORAGE =====
+
+    function read() {
+        try {
+            const stored = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            if (!stored || stored.version !== POLICY_VERSION || typeof stored.granted !== 'object') return null;
+            if (Date.now() - Date.parse(stored.updatedAt) > MAX_AGE) return null;
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function write(granted) {
+        const stored = { version: POLICY_VERSION, granted, updatedAt: new Date().toISOString() };
+        try {
+            root.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+        } catch (error) {
+            // Storage disabled: the choice holds for this page view only
+        }
+        return stored;
+    }
+
+    // ===== GOOGLE CONSENT MODE =====
+
+    root.dataLayer = root.dataLayer || [];
+    if (typeof root.gtag !== 'function') {
+        root.gtag = function gtag() {
+            root.dataLayer.push(arguments);
+        };
+    }
+
+    function consentModeState(granted) {
+        const state = { security_storage: 'granted' };
+        Object.entries(CONSENT_MODE_SIGNALS).forEach(([category, signals]) => {
+            signals.forEach((signal) => {
+                state[signal] = granted[category] ? 'granted' : 'denied';
+            });
+        });
+        return state;
+    }
+
+    root.gtag('consent', 'default', { ...consentModeState(choice ? choice.granted : {}), wait_for_update: 500 });
+
+    // ===== GATED SCRIPTS =====
+
+    // Swap each granted placeholder for a real script; browsers never run type="text/plain"
+    function activateScripts() {
+        root.document.querySelectorAll('script[type="text/plain"][data-consent]').forEach((placeholder) => {
+            if (!granted(placeholder.getAttribute('data-consent'))) return;
+
+            const script = root.document.createElement('script');
+            Array.from(placeholder.attributes).forEach(({ name, value }) => {
+                if (!['type', 'data-consent', 'data-src'].includes(name)) script.setAttribute(name, value);
+            });
+            if (placeholder.hasAttribute('data-src')) {
+                script.src = placeholder.getAttribute('data-src');
+            } else {
+                script.textContent = placeholder.textContent;
+            }
+            placeholder.replaceWith(script);
+        });
+    }
+
+    function removeCookies(category) {
+        const prefixes = COOKIE_PREFIXES[category] || [];
+        const host = root.location.hostname;
+        const domains = ['', host, `.${host.replace(/^www\./, '')}`];
+
+        root.document.cookie.split(';').forEach((cookie) => {
+            const name = cookie.split('=')[0].trim();
+            if (!prefixes.some((prefix) => name.startsWith(prefix))) return;
+            domains.forEach((domain) => {
+                root.document.cookie = `${name}=; Max-Age=0; path=/${domain ? `; domain=${domain}` : ''}`;
+            });
+        });
+    }
+
+    function removeStorage(category) {
+        (STORAGE_KEYS[category] || []).forEach((key) => {
+            try {
+                root.localStorage.removeItem(key);
+            } catch (error) {
+                // Storage disabled: nothing was kept
+            }
+        });
+    }
+
+    // ===== STATE =====
+
+    function decided() {
+        return choice !== null;
+    }
+
+    function granted(category) {
+        if (CATEGORIES.some((item) => item.id === category && item.required)) return true;
+        return Boolean(choice && choice.granted[category]);
+    }
+
+    /**
+     * Save a choice, e.g. { analytics: true, functional: false, marketing: false }.
+     * Categories left out are denied.
+     */
+    function update(selection) {
+        const previous = choice ? choice.granted : {};
+        const next = {};
+        OPTIONAL.forEach((category) => {
+            next[category] = Boolean(selection[category]);
+        });
+
+        choice = write(next);
+        root.gtag('consent', 'update', consentModeState(next));
+
+        const withdrawn = OPTIONAL.filter((category) => previous[category] && !next[category]);
+        withdrawn.forEach(removeCookies);
+        OPTIONAL.filter((category) => !next[category]).forEach(removeStorage);
+
+        activateScripts();
+        hideBanner();
+        listeners.forEach((listener) => listener({ ...next }));
+
+        // Scripts that already ran can't be unloaded; a reload leaves them out
+        if (withdrawn.length) root.location.reload();
+    }
+
+    function acceptAll() {
+        update(Object.fromEntries(OPTIONAL.map((category) => [category, true])));
+    }
+
+    function rejectAll() {
+        update({});
+    }
+
+    /**
+     * Call back with the granted categories now (if the visitor has decided) and after every change.
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        if (choice) listener({ ...choice.granted });
+    }
+
+    // ===== BANNER AND PREFERENCES =====
+
+    function showBanner() {
+        if (banner) return;
+
+        banner = root.document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Cookie consent');
+        banner.innerHTML = `
+            <p class="consent-text">
+                We use cookies for analytics, live chat and marketing only if you agree.
+                <a href="/cookies.html">Cookie Policy</a>
+            </p>
+            <div class="consent-actions">
+                <button type="button" class="consent-btn" data-consent-action="reject">Reject optional</button>
+                <button type="button" class="consent-btn" data-consent-action="customize">Manage preferences</button>
+                <button type="button" class="consent-btn consent-btn-primary" data-consent-action="accept">Accept all</button>
+            </div>
+        `;
+        banner.addEventListener('click', handleAction);
+        root.document.body.appendChild(banner);
+    }
+
+    function hideBanner() {
+        if (!banner) return;
+        banner.remove();
+        banner = null;
+    }
+
+    function createDialog() {
+        const element = root.document.createElement('dialog');
+        element.className = 'consent-dialog';
+        element.setAttribute('aria-labelledby', 'consent-dialog-title');
+
+        const options = CATEGORIES.map((category) => `
+            <label class="consent-option">
+                <input type="checkbox" name="${category.id}"${category.required ? ' checked disabled' : ''}>
+                <span>
+                    <strong>${category.label}</strong>
+                    <span class="consent-option-description">${category.description}</span>
+                </span>
+            </label>
+        `).join('');
+
+        element.innerHTML = `
+            <form method="dialog" class="consent-form">
+                <h2 id="consent-dialog-title">Cookie preferences</h2>
+                <p>Choose which optional cookies and services we may use. You can change this at any time from "Cookie Settings" at the bottom of every page.</p>
+                ${options}
+                <div class="consent-actions">
+                    <button type="button" class="consent-btn" data-consent-action="reject">Reject optional</button>
+                    <button type="button" class="consent-btn" data-consent-action="save">Save choices</button>
+                    <button type="button" class="consent-btn consent-btn-primary" data-consent-action="accept">Accept all</button>
+                </div>
+            </form>
+        `;
+        element.addEventListener('click', handleAction);
+        root.document.body.appendChild(element);
+        return element;
+    }
+
+    function openPreferences() {
+        dialog = dialog || createDialog();
+        OPTIONAL.forEach((category) => {
+            dialog.querySelector(`input[name="${category}"]`).checked = granted(category);
+        });
+
+        if (typeof dialog.showModal === 'function') {
+            if (!dialog.open) dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+        dialog.querySelector('input:not([disabled])').focus();
+    }
+
+    function closePreferences() {
+        if (!dialog) return;
+        if (typeof dialog.close === 'function') {
+            dialog.close();
+        } else {
+            dialog.removeAttribute('open');
+        }
+    }
+
+    function handleAction(event) {
+        const button = event.target.closest('[data-consent-action]');
+        if (!button) return;
+
+        const action = button.getAttribute('data-consent-action');
+        if (action === 'customize') {
+            openPreferences();
+            return;
+        }
+
+        if (action === 'accept') {
+            acceptAll();
+        } else if (action === 'reject') {
+            rejectAll();
+        } else if (action === 'save') {
+            const selection = {};
+            OPTIONAL.forEach((category) => {
+                selection[category] = dialog.querySelector(`input[name="${category}"]`).checked;
+            });
+            update(selection);
+        }
+        closePreferences();
+    }
+
+    function init() {
+        root.document.addEventListener('click', (event) => {
+            if (!event.target.closest('[data-consent-open]')) return;
+            event.preventDefault();
+            openPreferences();
+        });
+
+        if (decided()) {
+            activateScripts();
+        } else {
+            showBanner();
+        }
+    }
+
+    if (root.document.readyState === 'loading') {
+        root.document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    root.GeniusgliderConsent = {
+        CATEGORIES,
+        decided,
+        granted,
+        update,
+        acceptAll,
+        rejectAll,
+        onChange,
+        openPreferences
+    };
+})(window);
@@ -0,0 +1,185 @@
+/**
+ * Geniusglider IT Services - Email Assistant
+ * Classifies a consultation email as business, personal (free webmail) or disposable,
+ * suggests fixes for mistyped domains (gmial.com -> gmail.com) and a likely work address
+ * from the company name. Provider lists are bundled; pure functions, so it loads under Node.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const email = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = email;
+    } else {
+        root.GeniusgliderEmail = email;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Free webmail: a real person, but not a company mailbox
+    const FREE_PROVIDERS = [
+        'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.in', 'yahoo.co.uk', 'ymail.com',
+        'rocketmail.com', 'hotmail.com', 'hotmail.co.uk', 'hotmail.in', 'outlook.com', 'outlook.in',
+        'live.com', 'live.in', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'rediffmail.com',
+        'protonmail.com', 'proton.me', 'pm.me', 'zoho.com', 'zohomail.in', 'gmx.com', 'gmx.de', 'gmx.net',
+        'mail.com', 'email.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'tutanota.com', 'tuta.io',
+        'fastmail.com', 'hushmail.com', 'inbox.com', 'web.de', 'qq.com', '163.com', 'naver.com'
+    ];
+
+    // Throwaway inboxes; leads using them rarely answer
+    const DISPOSABLE_PROVIDERS = [
+        'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', 'grr.la',
+        '10minutemail.com', '10minutemail.net', 'tempmail.com', 'temp-mail.org', 'temp-mail.io',
+        'tempmailo.com', 'tempr.email', 'throwawaymail.com', 'yopmail.com', 'yopmail.net',
+        'getnada.com', 'nada.email', 'dispostable.com', 'maildrop.cc', 'mailnesia.com', 'mintemail.com',
+        'trashmail.com', 'trashmail.de', 'fakeinbox.com', 'mohmal.com', 'emailondeck.com',
+        'moakt.com', 'mailcatch.com', 'spamgourmet.com', 'mytemp.email', 'burnermail.io',
+        'discard.email', 'mailpoof.com', 'emailfake.com', 'tempinbox.com', 'inboxkitten.com',
+        'dropmail.me', 'harakirimail.com', 'spambox.us', 'mail-temp.com'
+    ];
+
+    // Providers with names this short sit one keystroke from real company domains (gnx.com vs
+    // gmx.com, lime.in vs live.in), so they are only recognised when typed exactly
+    const MIN_FUZZY_NAME_LENGTH = 5;
+    const FUZZY_PROVIDERS = FREE_PROVIDERS.filter((provider) => provider.indexOf('.') >= MIN_FUZZY_NAME_LENGTH);
+
+    // Mistyped endings we can fix with confidence. Real TLDs such as .co or .cm are left alone.
+    const TLD_TYPOS = {
+        con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', comm: 'com', coom: 'com', copm: 'com',
+        nte: 'net', ent: 'net', nett: 'net',
+        ogr: 'org', rog: 'org', orgg: 'org',
+        'co.inn': 'co.in', 'co.ni': 'co.in', 'co.iin': 'co.in'
+    };
+
+    // Words dropped when turning a company name into a domain guess
+    const COMPANY_SUFFIXES = [
+        'private', 'pvt', 'limited', 'ltd', 'llp', 'llc', 'inc', 'incorporated', 'corp', 'corporation',
+        'co', 'company', 'gmbh', 'plc', 'pte'
+    ];
+
+    const MESSAGES = {
+        typo: 'Did you mean',
+        personal: 'A work address helps us prepare for your session. Is yours',
+        disposable: 'Temporary inboxes often miss our reply. Please use an address you check regularly.',
+        disposableWork: 'Temporary inboxes often miss our reply. Could you use your work address, like'
+    };
+
+    // Optimal string alignment distance, so a swapped pair (gmial) counts as one edit
+    function editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Corrected domain for a likely typo, or null. Only well-known providers with names of
+     * MIN_FUZZY_NAME_LENGTH or more are matched by similarity; any other domain can only have
+     * its ending fixed.
+     */
+    function suggestDomain(domain) {
+        const lower = String(domain || '').toLowerCase();
+        if (!lower || FREE_PROVIDERS.includes(lower) || DISPOSABLE_PROVIDERS.includes(lower)) return null;
+
+        // Longer names tolerate two slips; short ones only one
+        const allowed = lower.length >= 10 ? 2 : 1;
+        let best = null;
+        let bestDistance = Infinity;
+        FUZZY_PROVIDERS.forEach((provider) => {
+            const distance = editDistance(lower, provider);
+            if (distance <= allowed && distance < bestDistance) {
+                best = provider;
+                bestDistance = distance;
+            }
+        });
+        if (best) return best;
+
+        const tld = Object.keys(TLD_TYPOS).find((typo) => lower.endsWith(`.${typo}`));
+        return tld ? `${lower.slice(0, -tld.length)}${TLD_TYPOS[tld]}` : null;
+    }
+
+    /**
+     * Guess a company's domain from its name: 'Acme Tech Pvt. Ltd.' -> 'acmetech.com'.
+     */
+    function domainFromCompany(companyName) {
+        const words = String(companyName || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/&/g, ' and ')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+
+        if (words[0] === 'the' && words.length > 1) words.shift();
+        while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) words.pop();
+        const name = words.filter((word, index) => index === 0 || !COMPANY_SUFFIXES.includes(word)).join('');
+
+        return name.length >= 2 ? `${name}.com` : null;
+    }
+
+    /**
+     * Check an email address.
+     *
+     * @param {string} address - What the visitor typed
+     * @param {Object} [options] - { companyName } used for the work address suggestion
+     * @returns {Object} { valid, email, domain, type: 'business'|'personal'|'disposable'|null,
+     *   isPersonal, isDisposable, suggestion: corrected address or null, workEmail: guessed work address or null }
+     */
+    function check(address, { companyName = '' } = {}) {
+        const value = String(address || '').trim();
+        const result = {
+            valid: EMAIL_PATTERN.test(value),
+            email: value,
+            domain: '',
+            type: null,
+            isPersonal: false,
+            isDisposable: false,
+            suggestion: null,
+            workEmail: null
+        };
+        if (!result.valid) return result;
+
+        const at = value.lastIndexOf('@');
+        const local = value.slice(0, at);
+        const domain = value.slice(at + 1).toLowerCase();
+        result.domain = domain;
+
+        const corrected = suggestDomain(domain);
+        if (corrected) result.suggestion = `${local}@${corrected}`;
+
+        // Classify what they most likely meant, so gmial.com still counts as personal
+        const effectiveDomain = corrected || domain;
+        result.isDisposable = DISPOSABLE_PROVIDERS.includes(effectiveDomain);
+        result.isPersonal = FREE_PROVIDERS.includes(effectiveDomain);
+        result.type = result.isDisposable ? 'disposable' : (result.isPersonal ? 'personal' : 'business');
+
+        if (result.isPersonal || result.isDisposable) {
+            const workDomain = domainFromCompany(companyName);
+            if (workDomain) result.workEmail = `${local}@${workDomain}`;
+        }
+
+        return result;
+    }
+
+    return {
+        FREE_PROVIDERS,
+        DISPOSABLE_PROVIDERS,
+        MESSAGES,
+        suggestDomain,
+        domainFromCompany,
+        check
+    };
+});
@@ -0,0 +1,247 @@
+/**
+ * Geniusglider IT Services - Engagement Signals
+ * Remembers the behaviours that lead scoring rewards (the engagement.* rules in
+ * assets/data/lead-scoring-rules.json):
+ * pages viewed, scroll depth, calculator use, pricing and case-study views, report downloads.
+ * Everything lives in localStorage so activity on one page still counts when the visitor
+ * fills in the contact form later. This is profiling for sales, so nothing is recorded or
+ * reported until the visitor allows marketing (assets/js/consent.js), and what was kept is
+ * deleted when they withdraw it.
+ */
+
+(function(root) {
+    'use strict';
+
+    const STORAGE_KEY = 'geniusglider-engagement';
+    const MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Older activity says little about today's intent
+    const MAX_PAGES = 50;
+
+    // Sections whose appearance on screen counts as a signal
+    const SECTION_SIGNALS = {
+        pricing_viewed: '.service-pricing, [data-engagement="pricing"]',
+        case_study_viewed: '.case-study-card, [data-engagement="case-study"]'
+    };
+
+    // Derived signals, worked out from the raw activity in getSummary()
+    const MULTIPLE_PAGES = 3;
+    const DEEP_SCROLL = 75;
+
+    const SCROLL_SAMPLE_INTERVAL = 250; // ms between scroll depth readings
+
+    const seenThisPage = new Set();
+
+    // Set from the visitor's marketing consent; work waiting for it runs once it is given
+    let allowed = false;
+    const waiting = [];
+
+    function emptyState() {
+        const now = new Date().toISOString();
+        return { startedAt: now, updatedAt: now, pages: {}, signals: {} };
+    }
+
+    function read() {
+        try {
+            const state = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            if (!state || typeof state.signals !== 'object') return emptyState();
+            if (Date.now() - Date.parse(state.updatedAt) > MAX_AGE) return emptyState();
+            return { ...emptyState(), ...state, pages: state.pages || {} };
+        } catch (error) {
+            return emptyState();
+        }
+    }
+
+    function write(state) {
+        state.updatedAt = new Date().toISOString();
+        try {
+            root.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Storage disabled or full; engagement is best-effort
+        }
+    }
+
+    function whenAllowed(callback) {
+        if (allowed) {
+            callback();
+        } else {
+            waiting.push(callback);
+        }
+    }
+
+    function setConsent(granted) {
+        allowed = Boolean(granted);
+        if (!allowed) {
+            try {
+                root.localStorage.removeItem(STORAGE_KEY);
+            } catch (error) {
+                // Storage disabled: nothing was kept
+            }
+            return;
+        }
+        waiting.splice(0).forEach((callback) => callback());
+    }
+
+    function currentPath() {
+        return root.location.pathname === '/' ? '/index.html' : root.location.pathname;
+    }
+
+    function getPage(state, path) {
+        if (!state.pages[path]) {
+            // Keep the record small: drop the least recently viewed page
+            const paths = Object.keys(state.pages);
+            if (paths.length >= MAX_PAGES) {
+                const oldest = paths.sort((a, b) => state.pages[a].lastAt.localeCompare(state.pages[b].lastAt))[0];
+                delete state.pages[oldest];
+            }
+            state.pages[path] = { views: 0, maxScroll: 0, lastAt: new Date().toISOString() };
+        }
+        return state.pages[path];
+    }
+
+    /**
+     * Record that the visitor did something worth scoring, e.g. 'pdf_downloaded'.
+     * Repeats bump the count but keep the first timestamp.
+     */
+    function recordSignal(name) {
+        if (!allowed) return null;
+
+        const state = read();
+        const now = new Date().toISOString();
+        const existing = state.signals[name];
+
+        state.signals[name] = {
+            count: (existing?.count || 0) + 1,
+            firstAt: existing?.firstAt || now,
+            lastAt: now
+        };
+        write(state);
+
+        return state.signals[name];
+    }
+
+    // Counted once marketing is allowed, even if that is later in this page view
+    function recordPageView(path = currentPath()) {
+        whenAllowed(() => {
+            const state = read();
+            const page = getPage(state, path);
+            page.views++;
+            page.lastAt = new Date().toISOString();
+            write(state);
+        });
+    }
+
+    // Percent of the page scrolled; only the deepest point per page is kept
+    function recordScrollDepth(percent, path = currentPath()) {
+        if (!allowed) return;
+
+        const depth = Math.min(100, Math.round(percent));
+        if (!Number.isFinite(depth)) return;
+
+        const state = read();
+        const page = getPage(state, path);
+        if (depth <= page.maxScroll) return;
+
+        page.maxScroll = depth;
+        write(state);
+    }
+
+    // Deepest point scrolled on this page, read at most every SCROLL_SAMPLE_INTERVAL
+    function observeScrollDepth() {
+        let pending = false;
+
+        root.addEventListener('scroll', () => {
+            if (pending) return;
+            pending = true;
+
+            setTimeout(() => {
+                pending = false;
+                const scrollable = root.document.body.scrollHeight - root.innerHeight;
+                if (scrollable > 0) recordScrollDepth((root.scrollY / scrollable) * 100);
+            }, SCROLL_SAMPLE_INTERVAL);
+        }, { passive: true });
+    }
+
+    /**
+     * Record scroll depth, SECTION_SIGNALS when their sections scroll into view and video_watched
+     * when any video starts playing. Each signal counts once per page view. Starts once marketing
+     * is allowed.
+     */
+    function observePage(scope = root.document) {
+        whenAllowed(() => startObserving(scope));
+    }
+
+    function startObserving(scope) {
+        const recordOnce = (name) => {
+            if (seenThisPage.has(name)) return;
+            seenThisPage.add(name);
+            recordSignal(name);
+        };
+
+        observeScrollDepth();
+
+        scope.addEventListener('play', (event) => {
+            if (event.target instanceof root.HTMLMediaElement) recordOnce('video_watched');
+        }, true);
+
+        if (!('IntersectionObserver' in root)) return;
+
+        Object.entries(SECTION_SIGNALS).forEach(([name, selector]) => {
+            const sections = scope.querySelectorAll(selector);
+            if (!sections.length) return;
+
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) {
+                    recordOnce(name);
+                    observer.disconnect();
+                }
+            }, { threshold: 0.5 });
+
+            sections.forEach((section) => observer.observe(section));
+        });
+    }
+
+    /**
+     * Snapshot sent with the consultation form so sales can see why a lead scored as it did.
+     * `signals` maps signal name to count and includes the derived multiple_pages / deep_scroll.
+     * Null unless the visitor allows marketing.
+     */
+    function getSummary() {
+        if (!allowed) return null;
+
+        const state = read();
+        const pages = Object.entries(state.pages);
+        const signals = {};
+
+        Object.entries(state.signals).forEach(([name, signal]) => {
+            signals[name] = signal.count;
+        });
+
+        const maxScrollDepth = pages.reduce((max, [, page]) => Math.max(max, page.maxScroll), 0);
+        if (pages.length >= MULTIPLE_PAGES) signals.multiple_pages = 1;
+        if (maxScrollDepth >= DEEP_SCROLL) signals.deep_scroll = 1;
+
+        return {
+            first_seen: state.startedAt,
+            page_views: pages.reduce((sum, [, page]) => sum + page.views, 0),
+            pages: pages.map(([path, page]) => ({ path, views: page.views, max_scroll: page.maxScroll })),
+            max_scroll_depth: maxScrollDepth,
+            calculator_uses: signals.calculator_used || 0,
+            signals
+        };
+    }
+
+    function getSignals() {
+        return allowed ? read().signals : {};
+    }
+
+    // consent.js loads first and calls back at once if the visitor already chose
+    root.GeniusgliderConsent?.onChange((granted) => setConsent(granted.marketing));
+
+    root.GeniusgliderEngagement = {
+        recordSignal,
+        recordPageView,
+        recordScrollDepth,
+        observePage,
+        getSignals,
+        getSummary
+    };
+})(window);
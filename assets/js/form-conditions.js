@@ -0,0 +1,170 @@
+/**
+ * Geniusglider IT Services - Form Conditions
+ * Shows form steps and fields only when earlier answers call for them. Anything with a
+ * data-show-if condition is hidden while the condition is false, and its controls are
+ * disabled so they are skipped by validation, drafts, lead scoring and submission.
+ *
+ * Conditions name a field by id or name and compare its value:
+ *   data-show-if="company-size>=201"                  numeric: >, >=, <, <= ('201-1000' reads as 201)
+ *   data-show-if="industry=healthcare|finance"        any of several values; != for none of them
+ *   data-show-if="IT Challenges=Security Concerns"    checkbox groups match any checked value
+ *   data-show-if="budget"                             answered at all
+ * Join clauses with && and || (&& binds tighter); there are no parentheses.
+ * parse and evaluate also load under Node for scripts/check-form-conditions.js.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const conditions = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = conditions;
+    } else {
+        root.GeniusgliderConditions = conditions;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const CLAUSE_PATTERN = /^(.+?)\s*(>=|<=|!=|=|>|<)\s*(.*)$/;
+    const MAX_PASSES = 5; // Conditions can depend on fields that are themselves conditional
+
+    const instances = new WeakMap();
+
+    /**
+     * Parse a condition into [[clause, ...], ...]: any group passes when all its clauses do.
+     */
+    function parse(expression) {
+        return String(expression || '').split('||').map((group) => group.split('&&').map((text) => {
+            const clause = text.trim();
+            const match = clause.match(CLAUSE_PATTERN);
+            if (!match) return { field: clause, operator: 'present', values: [] };
+
+            const [, field, operator, value] = match;
+            return { field: field.trim(), operator, values: value.split('|').map((part) => part.trim()) };
+        }));
+    }
+
+    function testClause({ operator, values }, actual) {
+        const numbers = actual.map(parseFloat).filter(Number.isFinite);
+        const limit = parseFloat(values[0]);
+
+        switch (operator) {
+            case 'present': return actual.length > 0;
+            case '=': return actual.some((value) => values.includes(value));
+            case '!=': return !actual.some((value) => values.includes(value));
+            case '>': return numbers.some((value) => value > limit);
+            case '>=': return numbers.some((value) => value >= limit);
+            case '<': return numbers.some((value) => value < limit);
+            case '<=': return numbers.some((value) => value <= limit);
+            default: return false;
+        }
+    }
+
+    /**
+     * Evaluate a condition. getValues(field) returns the field's current values as an array
+     * of non-empty strings (empty when unanswered or hidden).
+     */
+    function evaluate(expression, getValues) {
+        return parse(expression).some((group) => group.every((clause) => testClause(clause, getValues(clause.field))));
+    }
+
+    class FormConditions {
+        constructor(form) {
+            this.form = form;
+            this.listeners = [];
+
+            const update = () => this.apply();
+            form.addEventListener('input', update);
+            form.addEventListener('change', update);
+
+            this.apply();
+        }
+
+        // Controls for a field key: an element with that id, or every control sharing the name
+        controlsFor(key) {
+            const byId = this.form.querySelector(`#${CSS.escape(key)}`);
+            if (byId) return byId.name ? this.form.querySelectorAll(`[name="${CSS.escape(byId.name)}"]`) : [byId];
+            return this.form.querySelectorAll(`[name="${CSS.escape(key)}"]`);
+        }
+
+        // Values of enabled controls only, so a hidden answer can't reveal anything
+        valuesFor(key) {
+            const values = [];
+            Array.from(this.controlsFor(key)).forEach((control) => {
+                if (control.disabled) return;
+                if ((control.type === 'checkbox' || control.type === 'radio') && !control.checked) return;
+
+                if (control.type === 'select-multiple') {
+                    Array.from(control.selectedOptions).forEach((option) => values.push(option.value));
+                } else if (String(control.value).trim()) {
+                    values.push(String(control.value).trim());
+                }
+            });
+            return values;
+        }
+
+        // Disable controls inside hidden sections, remembering which ones we disabled
+        syncControls() {
+            Array.from(this.form.elements).forEach((control) => {
+                const hidden = Boolean(control.closest('[data-show-if][hidden]'));
+
+                if (hidden && !control.disabled) {
+                    control.disabled = true;
+                    control.setAttribute('data-condition-disabled', '');
+                } else if (!hidden && control.hasAttribute('data-condition-disabled')) {
+                    control.disabled = false;
+                    control.removeAttribute('data-condition-disabled');
+                }
+            });
+        }
+
+        /**
+         * Re-check every condition. Listeners hear about it when anything appeared or disappeared.
+         */
+        apply() {
+            const sections = Array.from(this.form.querySelectorAll('[data-show-if]'));
+            let changed = false;
+
+            for (let pass = 0; pass < MAX_PASSES; pass++) {
+                let passChanged = false;
+
+                sections.forEach((section) => {
+                    const visible = evaluate(section.getAttribute('data-show-if'), (key) => this.valuesFor(key));
+                    if (section.hidden === visible) {
+                        section.hidden = !visible;
+                        passChanged = true;
+                    }
+                });
+                this.syncControls();
+
+                if (!passChanged) break;
+                changed = true;
+            }
+
+            if (changed) {
+                this.listeners.forEach((listener) => listener());
+            }
+        }
+
+        onChange(listener) {
+            this.listeners.push(listener);
+        }
+    }
+
+    /**
+     * Start evaluating a form's conditions. Calling it again for the same form returns the same instance.
+     */
+    function create(form) {
+        if (!instances.has(form)) {
+            instances.set(form, new FormConditions(form));
+        }
+        return instances.get(form);
+    }
+
+    return {
+        parse,
+        evaluate,
+        create
+    };
+});
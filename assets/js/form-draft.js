@@ -0,0 +1,298 @@
+/**
+ * Geniusglider IT Services - Form Drafts
+ * Autosaves a multi-step form's answers and current step to localStorage, offers to
+ * continue on the next visit, and mirrors the step in the URL (?step=2) so the back
+ * button moves between steps. Used by the progressive form component (progressive-form.js).
+ * The expiry and URL helpers also load under Node for scripts/check-form-draft.js.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const draft = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = draft;
+    } else {
+        root.GeniusgliderDraft = draft;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const STORAGE_PREFIX = 'geniusglider-draft:';
+    const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+    const SAVE_DELAY = 500;
+    const STEP_PARAM = 'step';
+
+    // Never stored: hidden plumbing, passwords and card details, captcha tokens, and
+    // anything marked data-draft="off"
+    const ALWAYS_EXCLUDED = [
+        'input[type="hidden"]', 'input[type="password"]', 'input[type="file"]',
+        '[autocomplete^="cc-"]', '[name$="captcha-response"]', '[data-draft="off"]'
+    ].join(', ');
+
+    const instances = new WeakMap();
+
+    // Drafts older than maxAge, or with an unreadable savedAt, aren't offered
+    function isExpired(draft, maxAge = DEFAULT_MAX_AGE, now = Date.now()) {
+        return !(now - Date.parse(draft.savedAt) <= maxAge);
+    }
+
+    class FormDraft {
+        /**
+         * @param {HTMLFormElement} form
+         * @param {Object} [options] - { key, maxAge (ms), exclude: [field names or ids] }
+         */
+        constructor(form, { key = form.id || 'form', maxAge = DEFAULT_MAX_AGE, exclude = [] } = {}) {
+            this.form = form;
+            this.storageKey = STORAGE_PREFIX + key;
+            this.maxAge = maxAge;
+            this.exclude = exclude;
+            this.step = 1;
+            this.saveTimer = null;
+            this.paused = false; // While the resume prompt is open, so the saved draft isn't overwritten
+
+            const scheduleSave = () => {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+            };
+            form.addEventListener('input', scheduleSave);
+            form.addEventListener('change', scheduleSave);
+
+            // Don't lose the last keystrokes when the visitor leaves mid-debounce
+            root.addEventListener('pagehide', () => {
+                if (this.saveTimer) this.save();
+            });
+        }
+
+        isSaved(field) {
+            // Answers hidden by a data-show-if condition are kept, in case the visitor changes their mind
+            if (!field.name || !('value' in field)) return false;
+            if (field.disabled && !field.hasAttribute('data-condition-disabled')) return false;
+            if (['submit', 'button', 'reset'].includes(field.type)) return false;
+            if (field.matches(ALWAYS_EXCLUDED)) return false;
+            return !this.exclude.includes(field.name) && !this.exclude.includes(field.id);
+        }
+
+        fields() {
+            return Array.from(this.form.elements).filter((field) => this.isSaved(field));
+        }
+
+        // { name: value } with checkbox groups and multi-selects as arrays
+        collect() {
+            const values = {};
+
+            this.fields().forEach((field) => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    const group = this.form.querySelectorAll(`[name="${CSS.escape(field.name)}"]`);
+                    if (field.type === 'checkbox' && group.length > 1) {
+                        values[field.name] = values[field.name] || [];
+                        if (field.checked) values[field.name].push(field.value);
+                    } else if (field.checked) {
+                        values[field.name] = field.value;
+                    } else if (!(field.name in values)) {
+                        values[field.name] = '';
+                    }
+                } else if (field.type === 'select-multiple') {
+                    values[field.name] = Array.from(field.selectedOptions, (option) => option.value);
+                } else {
+                    values[field.name] = field.value;
+                }
+            });
+
+            return values;
+        }
+
+        // Whether the visitor changed anything; preset values (budget slider, country) don't count
+        hasAnswers() {
+            return this.fields().some((field) => {
+                if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+                if (field.type === 'select-one') {
+                    // Without a selected attribute the first option is the default
+                    const preset = Array.from(field.options).find((option) => option.defaultSelected) || field.options[0];
+                    return field.value !== (preset ? preset.value : '');
+                }
+                if (field.type === 'select-multiple') {
+                    return Array.from(field.options).some((option) => option.selected !== option.defaultSelected);
+                }
+                return field.value.trim() !== field.defaultValue.trim();
+            });
+        }
+
+        setStep(step) {
+            this.step = step;
+            this.save();
+        }
+
+        save() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            if (this.paused) return;
+
+            if (!this.hasAnswers()) return;
+            const values = this.collect();
+
+            try {
+                root.localStorage.setItem(this.storageKey, JSON.stringify({
+                    savedAt: new Date().toISOString(),
+                    step: this.step,
+                    values
+                }));
+            } catch (error) {
+                // Storage disabled or full; drafts are a convenience
+            }
+        }
+
+        /**
+         * The saved draft ({ savedAt, step, values }), or null when there is none or it has expired.
+         */
+        load() {
+            let draft = null;
+            try {
+                draft = JSON.parse(root.localStorage.getItem(this.storageKey));
+            } catch (error) {
+                return null;
+            }
+            if (!draft || typeof draft.values !== 'object') return null;
+
+            if (isExpired(draft, this.maxAge)) {
+                this.clear();
+                return null;
+            }
+            return draft;
+        }
+
+        // Put saved values back. Fields that changed get input/change events so dependent UI
+        // (budget output, phone formatting) catches up; untouched ones stay quiet so empty
+        // groups aren't flagged as errors before the visitor gets to them.
+        restore(draft) {
+            this.fields().forEach((field) => {
+                if (!(field.name in draft.values)) return;
+                const saved = draft.values[field.name];
+                let changed;
+
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    const checked = Array.isArray(saved) ? saved.includes(field.value) : saved === field.value;
+                    changed = field.checked !== checked;
+                    field.checked = checked;
+                } else if (field.type === 'select-multiple') {
+                    changed = false;
+                    Array.from(field.options).forEach((option) => {
+                        const selected = [].concat(saved).includes(option.value);
+                        changed = changed || option.selected !== selected;
+                        option.selected = selected;
+                    });
+                } else {
+                    changed = field.value !== saved;
+                    field.value = saved;
+                }
+
+                if (changed) {
+                    field.dispatchEvent(new Event('input', { bubbles: true }));
+                    field.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            });
+
+            this.step = draft.step || 1;
+        }
+
+        clear() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            try {
+                root.localStorage.removeItem(this.storageKey);
+            } catch (error) {
+                // Nothing to clear
+            }
+        }
+
+        /**
+         * Show a "Continue where you left off" prompt above the form.
+         * Calls onResume(draft) or onDiscard() once the visitor chooses.
+         */
+        offerResume(draft, { onResume, onDiscard } = {}) {
+            const prompt = document.createElement('div');
+            prompt.className = 'draft-resume';
+            prompt.setAttribute('role', 'status');
+            prompt.innerHTML = `
+                <p><strong>Continue where you left off?</strong> <span class="draft-resume-saved"></span></p>
+                <div class="draft-resume-actions">
+                    <button type="button" class="btn btn-primary" data-draft-resume>Continue</button>
+                    <button type="button" class="btn btn-secondary" data-draft-discard>Start over</button>
+                </div>
+            `;
+            prompt.querySelector('.draft-resume-saved').textContent =
+                `Your answers from ${new Date(draft.savedAt).toLocaleString()} are saved on this device.`;
+
+            this.paused = true;
+            prompt.querySelector('[data-draft-resume]').addEventListener('click', () => {
+                prompt.remove();
+                this.paused = false;
+                this.restore(draft);
+                if (onResume) onResume(draft);
+            });
+            prompt.querySelector('[data-draft-discard]').addEventListener('click', () => {
+                prompt.remove();
+                this.paused = false;
+                this.clear();
+                if (onDiscard) onDiscard();
+            });
+
+            this.form.parentNode.insertBefore(prompt, this.form);
+            return prompt;
+        }
+    }
+
+    // ===== STEP IN THE URL =====
+
+    // Step number from ?step=, or null
+    function readStep(search = root.location.search) {
+        const step = parseInt(new URLSearchParams(search).get(STEP_PARAM), 10);
+        return Number.isInteger(step) && step > 0 ? step : null;
+    }
+
+    // href with ?step= for the given step; the first step has none, other parameters are kept
+    function stepUrl(href, step) {
+        const url = new URL(href);
+        if (step > 1) {
+            url.searchParams.set(STEP_PARAM, step);
+        } else {
+            url.searchParams.delete(STEP_PARAM);
+        }
+        return url.href;
+    }
+
+    /**
+     * Record the step in the URL. A new history entry per step lets the back button
+     * return to the previous step; replace is for corrections that shouldn't add one.
+     */
+    function writeStep(step, { replace = false } = {}) {
+        const url = stepUrl(root.location.href, step);
+
+        const state = { ...(root.history.state || {}), formStep: step };
+        if (replace) {
+            root.history.replaceState(state, '', url);
+        } else if (url !== root.location.href) {
+            root.history.pushState(state, '', url);
+        }
+    }
+
+    /**
+     * Attach draft saving to a form. Calling it again for the same form returns the existing draft.
+     */
+    function create(form, options) {
+        if (!instances.has(form)) {
+            instances.set(form, new FormDraft(form, options));
+        }
+        return instances.get(form);
+    }
+
+    return {
+        DEFAULT_MAX_AGE,
+        create,
+        isExpired,
+        readStep,
+        stepUrl,
+        writeStep
+    };
+});
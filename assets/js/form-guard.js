@@ -0,0 +1,342 @@
+/**
+ * Geniusglider IT Services - Form Guard
+ * Spam protection for the consultation forms without a third-party CAPTCHA: a honeypot field,
+ * a minimum time between the form loading and sending it (waived for a restored draft), a SHA-256
+ * proof of work solved in a Web Worker (pow-worker.js) while the visitor types, and a per-browser
+ * submission limit.
+ * The signals travel with the submission in a hidden _guard field (JSON) so the backend can check
+ * them; verify() is the reference check and also loads under Node (scripts/dev-server.js uses it).
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const guard = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = guard;
+    } else {
+        root.GeniusgliderGuard = guard;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const VERSION = 1;
+    const FIELD_NAME = '_guard';
+    const STORAGE_KEY = 'geniusglider-guard:submissions';
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+
+    // pow-worker.js sits next to this file
+    const WORKER_URL = typeof document !== 'undefined' && document.currentScript ?
+        new URL('pow-worker.js', document.currentScript.src).href :
+        '/assets/js/pow-worker.js';
+
+    const DEFAULTS = {
+        minTime: 3000,      // ms from the form loading to submit; faster than any person filling it
+        difficulty: 16,     // Leading zero bits; about 65,000 hashes, a second or two on a phone
+        maxPerHour: 3,      // Successful submissions from one browser
+        minInterval: 30000, // ms between submissions
+        powTimeout: 10000,  // How long submit waits for an unfinished proof before sending without it
+        workerUrl: WORKER_URL
+    };
+
+    const MESSAGES = {
+        tooFast: 'That was quick! Please check your answers, then send the form again.',
+        tooSoon: 'You just sent a request. Please wait a moment before sending another.',
+        rateLimited: (minutes) => `You've sent several requests recently. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or email us directly.`
+    };
+
+    // Hidden from people (and screen readers) but not display:none, which some bots skip
+    const HONEYPOT_STYLE = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+
+    const instances = new WeakMap();
+
+    // ===== PROOF OF WORK =====
+
+    function leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
+    async function sha256(text) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Find a nonce whose SHA-256 of `${challenge}:${nonce}` starts with `difficulty` zero bits.
+     * Resolves { challenge, nonce, difficulty, hash }, or null if it gives up.
+     */
+    async function solve(challenge, difficulty) {
+        const limit = 2 ** Math.min(difficulty + 4, 30);
+        for (let nonce = 0; nonce < limit; nonce++) {
+            const digest = await sha256(`${challenge}:${nonce}`);
+            if (leadingZeroBits(digest) >= difficulty) {
+                return { challenge, nonce, difficulty, hash: toHex(digest) };
+            }
+        }
+        return null;
+    }
+
+    // Timestamp first, so the backend can refuse stale or future challenges
+    function createChallenge(formName) {
+        const random = new Uint8Array(12);
+        crypto.getRandomValues(random);
+        return `${Date.now()}:${toHex(random)}:${formName}`;
+    }
+
+    /**
+     * Stamp queued_at into a submission's _guard signals (the JSON string from the field) when it is
+     * queued offline, so verify() can tell a delayed delivery from a replayed proof.
+     */
+    function markQueued(signals, at = Date.now()) {
+        try {
+            return JSON.stringify({ ...JSON.parse(signals), queued_at: new Date(at).toISOString() });
+        } catch (error) {
+            return signals;
+        }
+    }
+
+    /**
+     * Reference check for a submission's _guard signals (object or JSON string).
+     * Returns a list of problems; empty means the submission looks human.
+     * A proof must be at most maxAge old when sent, or when queued (queued_at) for a submission
+     * delivered up to maxQueuedAge later from the offline queue. A submission from a restored
+     * draft (draft_restored) was filled in on an earlier visit, so minTime doesn't apply.
+     *
+     * @param {Object} [options] - { minTime, minDifficulty, maxAge (ms), maxQueuedAge (ms), now }
+     */
+    async function verify(signals, { minTime = DEFAULTS.minTime, minDifficulty = DEFAULTS.difficulty, maxAge = DAY, maxQueuedAge = 7 * DAY, now = Date.now() } = {}) {
+        let data = signals;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return ['unreadable'];
+            }
+        }
+        if (!data || typeof data !== 'object') return ['missing'];
+
+        const problems = [];
+        if (data.honeypot) problems.push('honeypot');
+        if (!data.draft_restored && !(data.elapsed_ms >= minTime)) problems.push('too_fast');
+
+        const proof = data.pow;
+        if (!proof || typeof proof.challenge !== 'string') {
+            problems.push('no_proof');
+        } else {
+            const issued = parseInt(proof.challenge.split(':')[0], 10);
+            const digest = await sha256(`${proof.challenge}:${proof.nonce}`);
+
+            // Unreadable, future or too old queued_at stamps are ignored, leaving the proof to count from now
+            const queuedAt = Date.parse(data.queued_at);
+            const sentAt = queuedAt <= now && now - queuedAt <= maxQueuedAge ? queuedAt : now;
+
+            if (!(proof.difficulty >= minDifficulty) || leadingZeroBits(digest) < proof.difficulty) {
+                problems.push('bad_proof');
+            } else if (!(issued <= sentAt && sentAt - issued <= maxAge)) {
+                problems.push('stale_proof');
+            }
+        }
+        return problems;
+    }
+
+    // ===== FORM =====
+
+    function readSubmissions() {
+        try {
+            const times = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(times) ? times.filter((time) => Date.now() - time < HOUR) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    class FormGuard {
+        /**
+         * @param {HTMLFormElement} form
+         * @param {Object} [options] - overrides for DEFAULTS
+         */
+        constructor(form, options = {}) {
+            this.form = form;
+            this.options = { ...DEFAULTS, ...options };
+            this.startedAt = Date.now();
+            this.draftRestored = false;
+            this.proof = null;
+
+            this.honeypots = this.setupHoneypots();
+            this.field = this.setupField();
+
+            // Timing starts when the form loads, since clicking submit is a first focus too; the
+            // proof of work waits for the first sign of a person
+            const start = () => {
+                if (!this.proof) this.proof = this.startProof();
+            };
+            form.addEventListener('focusin', start);
+            form.addEventListener('input', start);
+        }
+
+        // Fields marked data-honeypot, or one we add: people never see it, form-filling bots do
+        setupHoneypots() {
+            const existing = this.form.querySelectorAll('[data-honeypot]');
+            if (existing.length) return Array.from(existing);
+
+            const wrapper = document.createElement('div');
+            wrapper.setAttribute('aria-hidden', 'true');
+            wrapper.style.cssText = HONEYPOT_STYLE;
+            wrapper.innerHTML = '<label>Leave this empty <input type="text" name="fax_number" tabindex="-1" autocomplete="off" data-honeypot data-draft="off"></label>';
+            this.form.appendChild(wrapper);
+            return [wrapper.querySelector('input')];
+        }
+
+        setupField() {
+            let field = this.form.querySelector(`input[name="${FIELD_NAME}"]`);
+            if (!field) {
+                field = document.createElement('input');
+                field.type = 'hidden';
+                field.name = FIELD_NAME;
+                this.form.appendChild(field);
+            }
+            return field;
+        }
+
+        honeypotFilled() {
+            return this.honeypots.some((field) => (field.type === 'checkbox' ? field.checked : field.value.trim() !== ''));
+        }
+
+        // Solve off the main thread; resolves the proof, or null without worker support
+        startProof() {
+            const { workerUrl, difficulty } = this.options;
+            if (typeof Worker !== 'function' || !workerUrl || !root.crypto?.subtle) return Promise.resolve(null);
+
+            const challenge = createChallenge(this.form.id || 'form');
+            return new Promise((resolve) => {
+                let worker;
+                try {
+                    worker = new Worker(workerUrl);
+                } catch (error) {
+                    resolve(null);
+                    return;
+                }
+                worker.onmessage = (event) => {
+                    worker.terminate();
+                    resolve(event.data.proof || null);
+                };
+                worker.onerror = () => {
+                    worker.terminate();
+                    resolve(null);
+                };
+                worker.postMessage({ challenge, difficulty });
+            });
+        }
+
+        /**
+         * The visitor brought back answers from an earlier visit (form-draft.js), so sending them
+         * straight away is not too fast.
+         */
+        markDraftRestored() {
+            this.draftRestored = true;
+            if (!this.proof) this.proof = this.startProof();
+        }
+
+        // Don't hold the visitor hostage to a slow device: send without a proof after powTimeout
+        waitForProof() {
+            if (!this.proof) this.proof = this.startProof();
+            const timeout = new Promise((resolve) => setTimeout(() => resolve(null), this.options.powTimeout));
+            return Promise.race([this.proof, timeout]);
+        }
+
+        rateLimit() {
+            const recent = readSubmissions();
+            const now = Date.now();
+            const { maxPerHour, minInterval } = this.options;
+
+            if (recent.length && now - recent[recent.length - 1] < minInterval) {
+                return MESSAGES.tooSoon;
+            }
+            if (recent.length >= maxPerHour) {
+                const minutes = Math.max(1, Math.ceil((recent[0] + HOUR - now) / 60000));
+                return MESSAGES.rateLimited(minutes);
+            }
+            return null;
+        }
+
+        /**
+         * Run the checks right before sending and write the signals into the _guard field.
+         * Resolves { status: 'ok' | 'spam' | 'blocked', reason, message, signals }.
+         * 'spam' (honeypot) should look like success to the sender; 'blocked' explains itself.
+         */
+        async prepare() {
+            const elapsed = Date.now() - this.startedAt;
+            const signals = {
+                version: VERSION,
+                honeypot: this.honeypotFilled(),
+                started_at: new Date(this.startedAt).toISOString(),
+                elapsed_ms: elapsed,
+                draft_restored: this.draftRestored,
+                recent_submissions: readSubmissions().length,
+                pow: null
+            };
+
+            if (signals.honeypot) {
+                return { status: 'spam', reason: 'honeypot', signals };
+            }
+            if (elapsed < this.options.minTime && !this.draftRestored) {
+                return { status: 'blocked', reason: 'too_fast', message: MESSAGES.tooFast, signals };
+            }
+            const limited = this.rateLimit();
+            if (limited) {
+                return { status: 'blocked', reason: 'rate_limited', message: limited, signals };
+            }
+
+            signals.pow = await this.waitForProof();
+            this.field.value = JSON.stringify(signals);
+            return { status: 'ok', signals };
+        }
+
+        // Count a delivered submission towards the limit, and start a fresh proof for the next one
+        recordSubmission() {
+            const times = readSubmissions();
+            times.push(Date.now());
+            try {
+                root.localStorage.setItem(STORAGE_KEY, JSON.stringify(times));
+            } catch (error) {
+                // Storage disabled; the backend still sees the other signals
+            }
+            this.proof = null;
+        }
+    }
+
+    /**
+     * Guard a form. Calling it again for the same form returns the same instance.
+     */
+    function create(form, options) {
+        if (!instances.has(form)) {
+            instances.set(form, new FormGuard(form, options));
+        }
+        return instances.get(form);
+    }
+
+    return {
+        VERSION,
+        FIELD_NAME,
+        DEFAULTS,
+        MESSAGES,
+        leadingZeroBits,
+        solve,
+        markQueued,
+        verify,
+        create
+    };
+});
@@ -0,0 +1,281 @@
+/**
+ * Geniusglider IT Services - Form Submission
+ * Sends consultation answers through a swappable adapter: Web3Forms, a JSON REST endpoint,
+ * a form-encoded POST, or the visitor's mail app (mailto:). Every adapter succeeds and fails
+ * the same way and shares the retry policy, so callers never need to know which one is in use.
+ * Used by the progressive form component, app.js and the service worker's offline replay;
+ * also loads under Node (see scripts/check-submit-adapters.js).
+ *
+ *   send(payload, { adapter: 'json', endpoint: '/api/consultation' })
+ *     resolves { ok: true, adapter, status, id, body, attempts }
+ *     rejects with a SubmissionError { message, code, status, fieldErrors, retryable, attempts }
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const submit = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = submit;
+    } else {
+        root.GeniusgliderSubmit = submit;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const WEB3FORMS_ENDPOINT = 'https://api.web3forms.com/submit';
+
+    const DEFAULTS = {
+        timeout: 15000,
+        retries: 2,        // Extra attempts after the first, for retryable failures only
+        retryDelay: 1000,  // Doubles after each attempt
+        maxRetryDelay: 10000
+    };
+
+    const MESSAGES = {
+        network: 'We could not reach our servers. Please check your connection and try again.',
+        timeout: 'The server took too long to respond. Please try again.',
+        rejected: 'Your request could not be sent. Please try again.',
+        unsupported: 'This way of sending is not available here.'
+    };
+
+    // Form plumbing that means nothing in an email
+    const MAILTO_SKIPPED = [
+        'access_key', 'subject', 'from_name', 'redirect', 'botcheck', 'website', 'fax_number', '_guard',
+        'h-captcha-response', 'g-recaptcha-response'
+    ];
+    // Mail apps and browsers cut off long mailto: links
+    const MAX_MAILTO_BODY = 1500;
+
+    class SubmissionError extends Error {
+        constructor(message, { status = 0, code = 'submission_error', fieldErrors = {}, retryable = false, retryAfter = 0 } = {}) {
+            super(message);
+            this.name = 'SubmissionError';
+            this.status = status;
+            this.code = code;
+            this.fieldErrors = fieldErrors;
+            this.retryable = retryable;
+            this.retryAfter = retryAfter; // ms the server asked us to wait
+            this.attempts = 0;
+        }
+    }
+
+    // Offline, overloaded or rate limited: the same request may well succeed later
+    function isRetryableStatus(status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    /**
+     * FormData to a plain object, keeping repeated fields (checkbox groups) as arrays.
+     */
+    function serialize(formData) {
+        const payload = {};
+        for (const [key, value] of formData.entries()) {
+            if (typeof value !== 'string') continue; // Files are not supported by any adapter
+
+            if (Object.prototype.hasOwnProperty.call(payload, key)) {
+                payload[key] = [].concat(payload[key], value);
+            } else {
+                payload[key] = value;
+            }
+        }
+        return payload;
+    }
+
+    // Nested values (engagement, lead_score_breakdown) as JSON text for flat formats
+    function flatValue(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+    }
+
+    // ===== ADAPTERS =====
+    // request(payload, options) describes the HTTP request; send() does the rest.
+    // An adapter may instead provide deliver(payload, options) when there is no HTTP request.
+
+    const adapters = {
+        json: {
+            request: (payload, { endpoint }) => ({
+                url: endpoint,
+                init: {
+                    method: 'POST',
+                    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                    credentials: 'same-origin',
+                    body: JSON.stringify(payload)
+                }
+            })
+        },
+
+        // Web3Forms emails each field as a line, so lists are joined and objects written out
+        web3forms: {
+            request: (payload, { endpoint = WEB3FORMS_ENDPOINT }) => {
+                if (!payload.access_key) {
+                    throw new SubmissionError('Web3Forms needs an access_key field.', { code: 'config' });
+                }
+
+                const body = {};
+                Object.entries(payload).forEach(([key, value]) => {
+                    body[key] = Array.isArray(value) ? value.join(', ') : flatValue(value);
+                });
+                return {
+                    url: endpoint || WEB3FORMS_ENDPOINT,
+                    init: {
+                        method: 'POST',
+                        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                        body: JSON.stringify(body)
+                    }
+                };
+            }
+        },
+
+        form: {
+            request: (payload, { endpoint }) => {
+                const body = new URLSearchParams();
+                Object.entries(payload).forEach(([key, value]) => {
+                    [].concat(value).forEach((item) => body.append(key, flatValue(item)));
+                });
+                return {
+                    url: endpoint,
+                    init: {
+                        method: 'POST',
+                        headers: { 'Accept': 'application/json' },
+                        credentials: 'same-origin',
+                        body
+                    }
+                };
+            }
+        },
+
+        // Hands the answers to the visitor's mail app. It can't tell whether the email was
+        // sent, so it succeeds once the mail app has been asked to open.
+        mailto: {
+            deliver: (payload, { to, subject, navigate }) => {
+                const open = navigate || (root.location ? (url) => { root.location.href = url; } : null);
+                if (!to || !open) {
+                    throw new SubmissionError(MESSAGES.unsupported, { code: 'unsupported' });
+                }
+
+                open(mailtoUrl(payload, { to, subject }));
+                return { status: 0, id: null, body: null };
+            }
+        }
+    };
+
+    function mailtoUrl(payload, { to, subject }) {
+        const lines = Object.entries(payload)
+            .filter(([key, value]) => !MAILTO_SKIPPED.includes(key) && value !== '' &&
+                (Array.isArray(value) || typeof value !== 'object'))
+            .map(([key, value]) => `${key}: ${[].concat(value).join(', ')}`);
+
+        let body = lines.join('\n');
+        if (body.length > MAX_MAILTO_BODY) {
+            body = `${body.slice(0, MAX_MAILTO_BODY)}…`;
+        }
+
+        const title = subject || payload.subject || 'Consultation request';
+        return `mailto:${to}?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(body)}`;
+    }
+
+    async function readBody(response) {
+        const type = response.headers.get('Content-Type') || '';
+        if (type.includes('json')) {
+            return response.json().catch(() => ({}));
+        }
+        return { message: '', text: await response.text().catch(() => '') };
+    }
+
+    // One HTTP attempt; resolves { status, id, body } or throws a SubmissionError
+    async function attempt(adapter, payload, options) {
+        const { url, init } = adapter.request(payload, options);
+        const fetchImpl = options.fetch || fetch;
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), options.timeout) : null;
+
+        let response;
+        try {
+            response = await fetchImpl(url, { ...init, signal: controller ? controller.signal : undefined });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new SubmissionError(MESSAGES.timeout, { code: 'timeout', retryable: true });
+            }
+            throw new SubmissionError(MESSAGES.network, { code: 'network', retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await readBody(response);
+
+        // Web3Forms and our API both answer { success: false } for rejected submissions
+        if (!response.ok || body.success === false) {
+            throw new SubmissionError(body.message || MESSAGES.rejected, {
+                status: response.status,
+                code: body.code || (response.ok ? 'rejected' : 'http_error'),
+                fieldErrors: body.errors || {},
+                retryable: !response.ok && isRetryableStatus(response.status),
+                retryAfter: parseInt(response.headers.get('Retry-After'), 10) * 1000 || 0
+            });
+        }
+
+        return { status: response.status, id: body.id || null, body };
+    }
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Send a payload with the chosen adapter, retrying retryable failures with exponential backoff.
+     *
+     * @param {Object} payload - Field name to value (arrays for repeated fields)
+     * @param {Object} options - { adapter, endpoint, timeout, retries, retryDelay,
+     *   to and subject (mailto), fetch and navigate (for tests) }
+     */
+    async function send(payload, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const name = settings.adapter || 'json';
+        const adapter = adapters[name];
+        if (!adapter) {
+            throw new SubmissionError(`Unknown submission adapter "${name}".`, { code: 'config' });
+        }
+
+        let delay = settings.retryDelay;
+        for (let attempts = 1; ; attempts++) {
+            try {
+                const result = adapter.deliver ?
+                    await adapter.deliver(payload, settings) :
+                    await attempt(adapter, payload, settings);
+                return { ok: true, adapter: name, attempts, ...result };
+            } catch (caught) {
+                const error = caught instanceof SubmissionError ?
+                    caught :
+                    new SubmissionError(caught.message || MESSAGES.rejected, { code: 'config' });
+                error.attempts = attempts;
+
+                if (!error.retryable || attempts > settings.retries) throw error;
+
+                await wait(Math.min(Math.max(delay, error.retryAfter), settings.maxRetryDelay));
+                delay *= 2;
+            }
+        }
+    }
+
+    /**
+     * Add or replace an adapter: { request(payload, options) => { url, init } } or
+     * { deliver(payload, options) => { status, id, body } }.
+     */
+    function register(name, adapter) {
+        adapters[name] = adapter;
+    }
+
+    return {
+        WEB3FORMS_ENDPOINT,
+        DEFAULTS,
+        MESSAGES,
+        SubmissionError,
+        adapters,
+        isRetryableStatus,
+        serialize,
+        mailtoUrl,
+        register,
+        send
+    };
+});
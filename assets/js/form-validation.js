@@ -0,0 +1,364 @@
+/**
+ * Geniusglider IT Services - Form Validation
+ * Schema-driven validation shared by the consultation forms (through the progressive form
+ * component in progressive-form.js). Errors are rendered next to the field and
+ * exposed to assistive technology through aria-invalid and aria-describedby.
+ * The rules themselves (checkRules) also load under Node for scripts/check-validation.js.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const validation = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = validation;
+    } else {
+        root.GeniusgliderValidation = validation;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const TEL_PATTERN = /^[\+]?[1-9][\d]{0,15}$/;
+
+    const MESSAGES = {
+        required: 'This field is required',
+        minLength: (length) => `Minimum ${length} characters required`,
+        maxLength: (length) => `Maximum ${length} characters allowed`,
+        pattern: 'Please match the requested format',
+        email: 'Please enter a valid email address',
+        tel: 'Please enter a valid phone number',
+        minChecked: (count) => (count === 1 ? 'Please select at least one option' : `Please select at least ${count} options`)
+    };
+
+    /**
+     * Shared schemas. Field keys are element ids (or names); fields and groups a form
+     * doesn't contain are skipped, so one schema serves every variant of a form.
+     *
+     * Field rules: required, minLength, maxLength, pattern, email, tel,
+     *   validate: async (value, { field, form }) => error message or nothing,
+     *   messages: { <rule>: 'Custom message' }
+     * Group rules: selector, minChecked, message
+     */
+    const schemas = {
+        consultation: {
+            fields: {
+                'first-name': { required: true, minLength: 2 },
+                'last-name': { required: true, minLength: 2 },
+                'email': { required: true, email: true },
+                'phone': { required: true, validate: phoneError },
+                'company-name': { required: true, minLength: 2 },
+                'job-title': { required: true, minLength: 2 },
+                'company-size': { required: true },
+                'industry': { required: true },
+                'additional-info': { maxLength: 2000 }
+            },
+            groups: {
+                challenges: {
+                    selector: 'input[name="challenges"], input[name="IT Challenges"], input[name="challenge"]',
+                    minChecked: 1,
+                    message: 'Please select at least one IT challenge'
+                },
+                consent: {
+                    selector: 'input[name="consent"][value="session"]',
+                    minChecked: 1,
+                    message: 'Please confirm you would like your free strategy session'
+                }
+            }
+        }
+    };
+
+    const instances = new WeakMap();
+
+    function debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+    }
+
+    function fieldValue(field) {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            return field.checked ? field.value : '';
+        }
+        return field.value.trim();
+    }
+
+    // Per-country rules from assets/js/phone.js, checked against the form's country selector
+    function phoneError(value, { form }) {
+        const Phone = root.GeniusgliderPhone;
+        if (!Phone) {
+            return TEL_PATTERN.test(value.replace(/[\s\-\(\)]/g, '')) ? '' : MESSAGES.tel;
+        }
+
+        const countrySelect = form.querySelector('[data-phone-country]');
+        return Phone.parse(value, countrySelect ? countrySelect.value : Phone.DEFAULT_COUNTRY).error;
+    }
+
+    function message(rules, rule, fallback) {
+        return rules.messages?.[rule] || fallback;
+    }
+
+    // First failing built-in rule for a value, or '' when it passes
+    function checkRules(value, rules) {
+        if (!value) {
+            return rules.required ? message(rules, 'required', MESSAGES.required) : '';
+        }
+        if (rules.minLength && value.length < rules.minLength) {
+            return message(rules, 'minLength', MESSAGES.minLength(rules.minLength));
+        }
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return message(rules, 'maxLength', MESSAGES.maxLength(rules.maxLength));
+        }
+        if (rules.email && !EMAIL_PATTERN.test(value)) {
+            return message(rules, 'email', MESSAGES.email);
+        }
+        if (rules.tel && !TEL_PATTERN.test(value.replace(/[\s\-\(\)]/g, ''))) {
+            return message(rules, 'tel', MESSAGES.tel);
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            return message(rules, 'pattern', MESSAGES.pattern);
+        }
+        return '';
+    }
+
+    class FormValidator {
+        constructor(form, schema) {
+            this.form = form;
+            this.fields = schema.fields || {};
+            this.groups = schema.groups || {};
+            this.pending = new Map(); // Latest check per field, so slow async results can't overwrite newer ones
+
+            this.bindEvents();
+        }
+
+        getField(key) {
+            return this.form.querySelector(`#${CSS.escape(key)}`) ||
+                   this.form.querySelector(`[name="${CSS.escape(key)}"]`);
+        }
+
+        getGroupInputs(name) {
+            return Array.from(this.form.querySelectorAll(this.groups[name].selector));
+        }
+
+        bindEvents() {
+            Object.keys(this.fields).forEach(key => {
+                const field = this.getField(key);
+                if (!field) return;
+
+                field.addEventListener('blur', () => this.validateField(key));
+
+                // Once flagged, re-check while the user types so the error clears as soon as it's fixed
+                field.addEventListener('input', debounce(() => {
+                    if (field.getAttribute('aria-invalid') === 'true') this.validateField(key);
+                }, 300));
+            });
+
+            Object.keys(this.groups).forEach(name => {
+                this.getGroupInputs(name).forEach(input => {
+                    input.addEventListener('change', () => this.validateGroup(name));
+                });
+            });
+        }
+
+        async validateField(key) {
+            const field = this.getField(key);
+            if (!field) return true;
+
+            // Disabled fields (e.g. in a step skipped by a data-show-if condition) aren't sent, so don't block on them
+            if (field.disabled) {
+                this.pending.delete(key);
+                this.clearError([field], key);
+                return true;
+            }
+
+            const rules = this.fields[key];
+            const check = {};
+            this.pending.set(key, check);
+
+            const value = fieldValue(field);
+            let error = checkRules(value, rules);
+            if (!error && value && rules.validate) {
+                try {
+                    error = await rules.validate(value, { field, form: this.form }) || '';
+                } catch (validatorError) {
+                    // A broken custom check shouldn't block the form
+                    console.warn(`Validator for ${key} failed:`, validatorError);
+                }
+            }
+
+            if (this.pending.get(key) !== check) return !error;
+
+            if (error) {
+                this.setError([field], error, key);
+            } else {
+                this.clearError([field], key);
+            }
+            return !error;
+        }
+
+        validateGroup(name) {
+            const allInputs = this.getGroupInputs(name);
+            const inputs = allInputs.filter(input => !input.disabled);
+            if (!inputs.length) {
+                if (allInputs.length) this.clearError(allInputs, name);
+                return true;
+            }
+
+            const group = this.groups[name];
+            const minChecked = group.minChecked || 1;
+            const valid = inputs.filter(input => input.checked).length >= minChecked;
+
+            if (valid) {
+                this.clearError(inputs, name);
+            } else {
+                this.setError(inputs, group.message || MESSAGES.minChecked(minChecked), name);
+            }
+            return valid;
+        }
+
+        /**
+         * Validate every field and group inside `scope` (a form step, or the whole form).
+         *
+         * @returns {Promise<{valid: boolean, invalid: Element[]}>} Invalid controls in document order
+         */
+        async validate(scope = this.form, { focus = true } = {}) {
+            const fieldKeys = Object.keys(this.fields).filter(key => {
+                const field = this.getField(key);
+                return field && scope.contains(field);
+            });
+            const groupNames = Object.keys(this.groups).filter(name => {
+                const inputs = this.getGroupInputs(name);
+                return inputs.length && scope.contains(inputs[0]);
+            });
+
+            await Promise.all(fieldKeys.map(key => this.validateField(key)));
+            groupNames.forEach(name => this.validateGroup(name));
+
+            const invalid = Array.from(scope.querySelectorAll('[aria-invalid="true"]'));
+            if (focus && invalid.length) {
+                invalid[0].focus();
+            }
+            return { valid: invalid.length === 0, invalid };
+        }
+
+        /**
+         * Show errors that came from elsewhere (e.g. the server), keyed by field id or name.
+         *
+         * @returns {{unmatched: string[], firstInvalid: Element|null}}
+         */
+        showErrors(errors) {
+            const unmatched = [];
+            let firstInvalid = null;
+
+            Object.entries(errors).forEach(([key, text]) => {
+                const field = this.getField(key);
+                if (!field) {
+                    unmatched.push(text);
+                    return;
+                }
+                this.setError([field], text, key);
+                firstInvalid = firstInvalid || field;
+            });
+
+            return { unmatched, firstInvalid };
+        }
+
+        reset() {
+            this.form.querySelectorAll('[aria-invalid="true"]').forEach(control => {
+                control.removeAttribute('aria-invalid');
+                control.classList.remove('invalid');
+            });
+            this.form.querySelectorAll('.field-error').forEach(errorElement => {
+                errorElement.textContent = '';
+                errorElement.classList.remove('visible');
+            });
+        }
+
+        // ===== ERROR RENDERING =====
+
+        isGroup(key) {
+            return Object.prototype.hasOwnProperty.call(this.groups, key) &&
+                   !Object.prototype.hasOwnProperty.call(this.fields, key);
+        }
+
+        // Existing markup uses #<field id>-error; groups and id-less fields get one derived from the form
+        errorIdFor(controls, key) {
+            const baseId = (!this.isGroup(key) && controls[0].id) || `${this.form.id || 'form'}-${key.replace(/[^\w-]+/g, '-').toLowerCase()}`;
+            return `${baseId}-error`;
+        }
+
+        errorElementFor(controls, key) {
+            const id = this.errorIdFor(controls, key);
+            let errorElement = document.getElementById(id);
+
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.id = id;
+                errorElement.className = 'field-error';
+                errorElement.setAttribute('aria-live', 'polite');
+
+                // Groups get one message under the whole group; fields get it under the field
+                const anchor = this.isGroup(key) ?
+                    controls[0].closest('fieldset') || controls[0].parentElement :
+                    controls[0].closest('.field-group') || null;
+                if (anchor) {
+                    anchor.appendChild(errorElement);
+                } else {
+                    controls[0].insertAdjacentElement('afterend', errorElement);
+                }
+            }
+
+            return errorElement;
+        }
+
+        setError(controls, text, key) {
+            const errorElement = this.errorElementFor(controls, key);
+            errorElement.textContent = text;
+            errorElement.classList.add('visible');
+
+            controls.forEach(control => {
+                control.setAttribute('aria-invalid', 'true');
+                control.classList.add('invalid');
+
+                const describedBy = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+                if (!describedBy.includes(errorElement.id)) {
+                    control.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+                }
+            });
+        }
+
+        clearError(controls, key) {
+            controls.forEach(control => {
+                control.removeAttribute('aria-invalid');
+                control.classList.remove('invalid');
+            });
+
+            const errorElement = document.getElementById(this.errorIdFor(controls, key));
+            if (errorElement) {
+                errorElement.textContent = '';
+                errorElement.classList.remove('visible');
+            }
+        }
+    }
+
+    /**
+     * Attach a validator to a form. Calling it again for the same form returns the
+     * existing validator, so page scripts and shared scripts can both ask for it.
+     */
+    function create(form, schema = schemas.consultation) {
+        if (!instances.has(form)) {
+            instances.set(form, new FormValidator(form, schema));
+        }
+        return instances.get(form);
+    }
+
+    return {
+        schemas,
+        MESSAGES,
+        checkRules,
+        create
+    };
+});
@@ -0,0 +1,447 @@
+/**
+ * Geniusglider IT Services - Hero Particles
+ * The drifting particle field behind the home page hero. Only draws while the canvas is on
+ * screen and the tab is visible; starts with as many particles as the device can likely afford
+ * (memory, cores, screen, Save-Data) and sheds or adds particles from the measured frame time.
+ * three.js is loaded on demand for WebGL; without WebGL the same field is drawn on a 2D canvas,
+ * and visitors who prefer reduced motion get a static image instead.
+ *
+ *   <canvas data-hero-particles data-three-src="https://.../three.min.js"
+ *           data-static-src="assets/images/hero-particles.svg"></canvas>
+ *
+ * The particle budget also loads under Node for scripts/check-hero-particles.js.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const heroParticles = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = heroParticles;
+    } else {
+        root.GeniusgliderHeroParticles = heroParticles;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const DEFAULTS = {
+        maxParticles: 5000,
+        minParticles: 400,
+        max2dParticles: 1200, // Canvas 2D draws every point on the main thread
+        maxPixelRatio: 2,
+        color: '#3b82f6',     // Blue-500
+        spin: 0.1,            // Radians per second around the vertical axis
+        tilt: 0.3             // Largest rotation the pointer can add
+    };
+
+    // Frame time that makes the field shed particles, and the time that lets it grow again.
+    // Browsers in power-saving mode cap frames at 30fps, which also counts as slow.
+    const SLOW_FRAME = 1000 / 45;
+    const FAST_FRAME = 1000 / 58;
+    const ADAPT_EVERY = 2000; // ms of animation between adjustments
+    const MAX_DELTA = 100;    // Longer gaps (a stall or a resume) don't move the field or count as slow
+
+    // Same camera as the original scene: 75° field of view, two units from the centre
+    const FOV = 75;
+    const CAMERA_DISTANCE = 2;
+    const FIELD_SIZE = 5;
+
+    const reducedMotion = root.matchMedia ? root.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    function prefersReducedMotion() {
+        return Boolean(reducedMotion && reducedMotion.matches);
+    }
+
+    // Probed on a throwaway canvas: once a canvas has a WebGL context it can't draw in 2D
+    function webglAvailable() {
+        try {
+            const probe = root.document.createElement('canvas');
+            return Boolean(root.WebGLRenderingContext && (probe.getContext('webgl') || probe.getContext('experimental-webgl')));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * A first guess at what the device can draw smoothly; the frame time corrects it later.
+     * device defaults to this browser: { navigator, width } (the window's innerWidth).
+     */
+    function particleBudget(settings, { navigator = root.navigator, width = root.innerWidth } = {}) {
+        const connection = navigator.connection || {};
+        let count = settings.maxParticles;
+
+        if (connection.saveData) count *= 0.25;
+        if (navigator.deviceMemory && navigator.deviceMemory <= 2) {
+            count *= 0.4;
+        } else if (navigator.deviceMemory && navigator.deviceMemory <= 4) {
+            count *= 0.7;
+        }
+        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) count *= 0.6;
+        if (width < 768) count *= 0.5;
+
+        return Math.max(settings.minParticles, Math.round(count));
+    }
+
+    // Shed particles while frames are slow, grow back towards the ceiling while they're fast
+    function adaptCount(count, frameTime, ceiling, { minParticles }) {
+        if (frameTime > SLOW_FRAME && count > minParticles) {
+            return Math.max(minParticles, Math.round(count * 0.7));
+        }
+        if (frameTime < FAST_FRAME && count < ceiling) {
+            return Math.min(ceiling, Math.round(count * 1.15));
+        }
+        return count;
+    }
+
+    function randomField(count) {
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < positions.length; i++) {
+            positions[i] = (Math.random() - 0.5) * FIELD_SIZE;
+        }
+        return positions;
+    }
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = root.document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            root.document.head.appendChild(script);
+        });
+    }
+
+    // ===== RENDERERS =====
+    // Both draw the same field: setSize(width, height, pixelRatio), setCount(n),
+    // render(rotationX, rotationY) and destroy().
+
+    class WebGLField {
+        constructor(canvas, positions, settings) {
+            const THREE = root.THREE;
+
+            this.renderer = new THREE.WebGLRenderer({ canvas, alpha: true, powerPreference: 'low-power' });
+            this.scene = new THREE.Scene();
+            this.camera = new THREE.PerspectiveCamera(FOV, 1, 0.1, 1000);
+            this.camera.position.z = CAMERA_DISTANCE;
+
+            // Allocated once at the largest size; fewer particles only shrink the draw range
+            this.geometry = new THREE.BufferGeometry();
+            this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            this.material = new THREE.PointsMaterial({ size: 0.005, color: settings.color });
+            this.points = new THREE.Points(this.geometry, this.material);
+            this.scene.add(this.points);
+        }
+
+        setSize(width, height, pixelRatio) {
+            this.renderer.setPixelRatio(pixelRatio);
+            this.renderer.setSize(width, height, false);
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+        }
+
+        setCount(count) {
+            this.geometry.setDrawRange(0, count);
+        }
+
+        render(rotationX, rotationY) {
+            this.points.rotation.set(rotationX, rotationY, 0);
+            this.renderer.render(this.scene, this.camera);
+        }
+
+        destroy() {
+            this.renderer.clear(); // Otherwise the last frame stays on the canvas
+            this.geometry.dispose();
+            this.material.dispose();
+            this.renderer.dispose();
+        }
+    }
+
+    class CanvasField {
+        constructor(canvas, positions, settings) {
+            this.canvas = canvas;
+            this.context = canvas.getContext('2d');
+            this.positions = positions;
+            this.color = settings.color;
+            this.count = 0;
+            this.focal = 1;
+            this.pixelRatio = 1;
+        }
+
+        setSize(width, height, pixelRatio) {
+            this.canvas.width = Math.round(width * pixelRatio);
+            this.canvas.height = Math.round(height * pixelRatio);
+            this.pixelRatio = pixelRatio;
+            // Same vertical field of view as the WebGL camera
+            this.focal = this.canvas.height / 2 / Math.tan((FOV / 2) * Math.PI / 180);
+        }
+
+        setCount(count) {
+            this.count = count;
+        }
+
+        render(rotationX, rotationY) {
+            const { context, positions, focal } = this;
+            const { width, height } = this.canvas;
+            const cosX = Math.cos(rotationX);
+            const sinX = Math.sin(rotationX);
+            const cosY = Math.cos(rotationY);
+            const sinY = Math.sin(rotationY);
+            const size = Math.max(1, this.pixelRatio);
+
+            context.clearRect(0, 0, width, height);
+            context.fillStyle = this.color;
+
+            for (let i = 0; i < this.count * 3; i += 3) {
+                // Rotate around y, then x, then look from the camera
+                const x = positions[i] * cosY + positions[i + 2] * sinY;
+                const z1 = positions[i + 2] * cosY - positions[i] * sinY;
+                const y = positions[i + 1] * cosX - z1 * sinX;
+                const z = positions[i + 1] * sinX + z1 * cosX;
+                const depth = CAMERA_DISTANCE - z;
+                if (depth < 0.1) continue;
+
+                const scale = focal / depth;
+                context.globalAlpha = Math.min(1, 1.5 / depth);
+                context.fillRect(width / 2 + x * scale, height / 2 - y * scale, size, size);
+            }
+            context.globalAlpha = 1;
+        }
+
+        destroy() {
+            this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    // ===== CONTROLLER =====
+
+    class HeroParticles {
+        constructor(canvas, options = {}) {
+            this.canvas = canvas;
+            this.settings = { ...DEFAULTS, ...options };
+            this.mode = null;  // 'webgl', '2d' or 'static'
+            this.field = null;
+            this.starts = 0;
+            this.count = 0;
+            this.ceiling = 0;
+
+            this.visible = false;
+            this.frame = null;
+            this.lastFrame = 0;
+            this.frameTime = 0; // Moving average, ms
+            this.sinceAdapt = 0;
+            this.elapsed = 0;   // Animated time only, so a pause doesn't jump the rotation
+            this.pointer = { x: 0, y: 0 };
+            this.rotation = { x: 0, y: 0 };
+
+            this.tick = this.tick.bind(this);
+            this.resize = this.resize.bind(this);
+            this.updateRunning = this.updateRunning.bind(this);
+            this.handlePointer = this.handlePointer.bind(this);
+            this.handleMotionPreference = () => this.start();
+
+            this.observe();
+            this.start();
+        }
+
+        // Picks the renderer; called again when the motion preference changes
+        async start() {
+            const attempt = ++this.starts;
+            this.stop();
+            if (this.field) {
+                this.field.destroy();
+                this.field = null;
+            }
+
+            if (prefersReducedMotion()) {
+                this.showStatic();
+                return;
+            }
+
+            const { settings } = this;
+            const webgl = webglAvailable();
+            if (webgl && !root.THREE && settings.threeSrc) {
+                try {
+                    await loadScript(settings.threeSrc);
+                } catch (error) {
+                    console.warn('Hero particles:', error.message);
+                }
+                // The motion preference may have changed while three.js was loading
+                if (attempt !== this.starts) return;
+            }
+
+            this.ceiling = particleBudget(settings);
+            const positions = randomField(settings.maxParticles);
+
+            if (webgl && root.THREE) {
+                try {
+                    this.field = new WebGLField(this.canvas, positions, settings);
+                    this.mode = 'webgl';
+                } catch (error) {
+                    this.field = null;
+                }
+            }
+            if (!this.field) {
+                this.ceiling = Math.min(this.ceiling, settings.max2dParticles);
+                this.field = new CanvasField(this.canvas, positions, settings);
+                this.mode = '2d';
+            }
+
+            this.canvas.classList.remove('hero-particles-static');
+            this.canvas.style.backgroundImage = '';
+            this.setCount(this.ceiling);
+            this.resize();
+            this.updateRunning();
+        }
+
+        showStatic() {
+            this.mode = 'static';
+            this.canvas.classList.add('hero-particles-static');
+            if (this.settings.staticSrc) this.canvas.style.backgroundImage = `url("${this.settings.staticSrc}")`;
+        }
+
+        observe() {
+            if ('IntersectionObserver' in root) {
+                this.intersection = new IntersectionObserver(([entry]) => {
+                    this.visible = entry.isIntersecting;
+                    this.updateRunning();
+                });
+                this.intersection.observe(this.canvas);
+            } else {
+                this.visible = true;
+            }
+
+            // The canvas fills its section, which can resize without the window doing so
+            if ('ResizeObserver' in root) {
+                this.resizeObserver = new ResizeObserver(this.resize);
+                this.resizeObserver.observe(this.canvas);
+            } else {
+                root.addEventListener('resize', this.resize);
+            }
+
+            root.document.addEventListener('visibilitychange', this.updateRunning);
+            root.addEventListener('pointermove', this.handlePointer, { passive: true });
+            if (reducedMotion) reducedMotion.addEventListener('change', this.handleMotionPreference);
+        }
+
+        resize() {
+            if (!this.field) return;
+            const width = this.canvas.clientWidth || root.innerWidth;
+            const height = this.canvas.clientHeight || root.innerHeight;
+            const pixelRatio = Math.min(root.devicePixelRatio || 1, this.settings.maxPixelRatio);
+
+            this.field.setSize(width, height, pixelRatio);
+            if (!this.frame) this.draw(); // Keep a paused canvas from showing a stretched frame
+        }
+
+        setCount(count) {
+            this.count = count;
+            this.field.setCount(count);
+        }
+
+        handlePointer(event) {
+            if (event.pointerType !== 'mouse') return;
+            this.pointer.x = event.clientX / root.innerWidth * 2 - 1;
+            this.pointer.y = event.clientY / root.innerHeight * 2 - 1;
+        }
+
+        // ===== ANIMATION LOOP =====
+
+        updateRunning() {
+            const shouldRun = this.field && this.visible && root.document.visibilityState !== 'hidden';
+            if (shouldRun && !this.frame) {
+                this.lastFrame = 0;
+                this.frame = root.requestAnimationFrame(this.tick);
+            } else if (!shouldRun) {
+                this.stop();
+            }
+        }
+
+        stop() {
+            if (this.frame) root.cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        tick(now) {
+            this.frame = root.requestAnimationFrame(this.tick);
+
+            if (this.lastFrame) {
+                const delta = now - this.lastFrame;
+                if (delta < MAX_DELTA) {
+                    this.elapsed += delta;
+                    this.frameTime = this.frameTime ? this.frameTime * 0.9 + delta * 0.1 : delta;
+                    this.sinceAdapt += delta;
+                    if (this.sinceAdapt >= ADAPT_EVERY) this.adapt();
+                }
+            }
+            this.lastFrame = now;
+            this.draw();
+        }
+
+        draw() {
+            if (!this.field) return;
+            const { spin, tilt } = this.settings;
+
+            // Ease towards the pointer rather than jumping
+            this.rotation.x += (this.pointer.y * tilt - this.rotation.x) * 0.05;
+            this.rotation.y += (this.pointer.x * tilt - this.rotation.y) * 0.05;
+            this.field.render(this.rotation.x, this.rotation.y - spin * this.elapsed / 1000);
+        }
+
+        adapt() {
+            this.sinceAdapt = 0;
+
+            const count = adaptCount(this.count, this.frameTime, this.ceiling, this.settings);
+            if (count !== this.count) this.setCount(count);
+        }
+
+        destroy() {
+            this.stop();
+            if (this.intersection) this.intersection.disconnect();
+            if (this.resizeObserver) this.resizeObserver.disconnect();
+            root.removeEventListener('resize', this.resize);
+            root.document.removeEventListener('visibilitychange', this.updateRunning);
+            root.removeEventListener('pointermove', this.handlePointer);
+            if (reducedMotion) reducedMotion.removeEventListener('change', this.handleMotionPreference);
+            if (this.field) this.field.destroy();
+            this.field = null;
+        }
+    }
+
+    /**
+     * Start the particle field on a canvas. Options override DEFAULTS; threeSrc and staticSrc
+     * default to the canvas's data-three-src and data-static-src attributes.
+     */
+    function mount(canvas, options = {}) {
+        return new HeroParticles(canvas, {
+            threeSrc: canvas.getAttribute('data-three-src'),
+            staticSrc: canvas.getAttribute('data-static-src'),
+            ...options
+        });
+    }
+
+    const instances = [];
+
+    function init() {
+        root.document.querySelectorAll('canvas[data-hero-particles]').forEach((canvas) => {
+            instances.push(mount(canvas));
+        });
+    }
+
+    if (root.document) {
+        if (root.document.readyState === 'loading') {
+            root.document.addEventListener('DOMContentLoaded', init);
+        } else {
+            init();
+        }
+    }
+
+    return {
+        DEFAULTS,
+        instances,
+        particleBudget,
+        adaptCount,
+        mount
+    };
+});
@@ -0,0 +1,146 @@
+/**
+ * Geniusglider IT Services - Lead Scoring Engine
+ * Scores a lead against a JSON rule set (assets/data/lead-scoring-rules.json) and
+ * reports which rules matched, so every score can be explained.
+ * Pure functions only, so rule sets can be checked under Node before they ship.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const engine = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.GeniusgliderLeadScoring = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+    const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+    // ===== OPERATORS =====
+    // Each receives the fact value and the rule value. Empty facts never reach them.
+    const OPERATORS = {
+        equals: (actual, expected) => String(actual) === String(expected),
+        not_equals: (actual, expected) => String(actual) !== String(expected),
+        in: (actual, expected) => asList(expected).map(String).includes(String(actual)),
+        not_in: (actual, expected) => !asList(expected).map(String).includes(String(actual)),
+        gt: (actual, expected) => toNumber(actual) > expected,
+        gte: (actual, expected) => toNumber(actual) >= expected,
+        lt: (actual, expected) => toNumber(actual) < expected,
+        lte: (actual, expected) => toNumber(actual) <= expected,
+        between: (actual, [min, max]) => toNumber(actual) >= min && toNumber(actual) <= max,
+        includes: (actual, expected) => asList(actual).map(String).includes(String(expected)),
+        includes_any: (actual, expected) => asList(actual).some((item) => asList(expected).map(String).includes(String(item))),
+        present: () => true
+    };
+
+    // Matches a field whose value no other rule for that field recognised. Declaring one
+    // for a field is how a rule set says "this field has a fixed set of expected values".
+    const UNMATCHED = 'unmatched';
+
+    const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+    function isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    // Read a dotted path such as 'engagement.pdf_downloaded'
+    function getFact(facts, field) {
+        return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facts);
+    }
+
+    /**
+     * Check a rule set's shape. Returns a list of problems; empty means valid.
+     */
+    function validateRuleSet(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+            return ['Rule set must have a "rules" array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+
+        ruleSet.rules.forEach((rule, index) => {
+            const name = rule?.id || `#${index}`;
+
+            if (!rule?.id) errors.push(`Rule ${name} has no id`);
+            else if (ids.has(rule.id)) errors.push(`Rule ${name} is defined twice`);
+            ids.add(rule?.id);
+
+            if (typeof rule?.field !== 'string' || !rule.field) errors.push(`Rule ${name} has no field`);
+            if (!Number.isFinite(rule?.points)) errors.push(`Rule ${name} needs numeric points`);
+
+            if (rule?.operator !== UNMATCHED && !OPERATORS[rule?.operator]) {
+                errors.push(`Rule ${name} uses unknown operator "${rule?.operator}"`);
+            } else if (NUMERIC_OPERATORS.includes(rule.operator) && !Number.isFinite(rule.value)) {
+                errors.push(`Rule ${name} compares against a non-numeric value`);
+            } else if (rule.operator === 'between' && !(Array.isArray(rule.value) && rule.value.length === 2 && rule.value.every(Number.isFinite))) {
+                errors.push(`Rule ${name} needs a [min, max] value`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Score a lead.
+     *
+     * @param {Object} ruleSet - { version, minScore?, maxScore?, rules: [{ id, field, operator, value, points, label? }] }
+     * @param {Object} facts - Values to score, e.g. { industry: 'finance', engagement: { pdf_downloaded: 1 } }
+     * @returns {Object} { score, rawScore, version, matched: [...rules that fired], unknown: [{ field, value }] }
+     *   `unknown` lists values that fell through to an 'unmatched' rule, so new form options
+     *   show up in the breakdown instead of quietly scoring the fallback.
+     */
+    function evaluate(ruleSet, facts = {}) {
+        const matched = [];
+        const recognised = new Set();
+
+        ruleSet.rules.forEach((rule) => {
+            if (rule.operator === UNMATCHED) return;
+
+            const actual = getFact(facts, rule.field);
+            if (isEmpty(actual)) return;
+
+            if (OPERATORS[rule.operator](actual, rule.value)) {
+                matched.push(rule);
+                recognised.add(rule.field);
+            }
+        });
+
+        const unknown = [];
+        ruleSet.rules.filter((rule) => rule.operator === UNMATCHED).forEach((rule) => {
+            const actual = getFact(facts, rule.field);
+            if (isEmpty(actual) || recognised.has(rule.field)) return;
+
+            unknown.push({ field: rule.field, value: actual });
+            matched.push(rule);
+        });
+
+        const rawScore = matched.reduce((sum, rule) => sum + rule.points, 0);
+        const minScore = Number.isFinite(ruleSet.minScore) ? ruleSet.minScore : 0;
+        const maxScore = Number.isFinite(ruleSet.maxScore) ? ruleSet.maxScore : 100;
+
+        return {
+            score: Math.max(minScore, Math.min(maxScore, rawScore)),
+            rawScore,
+            version: ruleSet.version || null,
+            matched: matched.map((rule) => ({
+                id: rule.id,
+                label: rule.label || rule.id,
+                field: rule.field,
+                points: rule.points
+            })),
+            unknown
+        };
+    }
+
+    return {
+        OPERATORS,
+        validateRuleSet,
+        evaluate
+    };
+});
@@ -0,0 +1,239 @@
+/**
+ * Geniusglider IT Services - Offline Submission Queue
+ * Keeps consultations that couldn't be sent for lack of a connection in IndexedDB and delivers
+ * them later: through Background Sync in sw.js where the browser supports it, otherwise from the
+ * page with exponential backoff and as soon as the browser is back online. Each record keeps the
+ * adapter and endpoint it was sent with (assets/js/form-submit.js), so it replays the same way.
+ * Shares the GeniusgliderDB/offlineForms store that sw.js drains on the 'consultation-form'
+ * sync; the schema here must stay in step with openDB() in sw.js.
+ *
+ *   const id = await enqueue({ adapter: 'web3forms', endpoint, data: payload });
+ *   onSettled(({ id, delivered, message }) => ...);
+ */
+
+(function(root) {
+    'use strict';
+
+    const Submit = root.GeniusgliderSubmit;
+
+    const DB_NAME = 'GeniusgliderDB';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'offlineForms';
+    const SYNC_TAG = 'consultation-form';
+
+    const RETRY = {
+        initialDelay: 5000,
+        maxDelay: 5 * 60 * 1000
+    };
+
+    // Stored with each record so sw.js's sync results are only reported by the page that queued it
+    const PAGE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    const listeners = [];
+    let retryTimer = null;
+    let retryDelay = 0;
+    let flushing = null;
+
+    function isSupported() {
+        return 'indexedDB' in root && Boolean(Submit);
+    }
+
+    function openDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+            };
+        });
+    }
+
+    async function transact(mode, operation) {
+        const db = await openDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            transaction.oncomplete = () => db.close();
+        });
+    }
+
+    function getAll() {
+        return transact('readonly', (store) => store.getAll());
+    }
+
+    function remove(id) {
+        return transact('readwrite', (store) => store.delete(id));
+    }
+
+    // Tell every listener how a queued submission ended, whoever delivered it
+    function settle(result) {
+        root.GeniusgliderAnalytics?.track('form_submit', {
+            category: 'consultation',
+            label: result.delivered ? 'synced' : 'sync_rejected'
+        });
+        listeners.forEach((listener) => listener(result));
+    }
+
+    // Ask the service worker to replay the queue; resolves false when Background Sync is unavailable
+    async function registerSync() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.active || !('sync' in registration)) return false;
+
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Background sync registration failed:', error);
+            return false;
+        }
+    }
+
+    // ===== PAGE RETRY LOOP =====
+    // Fallback for browsers without Background Sync
+
+    function handleOnline() {
+        retryNow();
+    }
+
+    function startRetryLoop() {
+        if (retryTimer !== null) return;
+
+        retryDelay = RETRY.initialDelay;
+        root.addEventListener('online', handleOnline);
+        scheduleRetry();
+    }
+
+    function stopRetryLoop() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        root.removeEventListener('online', handleOnline);
+    }
+
+    function scheduleRetry() {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(retryNow, retryDelay);
+    }
+
+    async function retryNow() {
+        const remaining = await flush().catch(() => -1);
+
+        if (remaining === 0) {
+            stopRetryLoop();
+            return;
+        }
+
+        retryDelay = Math.min(retryDelay * 2, RETRY.maxDelay);
+        scheduleRetry();
+    }
+
+    /**
+     * Deliver queued records in order from the page. Resolves with the number still queued.
+     * A call while a flush is running gets that flush, so no record is sent twice.
+     */
+    function flush() {
+        if (!flushing) {
+            flushing = deliverQueued().finally(() => {
+                flushing = null;
+            });
+        }
+        return flushing;
+    }
+
+    async function deliverQueued() {
+        const records = await getAll();
+
+        for (const record of records) {
+            try {
+                // The retry loop has its own backoff, so each replay is a single attempt
+                await Submit.send(record.data, {
+                    adapter: record.adapter || 'json',
+                    endpoint: record.endpoint,
+                    retries: 0
+                });
+                await remove(record.id);
+                settle({ id: record.id, delivered: true });
+            } catch (error) {
+                // Still offline or the server is struggling: keep the record and try later
+                if (error.retryable) {
+                    return records.length - records.indexOf(record);
+                }
+
+                // The server rejected the payload outright; retrying would never succeed
+                await remove(record.id);
+                settle({ id: record.id, delivered: false, message: error.message });
+            }
+        }
+
+        return 0;
+    }
+
+    async function deliverLater() {
+        if (!(await registerSync())) {
+            startRetryLoop();
+        }
+    }
+
+    /**
+     * Store a submission to send once the connection is back. Resolves with its record id.
+     * @param {Object} record - { adapter, endpoint, data } as passed to GeniusgliderSubmit.send()
+     */
+    async function enqueue({ adapter, endpoint, data }) {
+        const id = await transact('readwrite', (store) => store.add({ adapter, endpoint, data, source: PAGE_ID, timestamp: Date.now() }));
+        await deliverLater();
+        return id;
+    }
+
+    /**
+     * Call back with { id, delivered, message } whenever a queued submission is delivered or rejected.
+     */
+    function onSettled(listener) {
+        listeners.push(listener);
+    }
+
+    if (isSupported()) {
+        // The service worker tells every open page what background sync delivered; only the page
+        // that queued a record reports it. Records whose page has closed have nobody to tell.
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const { type, id, source, message } = event.data || {};
+                if (source !== PAGE_ID) return;
+
+                if (type === 'CONSULTATION_SYNCED') {
+                    settle({ id, delivered: true });
+                } else if (type === 'CONSULTATION_REJECTED') {
+                    settle({ id, delivered: false, message });
+                }
+            });
+        }
+
+        // Anything left over from an earlier visit
+        getAll()
+            .then((records) => {
+                if (records.length) deliverLater();
+            })
+            .catch((error) => console.warn('Could not read offline queue:', error));
+    }
+
+    root.GeniusgliderOfflineQueue = {
+        SYNC_TAG,
+        isSupported,
+        enqueue,
+        getAll,
+        flush,
+        onSettled
+    };
+})(window);
@@ -0,0 +1,580 @@
+/**
+ * Geniusglider IT Services - Performance Monitor
+ * Reports Core Web Vitals from real visits through the analytics layer (assets/js/analytics.js)
+ * on every page. With ?perf=1 in the URL it also runs a diagnostics mode: it records long tasks,
+ * long animation frames and per-resource timing (size, duration, render-blocking), works out
+ * which third-party files cost the most, and shows it all in an on-page overlay.
+ * In that mode the same report is also available from the console through
+ * GeniusgliderPerformance.diagnostics(), which returns null on pages opened without ?perf=1.
+ * Long tasks are not buffered, so they only cover page load where the page collects them early
+ * (window.GeniusgliderEarlyLongTasks, see the inline script at the top of home.html).
+ * Also loads under Node, so scripts/check-performance.js can run it against a stand-in page.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const performanceMonitor = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = performanceMonitor;
+    } else {
+        root.GeniusgliderPerformance = performanceMonitor;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const Analytics = root.GeniusgliderAnalytics;
+
+    // Core Web Vitals "good" and "poor" boundaries (ms, or unitless for CLS), as defined by web.dev
+    const WEB_VITAL_THRESHOLDS = {
+        LCP: [2500, 4000],
+        INP: [200, 500],
+        CLS: [0.1, 0.25],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+
+    // Main-thread work beyond this blocks input (the "long task" definition)
+    const LONG_TASK = 50;
+    const OVERLAY_REFRESH = 2000;
+
+    // Short CSS path for attribution, e.g. "section#hero > h1.hero-title"
+    function describeElement(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return undefined;
+
+        const parts = [];
+        for (let node = element; node && node.nodeType === Node.ELEMENT_NODE && parts.length < 4; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`${node.localName}#${node.id}`);
+                break;
+            }
+            const classes = Array.from(node.classList).slice(0, 2);
+            parts.unshift(node.localName + classes.map((name) => `.${name}`).join(''));
+        }
+        return parts.join(' > ').slice(0, 100);
+    }
+
+    function hostOf(url) {
+        try {
+            return new URL(url, root.location.href).host;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    }
+
+    // good, needs-improvement or poor against the web.dev boundaries
+    function rateMetric(metric, value) {
+        const [good, poor] = WEB_VITAL_THRESHOLDS[metric];
+        return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Add a layout-shift entry to CLS state ({ value, session, sessionEntries }). Shifts less than
+     * 1s apart, in a window at most 5s long, add up to one session; CLS is the worst session.
+     * Shifts right after input are expected and don't count.
+     */
+    function addLayoutShift(cls, entry) {
+        if (entry.hadRecentInput) return cls;
+
+        const { sessionEntries } = cls;
+        const first = sessionEntries[0];
+        const last = sessionEntries[sessionEntries.length - 1];
+
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            cls.session += entry.value;
+            sessionEntries.push(entry);
+        } else {
+            cls.session = entry.value;
+            cls.sessionEntries = [entry];
+        }
+        cls.value = Math.max(cls.value, cls.session);
+        return cls;
+    }
+
+    /**
+     * Reports LCP, INP, CLS, FCP and TTFB once per page view. FCP and TTFB are final as soon as
+     * they are known; LCP once the visitor first interacts or the page is hidden; CLS and INP when
+     * the page is first hidden, since later shifts and interactions still count until then.
+     */
+    class PerformanceMonitor {
+        constructor() {
+            this.metrics = {};
+            this.reported = new Set();
+            this.navigation = performance.getEntriesByType?.('navigation')?.[0];
+            this.activationStart = this.navigation?.activationStart || 0;
+            this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+
+            this.lcpEntry = null;
+            this.cls = { value: 0, session: 0, sessionEntries: [] };
+            this.interactions = new Map(); // interactionId -> longest event entry
+            this.diagnostics = null;
+
+            this.init();
+        }
+
+        init() {
+            if (!('PerformanceObserver' in root)) return;
+
+            this.measurePageLoad();
+            this.measureCoreWebVitals();
+        }
+
+        measurePageLoad() {
+            root.addEventListener('load', () => {
+                const perfData = performance.getEntriesByType?.('navigation')?.[0];
+                if (!perfData) return;
+
+                this.metrics.pageLoad = {
+                    domContentLoaded: perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart,
+                    fullLoad: perfData.loadEventEnd - perfData.loadEventStart
+                };
+
+                Analytics?.track('performance', {
+                    category: 'page_load',
+                    label: 'dom_content_loaded',
+                    value: this.metrics.pageLoad.domContentLoaded
+                });
+            });
+        }
+
+        // navigate, reload, back-forward or prerender
+        navigationType() {
+            if (document.prerendering || this.activationStart > 0) return 'prerender';
+            return (this.navigation?.type || 'navigate').replace(/_/g, '-');
+        }
+
+        // Observe an entry type only where the browser supports it; older browsers throw otherwise
+        observe(type, callback, options = {}) {
+            if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+
+            try {
+                const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+                observer.observe({ type, buffered: true, ...options });
+                return observer;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        measureCoreWebVitals() {
+            this.reportTTFB();
+
+            this.observe('paint', (entries) => {
+                const fcp = entries.find((entry) => entry.name === 'first-contentful-paint');
+                if (fcp && fcp.startTime < this.firstHiddenTime) {
+                    this.report('FCP', Math.max(fcp.startTime - this.activationStart, 0));
+                }
+            });
+
+            this.lcpObserver = this.observe('largest-contentful-paint', (entries) => {
+                entries.forEach((entry) => {
+                    if (entry.startTime < this.firstHiddenTime) this.lcpEntry = entry;
+                });
+            });
+
+            // Kept so CLS and INP are only reported where the browser measures them (not Safari or
+            // Firefox for CLS), rather than as a zero that reads as "good"
+            this.clsObserver = this.observe('layout-shift', (entries) => entries.forEach((entry) => addLayoutShift(this.cls, entry)));
+
+            // Interactions of 40ms or more; INP needs the slow ones
+            this.inpObserver = this.observe('event', (entries) => entries.forEach((entry) => this.addInteraction(entry)), { durationThreshold: 40 });
+            this.observe('first-input', (entries) => entries.forEach((entry) => this.addInteraction(entry)));
+
+            // LCP stops changing once the visitor interacts
+            ['keydown', 'click'].forEach((type) => {
+                root.addEventListener(type, () => this.reportLCP(), { once: true, capture: true });
+            });
+
+            const onHidden = () => {
+                if (document.visibilityState !== 'hidden') return;
+                this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+                this.reportFinal();
+            };
+            document.addEventListener('visibilitychange', onHidden, true);
+            root.addEventListener('pagehide', () => this.reportFinal(), true);
+        }
+
+        reportTTFB() {
+            if (!this.navigation) return;
+
+            const report = () => this.report('TTFB', Math.max(this.navigation.responseStart - this.activationStart, 0));
+            if (document.readyState === 'complete') {
+                report();
+            } else {
+                root.addEventListener('load', report, { once: true });
+            }
+        }
+
+        reportLCP() {
+            if (this.lcpObserver) {
+                this.lcpObserver.takeRecords().forEach((entry) => {
+                    if (entry.startTime < this.firstHiddenTime) this.lcpEntry = entry;
+                });
+                this.lcpObserver.disconnect();
+            }
+            if (!this.lcpEntry) return;
+
+            this.report('LCP', Math.max(this.lcpEntry.startTime - this.activationStart, 0), {
+                target: describeElement(this.lcpEntry.element),
+                resource_url: this.lcpEntry.url || undefined
+            });
+        }
+
+        addInteraction(entry) {
+            if (!entry.interactionId) return;
+
+            const known = this.interactions.get(entry.interactionId);
+            if (!known || entry.duration > known.duration) {
+                this.interactions.set(entry.interactionId, entry);
+            }
+        }
+
+        // The slowest interaction, ignoring one for every 50 (close to the 98th percentile)
+        inpEntry() {
+            if (!this.interactions.size) return null;
+
+            const slowest = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+            return slowest[Math.min(slowest.length - 1, Math.floor(this.interactions.size / 50))];
+        }
+
+        reportCLS() {
+            if (!this.clsObserver) return;
+
+            this.clsObserver.takeRecords().forEach((entry) => addLayoutShift(this.cls, entry));
+            this.report('CLS', this.cls.value);
+        }
+
+        reportINP() {
+            // first-input alone would report the first interaction, not the slowest
+            if (!this.inpObserver) return;
+
+            const entry = this.inpEntry();
+            if (!entry) return;
+
+            this.report('INP', entry.duration, {
+                target: describeElement(entry.target),
+                interaction_type: entry.name.startsWith('key') ? 'keyboard' : 'pointer'
+            });
+        }
+
+        reportFinal() {
+            this.reportLCP();
+            this.reportCLS();
+            this.reportINP();
+
+            // The analytics layer flushed on this same event before these were queued
+            Analytics?.flush({ beacon: true });
+        }
+
+        // Each metric is sent once per page view
+        report(metric, value, attribution = {}) {
+            if (this.reported.has(metric)) return;
+            this.reported.add(metric);
+
+            const rounded = metric === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+            this.metrics[metric.toLowerCase()] = rounded;
+
+            Analytics?.track('web_vital', {
+                metric,
+                value: rounded,
+                rating: rateMetric(metric, value),
+                navigation_type: this.navigationType(),
+                ...attribution
+            });
+        }
+
+        // ===== DIAGNOSTICS =====
+
+        startDiagnostics() {
+            if (this.diagnostics || !('PerformanceObserver' in root)) return;
+
+            // The default buffer of 250 fills quickly on the heavier pages
+            performance.setResourceTimingBufferSize?.(1000);
+
+            this.diagnostics = {
+                longTasks: [],
+                longFrames: [],
+                resources: [],
+                supported: {},
+                // Scripts without async/defer and stylesheets stop rendering until they load; used
+                // where the browser doesn't report renderBlockingStatus itself
+                blockingUrls: new Set(Array.from(document.querySelectorAll(
+                    'script[src]:not([async]):not([defer]):not([type="module"]), link[rel="stylesheet"]:not([media="print"])'
+                ), (element) => new URL(element.src || element.href, root.location.href).href))
+            };
+
+            const { supported } = this.diagnostics;
+            const addLongTasks = (entries) => entries.forEach((entry) => this.diagnostics.longTasks.push({
+                start: Math.round(entry.startTime),
+                duration: Math.round(entry.duration),
+                container: entry.attribution?.[0]?.containerSrc || entry.attribution?.[0]?.containerType || 'window'
+            }));
+
+            // Take over from the page's early observer, if it has one, without missing a task in between
+            const early = root.GeniusgliderEarlyLongTasks;
+            if (early?.observer) {
+                addLongTasks([...early.entries, ...early.observer.takeRecords()]);
+                early.observer.disconnect();
+            }
+            this.diagnostics.longTasksFromStart = Boolean(early?.observer);
+            supported.longtask = Boolean(this.observe('longtask', addLongTasks));
+
+            // Long animation frames (Chromium 123+) say which scripts ran during the slow frame
+            supported.longAnimationFrame = Boolean(this.observe('long-animation-frame', (entries) => {
+                entries.forEach((entry) => this.diagnostics.longFrames.push({
+                    start: Math.round(entry.startTime),
+                    duration: Math.round(entry.duration),
+                    blockingDuration: Math.round(entry.blockingDuration || 0),
+                    scripts: (entry.scripts || []).map((script) => ({
+                        source: script.sourceURL || '',
+                        invoker: script.invoker || '',
+                        duration: Math.round(script.duration)
+                    }))
+                }));
+            }));
+
+            supported.resource = Boolean(this.observe('resource', (entries) => {
+                entries.forEach((entry) => this.diagnostics.resources.push(this.describeResource(entry)));
+            }));
+        }
+
+        describeResource(entry) {
+            const host = hostOf(entry.name);
+            return {
+                url: entry.name,
+                host,
+                thirdParty: host !== root.location.host,
+                type: entry.initiatorType,
+                start: Math.round(entry.startTime),
+                duration: Math.round(entry.duration),
+                // 0 when served from cache, or cross-origin without Timing-Allow-Origin
+                transferSize: entry.transferSize || 0,
+                bodySize: entry.decodedBodySize || 0,
+                renderBlocking: entry.renderBlockingStatus ?
+                    entry.renderBlockingStatus === 'blocking' :
+                    this.diagnostics.blockingUrls.has(entry.name)
+            };
+        }
+
+        // Third-party files by cost: main-thread time from long animation frames, then bytes
+        thirdPartyCosts() {
+            const { resources, longFrames } = this.diagnostics;
+            const costs = new Map();
+
+            resources.filter((resource) => resource.thirdParty).forEach((resource) => {
+                costs.set(resource.url, {
+                    url: resource.url,
+                    host: resource.host,
+                    type: resource.type,
+                    transferSize: resource.transferSize,
+                    duration: resource.duration,
+                    renderBlocking: resource.renderBlocking,
+                    mainThread: 0
+                });
+            });
+
+            longFrames.forEach((frame) => frame.scripts.forEach((script) => {
+                const cost = costs.get(script.source);
+                if (cost) cost.mainThread += script.duration;
+            }));
+
+            return Array.from(costs.values())
+                .sort((a, b) => (b.mainThread - a.mainThread) || (b.transferSize - a.transferSize));
+        }
+
+        /**
+         * Everything diagnostics mode has seen so far, as plain data.
+         */
+        diagnosticsReport() {
+            if (!this.diagnostics) return null;
+
+            const { longTasks, longFrames, resources, supported } = this.diagnostics;
+            const longest = (items) => items.reduce((max, item) => Math.max(max, item.duration), 0);
+
+            return {
+                page: root.location.pathname,
+                collectedAt: new Date().toISOString(),
+                supported: { ...supported },
+                vitals: {
+                    ...this.metrics,
+                    cls: Math.round(this.cls.value * 1000) / 1000,
+                    inp: this.inpEntry() ? Math.round(this.inpEntry().duration) : null
+                },
+                longTasks: {
+                    includesPageLoad: this.diagnostics.longTasksFromStart,
+                    count: longTasks.length,
+                    totalBlockingTime: longTasks.reduce((sum, task) => sum + Math.max(task.duration - LONG_TASK, 0), 0),
+                    longest: longest(longTasks)
+                },
+                longAnimationFrames: {
+                    count: longFrames.length,
+                    totalBlockingDuration: longFrames.reduce((sum, frame) => sum + frame.blockingDuration, 0),
+                    longest: longest(longFrames)
+                },
+                resources: {
+                    count: resources.length,
+                    transferSize: resources.reduce((sum, resource) => sum + resource.transferSize, 0),
+                    renderBlocking: resources.filter((resource) => resource.renderBlocking).map((resource) => resource.url),
+                    slowest: [...resources].sort((a, b) => b.duration - a.duration).slice(0, 10)
+                },
+                thirdParty: this.thirdPartyCosts()
+            };
+        }
+    }
+
+    // ===== DIAGNOSTICS OVERLAY =====
+    // Debug-only, so it brings its own styles rather than adding them to every page's CSS
+
+    const OVERLAY_STYLES = `
+        .perf-overlay { position: fixed; right: 12px; bottom: 12px; z-index: 2147483000; width: min(560px, calc(100% - 24px)); max-height: 70vh; overflow: auto; padding: 12px 14px; border-radius: 8px; background: rgba(15, 23, 42, 0.95); color: #e2e8f0; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.4); }
+        .perf-overlay h2 { margin: 0 0 8px; font-size: 13px; }
+        .perf-overlay h3 { margin: 12px 0 4px; font-size: 12px; color: #93c5fd; }
+        .perf-overlay table { width: 100%; border-collapse: collapse; }
+        .perf-overlay td, .perf-overlay th { padding: 2px 6px 2px 0; text-align: left; vertical-align: top; }
+        .perf-overlay td.num, .perf-overlay th.num { text-align: right; white-space: nowrap; }
+        .perf-overlay .perf-url { max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .perf-overlay .perf-bad { color: #fca5a5; }
+        .perf-overlay .perf-actions { display: flex; gap: 6px; float: right; }
+        .perf-overlay button { padding: 2px 8px; border: 1px solid #475569; border-radius: 4px; background: #1e293b; color: inherit; font: inherit; cursor: pointer; }
+    `;
+
+    class DiagnosticsOverlay {
+        constructor(monitor) {
+            this.monitor = monitor;
+            this.element = null;
+            this.timer = null;
+        }
+
+        show() {
+            if (this.element) return;
+
+            const style = document.createElement('style');
+            style.textContent = OVERLAY_STYLES;
+            document.head.appendChild(style);
+
+            this.element = document.createElement('aside');
+            this.element.className = 'perf-overlay';
+            this.element.setAttribute('aria-label', 'Performance diagnostics');
+            this.element.addEventListener('click', (event) => this.handleAction(event));
+            document.body.appendChild(this.element);
+
+            this.render();
+            this.timer = setInterval(() => this.render(), OVERLAY_REFRESH);
+        }
+
+        hide() {
+            clearInterval(this.timer);
+            this.element?.remove();
+            this.element = null;
+        }
+
+        async handleAction(event) {
+            const action = event.target.closest('[data-perf-action]')?.getAttribute('data-perf-action');
+            const report = this.monitor.diagnosticsReport();
+
+            if (action === 'close') {
+                this.hide();
+            } else if (action === 'log') {
+                console.log('Performance diagnostics', report);
+                console.table(report.thirdParty);
+            } else if (action === 'copy') {
+                try {
+                    await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+                    event.target.textContent = 'Copied';
+                } catch (error) {
+                    console.log(JSON.stringify(report, null, 2));
+                    event.target.textContent = 'See console';
+                }
+            }
+        }
+
+        render() {
+            const report = this.monitor.diagnosticsReport();
+            const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+            const unsupported = (key) => (report.supported[key] ? '' : ' <em>(not supported in this browser)</em>');
+            const afterLoad = report.supported.longtask && !report.longTasks.includesPageLoad ?
+                ' <em>(since diagnostics started; page load not included)</em>' : '';
+            const vitals = Object.entries(report.vitals)
+                .filter(([, value]) => typeof value === 'number')
+                .map(([name, value]) => `${name.toUpperCase()} ${value}`)
+                .join(' · ');
+
+            const thirdParty = report.thirdParty.slice(0, 8).map((cost) => `
+                <tr>
+                    <td class="perf-url" title="${escapeHTML(cost.url)}">${escapeHTML(cost.host)}${escapeHTML(new URL(cost.url).pathname)}</td>
+                    <td class="num">${cost.mainThread} ms</td>
+                    <td class="num">${kb(cost.transferSize)}</td>
+                    <td class="num">${cost.duration} ms</td>
+                    <td>${cost.renderBlocking ? '<span class="perf-bad">blocking</span>' : ''}</td>
+                </tr>
+            `).join('');
+
+            const slowest = report.resources.slowest.slice(0, 5).map((resource) => `
+                <tr>
+                    <td class="perf-url" title="${escapeHTML(resource.url)}">${escapeHTML(resource.url.replace(/^https?:\/\//, ''))}</td>
+                    <td>${escapeHTML(resource.type)}</td>
+                    <td class="num">${resource.duration} ms</td>
+                </tr>
+            `).join('');
+
+            this.element.innerHTML = `
+                <div class="perf-actions">
+                    <button type="button" data-perf-action="copy">Copy JSON</button>
+                    <button type="button" data-perf-action="log">Log</button>
+                    <button type="button" data-perf-action="close" aria-label="Close diagnostics">&times;</button>
+                </div>
+                <h2>Performance diagnostics</h2>
+                <div>${vitals || 'No vitals yet'}</div>
+
+                <h3>Main thread</h3>
+                <div>Long tasks: ${report.longTasks.count}, blocking ${report.longTasks.totalBlockingTime} ms, longest ${report.longTasks.longest} ms${unsupported('longtask')}${afterLoad}</div>
+                <div>Long animation frames: ${report.longAnimationFrames.count}, blocking ${report.longAnimationFrames.totalBlockingDuration} ms, longest ${report.longAnimationFrames.longest} ms${unsupported('longAnimationFrame')}</div>
+
+                <h3>Third-party cost</h3>
+                <table>
+                    <tr><th>File</th><th class="num">Main thread</th><th class="num">Transfer</th><th class="num">Load</th><th></th></tr>
+                    ${thirdParty || '<tr><td colspan="5">None loaded</td></tr>'}
+                </table>
+
+                <h3>Resources</h3>
+                <div>${report.resources.count} requests, ${kb(report.resources.transferSize)} transferred, ${report.resources.renderBlocking.length} render-blocking${unsupported('resource')}</div>
+                <table>${slowest}</table>
+            `;
+        }
+    }
+
+    const performanceMonitor = {
+        WEB_VITAL_THRESHOLDS,
+        rateMetric,
+        addLayoutShift
+    };
+
+    if (root.document) {
+        const monitor = new PerformanceMonitor();
+
+        if (new URLSearchParams(root.location.search).get('perf') === '1') {
+            monitor.startDiagnostics();
+
+            const showOverlay = () => new DiagnosticsOverlay(monitor).show();
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', showOverlay);
+            } else {
+                showOverlay();
+            }
+        }
+
+        performanceMonitor.monitor = monitor;
+        performanceMonitor.diagnostics = () => {
+            const report = monitor.diagnosticsReport();
+            if (!report) console.info('Performance diagnostics only run with ?perf=1 in the URL; reload the page with it.');
+            return report;
+        };
+    }
+
+    return performanceMonitor;
+});
@@ -0,0 +1,370 @@
+/**
+ * Geniusglider IT Services - Phone Numbers
+ * Per-country length and prefix rules for the consultation form's phone field, as-you-type
+ * formatting and E.164 normalisation. The metadata is bundled here so nothing is fetched.
+ * The parsing functions are pure and also load under Node; attach() wires up an input.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const phone = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = phone;
+    } else {
+        root.GeniusgliderPhone = phone;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    const DEFAULT_COUNTRY = 'IN';
+
+    // E.164 allows at most 15 digits including the country code
+    const MAX_DIGITS = 15;
+    const MIN_INTERNATIONAL_DIGITS = 8;
+
+    /**
+     * Countries offered in the selector, in display order.
+     * lengths: allowed national number lengths (without the trunk prefix)
+     * leading: what a valid national number starts with
+     * trunk: domestic prefix people type before the national number, e.g. the 0 in 07700 900123
+     * templates: display formats, one per length; # is a digit
+     */
+    const COUNTRIES = {
+        IN: {
+            name: 'India',
+            dialCode: '91',
+            lengths: [10],
+            leading: /^[1-9]/,
+            trunk: '0',
+            templates: ['##### #####'],
+            messages: {
+                length: 'Indian mobile numbers have 10 digits',
+                leading: 'Please enter the 10-digit number without the leading 0'
+            }
+        },
+        US: {
+            name: 'United States',
+            dialCode: '1',
+            lengths: [10],
+            leading: /^[2-9]\d{2}[2-9]/,
+            trunk: '1',
+            templates: ['(###) ###-####'],
+            messages: {
+                length: 'US numbers have 10 digits including the area code',
+                leading: 'US area codes and exchanges can\'t start with 0 or 1'
+            }
+        },
+        CA: {
+            name: 'Canada',
+            dialCode: '1',
+            lengths: [10],
+            leading: /^[2-9]\d{2}[2-9]/,
+            trunk: '1',
+            templates: ['(###) ###-####'],
+            messages: {
+                length: 'Canadian numbers have 10 digits including the area code',
+                leading: 'Canadian area codes and exchanges can\'t start with 0 or 1'
+            }
+        },
+        GB: {
+            name: 'United Kingdom',
+            dialCode: '44',
+            lengths: [9, 10],
+            leading: /^[1-9]/,
+            trunk: '0',
+            templates: ['#### #####', '#### ######'],
+            messages: {
+                length: 'UK numbers have 10 or 11 digits including the leading 0',
+                leading: 'UK numbers start with a single 0'
+            }
+        },
+        AE: {
+            name: 'United Arab Emirates',
+            dialCode: '971',
+            lengths: [8, 9],
+            leading: /^[2-9]/,
+            trunk: '0',
+            templates: ['# ### ####', '## ### ####'],
+            messages: {
+                length: 'UAE numbers have 9 digits for mobiles (05X) or 8 for landlines, after the leading 0',
+                leading: 'UAE numbers start with a single 0'
+            }
+        },
+        SG: {
+            name: 'Singapore',
+            dialCode: '65',
+            lengths: [8],
+            leading: /^[3689]/,
+            trunk: '',
+            templates: ['#### ####'],
+            messages: {
+                length: 'Singapore numbers have 8 digits',
+                leading: 'Singapore numbers start with 3, 6, 8 or 9'
+            }
+        },
+        AU: {
+            name: 'Australia',
+            dialCode: '61',
+            lengths: [9],
+            leading: /^[2-478]/,
+            trunk: '0',
+            templates: ['### ### ###'],
+            messages: {
+                length: 'Australian numbers have 10 digits including the leading 0',
+                leading: 'Australian numbers start with 02, 03, 04, 07 or 08'
+            }
+        }
+    };
+
+    const MESSAGES = {
+        empty: 'Please enter a phone number',
+        international: `International numbers have ${MIN_INTERNATIONAL_DIGITS} to ${MAX_DIGITS} digits including the country code`,
+        unknownCountry: 'Please choose a country or start the number with + and the country code'
+    };
+
+    const instances = new WeakMap();
+
+    function getCountry(code) {
+        return COUNTRIES[String(code || '').toUpperCase()] ? String(code).toUpperCase() : null;
+    }
+
+    // Country for a number typed with its country code; the selected country wins ties (+1 is US and Canada)
+    function countryForDigits(digits, preferred) {
+        if (preferred && digits.startsWith(COUNTRIES[preferred].dialCode)) return preferred;
+
+        return Object.keys(COUNTRIES)
+            .filter((code) => digits.startsWith(COUNTRIES[code].dialCode))
+            .sort((a, b) => COUNTRIES[b].dialCode.length - COUNTRIES[a].dialCode.length)[0] || null;
+    }
+
+    // Split typed text into { international, digits }; 00 is the common international prefix outside NANP
+    function readDigits(input) {
+        const text = String(input || '').trim();
+        const digits = text.replace(/\D/g, '');
+
+        if (text.startsWith('+')) return { international: true, digits };
+        if (text.startsWith('00')) return { international: true, digits: digits.slice(2) };
+        return { international: false, digits };
+    }
+
+    // National significant number: drop a trunk prefix, or a country code typed without the +
+    function nationalDigits(digits, country) {
+        const { dialCode, lengths, trunk } = COUNTRIES[country];
+        const longest = Math.max(...lengths);
+
+        if (trunk && digits.startsWith(trunk) && lengths.includes(digits.length - trunk.length)) {
+            return digits.slice(trunk.length);
+        }
+        if (digits.length > longest && digits.startsWith(dialCode) && lengths.includes(digits.length - dialCode.length)) {
+            return digits.slice(dialCode.length);
+        }
+        return digits;
+    }
+
+    /**
+     * Check a phone number.
+     *
+     * @param {string} input - What the visitor typed, e.g. '098765 43210' or '+44 7700 900123'
+     * @param {string} [countryCode] - Selected country; ignored when the number carries its own country code
+     * @returns {Object} { valid, error, country, nationalNumber, e164 }
+     */
+    function parse(input, countryCode = DEFAULT_COUNTRY) {
+        const { international, digits } = readDigits(input);
+        const selected = getCountry(countryCode);
+
+        if (!digits) {
+            return { valid: false, error: MESSAGES.empty, country: selected, nationalNumber: '', e164: null };
+        }
+
+        let country = selected;
+        let national = digits;
+
+        if (international) {
+            country = countryForDigits(digits, selected);
+
+            // Countries we have no rules for only get the E.164 length check
+            if (!country) {
+                const valid = digits.length >= MIN_INTERNATIONAL_DIGITS && digits.length <= MAX_DIGITS;
+                return {
+                    valid,
+                    error: valid ? '' : MESSAGES.international,
+                    country: null,
+                    nationalNumber: digits,
+                    e164: valid ? `+${digits}` : null
+                };
+            }
+            national = digits.slice(COUNTRIES[country].dialCode.length);
+        } else if (!country) {
+            return { valid: false, error: MESSAGES.unknownCountry, country: null, nationalNumber: digits, e164: null };
+        } else {
+            national = nationalDigits(digits, country);
+        }
+
+        const rules = COUNTRIES[country];
+        let error = '';
+        if (!rules.lengths.includes(national.length)) {
+            error = rules.messages.length;
+        } else if (!rules.leading.test(national)) {
+            error = rules.messages.leading;
+        }
+
+        return {
+            valid: !error,
+            error,
+            country,
+            nationalNumber: national,
+            e164: error ? null : `+${rules.dialCode}${national}`
+        };
+    }
+
+    function toE164(input, countryCode = DEFAULT_COUNTRY) {
+        return parse(input, countryCode).e164;
+    }
+
+    // Lay digits over the shortest template that fits them; extra digits are kept, not dropped
+    function applyTemplate(digits, templates) {
+        const template = templates.find((candidate) => candidate.split('#').length - 1 >= digits.length) ||
+                         templates[templates.length - 1];
+        let output = '';
+        let index = 0;
+
+        for (const char of template) {
+            if (index >= digits.length) break;
+            if (char === '#') {
+                output += digits[index++];
+            } else {
+                output += char;
+            }
+        }
+        return output + digits.slice(index);
+    }
+
+    /**
+     * Format a partly typed number for display, e.g. '9876543' -> '98765 43'.
+     */
+    function format(input, countryCode = DEFAULT_COUNTRY) {
+        const { international, digits } = readDigits(input);
+        if (!digits) return international ? '+' : '';
+
+        if (international) {
+            const country = countryForDigits(digits, getCountry(countryCode));
+            if (!country) return `+${digits}`;
+
+            const { dialCode, templates } = COUNTRIES[country];
+            const national = digits.slice(dialCode.length);
+            return national ? `+${dialCode} ${applyTemplate(national, templates)}` : `+${digits}`;
+        }
+
+        const country = getCountry(countryCode);
+        if (!country) return digits;
+
+        const { trunk, templates } = COUNTRIES[country];
+        if (trunk && digits.startsWith(trunk)) {
+            return trunk + applyTemplate(digits.slice(trunk.length), templates);
+        }
+        return applyTemplate(digits, templates);
+    }
+
+    // ===== FORM FIELD =====
+
+    function fillCountrySelect(select) {
+        const selected = getCountry(select.value) || DEFAULT_COUNTRY;
+        select.innerHTML = '';
+
+        Object.entries(COUNTRIES).forEach(([code, country]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${country.name} (+${country.dialCode})`;
+            option.defaultSelected = code === selected;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    // Put the caret back after the same number of digits once the value is reformatted
+    function caretAfterDigits(value, digitCount) {
+        if (digitCount === 0) return value.startsWith('+') ? 1 : 0;
+
+        let seen = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (/\d/.test(value[i]) && ++seen === digitCount) return i + 1;
+        }
+        return value.length;
+    }
+
+    /**
+     * Format a phone input as the visitor types and follow its country selector
+     * ([data-phone-country] in the same form). Calling it again returns the same controller.
+     *
+     * @returns {{ country: Function, parse: Function, normalize: Function }}
+     */
+    function attach(input) {
+        if (instances.has(input)) return instances.get(input);
+
+        const select = input.form ? input.form.querySelector('[data-phone-country]') : null;
+        if (select) fillCountrySelect(select);
+
+        const country = () => (select ? select.value : DEFAULT_COUNTRY);
+
+        const reformat = () => {
+            const caret = input.selectionStart ?? input.value.length;
+            const digitsBeforeCaret = input.value.slice(0, caret).replace(/\D/g, '').length;
+            const formatted = format(input.value, country());
+
+            if (formatted !== input.value) {
+                input.value = formatted;
+                if (document.activeElement === input) {
+                    const position = caretAfterDigits(formatted, digitsBeforeCaret);
+                    input.setSelectionRange(position, position);
+                }
+            }
+
+            // A number typed with its country code picks the country for the visitor
+            const detected = parse(input.value, country()).country;
+            if (select && detected && detected !== select.value && readDigits(input.value).international) {
+                select.value = detected;
+            }
+        };
+
+        input.addEventListener('input', (event) => {
+            // Let deletions through untouched so backspacing over a space or bracket isn't undone
+            if (event.inputType && event.inputType.startsWith('delete')) return;
+            reformat();
+        });
+        input.addEventListener('blur', reformat);
+
+        if (select) {
+            select.addEventListener('change', () => {
+                reformat();
+                // Re-run validation for the new country's rules
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+        }
+
+        const controller = {
+            country,
+            parse: () => parse(input.value, country()),
+            // Rewrite the field as E.164 (+919876543210) right before it is sent
+            normalize: () => {
+                const e164 = toE164(input.value, country());
+                if (e164) input.value = e164;
+                return e164;
+            }
+        };
+
+        instances.set(input, controller);
+        return controller;
+    }
+
+    return {
+        DEFAULT_COUNTRY,
+        COUNTRIES,
+        MESSAGES,
+        parse,
+        format,
+        toE164,
+        attach
+    };
+});
@@ -0,0 +1,17 @@
+/**
+ * Geniusglider IT Services - Proof of Work Worker
+ * Solves the form guard's SHA-256 challenge off the main thread so typing stays smooth.
+ * Receives { challenge, difficulty } and replies { proof } (null if it gave up).
+ */
+
+importScripts('form-guard.js');
+
+self.onmessage = async (event) => {
+    const { challenge, difficulty } = event.data;
+
+    try {
+        self.postMessage({ proof: await self.GeniusgliderGuard.solve(challenge, difficulty) });
+    } catch (error) {
+        self.postMessage({ proof: null, error: error.message });
+    }
+};
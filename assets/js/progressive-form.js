@@ -0,0 +1,853 @@
+/**
+ * Geniusglider IT Services - Progressive Form
+ * The multi-step consultation form behaviour shared by every page. It mounts on each
+ * .progressive-form: steps, progress, validation, conditional steps, drafts, ?step= history,
+ * phone formatting, the email assistant, the budget slider, lead scoring (lead-scoring.js) and
+ * submission, which is queued for later (offline-queue.js) when there is no connection.
+ *
+ * Configuration comes from data attributes on the form:
+ *   data-schema="consultation"        validation schema in GeniusgliderValidation.schemas ('off' for none)
+ *   data-submit="native"              'native' posts the form to its action and leaves the page;
+ *                                     an adapter name from form-submit.js ('web3forms', 'json', 'form',
+ *                                     'mailto') sends it in the background; other handlers are added
+ *                                     with registerSubmitHandler() (app.js adds 'api')
+ *   data-endpoint="/api/leads"        where adapters send (defaults to the form's action)
+ *   data-fallback="mailto"            offer to email the answers when sending fails
+ *   data-mailto="hello@example.com"   address for the mailto adapter and fallback
+ *   data-guard="off"                  no spam protection (form-guard.js); otherwise tune it with
+ *   data-guard-min-seconds="3"        data-guard-min-seconds, data-guard-difficulty (proof of work bits)
+ *   data-guard-max-per-hour="3"       and data-guard-max-per-hour
+ *   data-draft-key="contact"          localStorage key for the draft (defaults to the form id)
+ *   data-draft-max-age-days="7"       how long a draft is offered back
+ *   data-draft-exclude="notes, promo" field names or ids never stored in the draft
+ *   data-draft="off"                  no draft at all
+ *   data-step-history="off"           keep the step out of the URL and history
+ *   data-lead-scoring="off"           send no lead_score; otherwise the URL of the rule set
+ *                                     (defaults to /assets/data/lead-scoring-rules.json)
+ *
+ * Everything else is found by class next to the form (in its .form-container, or its parent):
+ * .form-step[data-step], .btn-prev, .btn-next, .btn-submit, .progress-fill, .progress-steps .step,
+ * [data-progress-label], [data-progress-count] and .form-success. A [data-engagement-summary]
+ * field inside the form is filled with the visitor's engagement (engagement.js) as it is sent,
+ * if they allowed marketing.
+ */
+
+(function(root) {
+    'use strict';
+
+    const Validation = root.GeniusgliderValidation;
+    const Phone = root.GeniusgliderPhone;
+    const EmailCheck = root.GeniusgliderEmail;
+    const Draft = root.GeniusgliderDraft;
+    const Conditions = root.GeniusgliderConditions;
+    const Submit = root.GeniusgliderSubmit;
+    const Guard = root.GeniusgliderGuard;
+    const OfflineQueue = root.GeniusgliderOfflineQueue;
+    const LeadScoring = root.GeniusgliderLeadScoring;
+    const Engagement = root.GeniusgliderEngagement;
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const LEAD_SCORING_RULES = '/assets/data/lead-scoring-rules.json';
+
+    const instances = new WeakMap();
+
+    // Rule sets by URL, fetched once however many forms use them
+    const ruleSets = new Map();
+
+    const submitHandlers = {
+        // Hand the form to the browser to post to its action once every step checks out
+        native: (component) => {
+            component.draft?.clear();
+            component.guard?.recordSubmission();
+            component.form.submit();
+        }
+    };
+
+    // Any data-submit naming an adapter in form-submit.js
+    async function sendWithAdapter(component, adapter) {
+        const payload = Submit.serialize(new FormData(component.form));
+        const options = component.submitOptions(adapter);
+
+        component.setSubmitState(true);
+        component.clearError();
+        try {
+            await component.addLeadScore(payload);
+            // Structured backends get the signals behind the score; text adapters carry the
+            // readable [data-engagement-summary] field instead
+            const engagement = Engagement?.getSummary();
+            if (engagement && adapter === 'json') payload.engagement = engagement;
+
+            const result = await Submit.send(payload, options);
+            component.showSuccess();
+            trackEvent('form_submit', 'consultation', 'success', result.attempts);
+        } catch (error) {
+            // Offline: keep the answers and send them once the connection is back
+            if (error.code === 'network' && await component.queueOffline(payload, options)) return;
+
+            console.error('Form submission error:', error);
+            component.showSubmitError(error, payload);
+            root.GeniusgliderAnalytics?.track('form_submit', { category: 'consultation', label: 'error', code: error.code });
+        } finally {
+            component.setSubmitState(false);
+        }
+    }
+
+    // Category/label/value events, see the schema in assets/js/analytics.js
+    function trackEvent(action, category, label, value) {
+        root.GeniusgliderAnalytics?.track(action, { category, label, value });
+    }
+
+    function formatAmount(value, currency) {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: currency || 'INR',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(value);
+    }
+
+    // One line for the [data-engagement-summary] field: which pages and actions led up to the request
+    function describeEngagement(summary) {
+        const signals = Object.entries(summary.signals).map(([name, count]) => `${name} x${count}`);
+        const pages = summary.pages.map((page) => `${page.path} (${page.views} views, ${page.max_scroll}% scrolled)`);
+
+        return [
+            `Page views: ${summary.page_views}`,
+            `Signals: ${signals.join(', ') || 'none'}`,
+            `Pages: ${pages.join('; ') || 'none'}`,
+            `First seen: ${summary.first_seen}`
+        ].join(' | ');
+    }
+
+    function listAttribute(value) {
+        return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+    }
+
+    // Resolves the rule set, or null when it can't be loaded or is malformed (leads then go through unscored)
+    function loadRuleSet(url) {
+        if (!ruleSets.has(url)) {
+            ruleSets.set(url, fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then((response) => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then((ruleSet) => {
+                    const problems = LeadScoring.validateRuleSet(ruleSet);
+                    if (problems.length) throw new Error(problems.join('; '));
+                    return ruleSet;
+                })
+                .catch((error) => {
+                    console.warn('Lead scoring rules unavailable:', error.message);
+                    return null;
+                }));
+        }
+        return ruleSets.get(url);
+    }
+
+    class ProgressiveForm {
+        constructor(form) {
+            this.form = form;
+            this.scope = form.closest('.form-container') || form.parentElement;
+            this.steps = form.querySelectorAll('.form-step');
+            this.totalSteps = this.steps.length;
+            this.currentStep = null;
+            this.submitting = false;
+
+            this.progressBar = this.scope.querySelector('.progress-fill');
+            this.progressSteps = this.scope.querySelectorAll('.progress-steps .step');
+            this.progressLabel = this.scope.querySelector('[data-progress-label]');
+            this.progressCount = this.scope.querySelector('[data-progress-count]');
+            this.prevBtn = this.scope.querySelector('.btn-prev');
+            this.nextBtn = this.scope.querySelector('.btn-next');
+            this.submitBtn = this.scope.querySelector('.btn-submit');
+            this.formSuccess = this.scope.querySelector('.form-success');
+
+            const btnText = this.submitBtn?.querySelector('.btn-text') || this.submitBtn;
+            this.submitLabel = btnText ? btnText.textContent.trim() : '';
+
+            this.init();
+        }
+
+        init() {
+            this.setupValidation();
+            this.setupConditions();
+            this.bindEvents();
+            this.setupBudgetRange();
+            this.setupPhone();
+            this.setupEmailAssistant();
+            this.setupGuard();
+            this.setupOfflineQueue();
+            this.setupLeadScoring();
+
+            // Load any draft before the first step is recorded, or the step would overwrite it
+            this.setupDraft();
+            const saved = this.draft?.load();
+
+            // Steps can only be reached by filling in earlier ones, so a bookmarked ?step= starts over
+            this.goToStep(this.activeSteps()[0] || 1, { history: 'replace' });
+            this.setupStepHistory();
+
+            if (saved) this.offerDraft(saved);
+        }
+
+        setupValidation() {
+            const schemaName = this.form.getAttribute('data-schema') || 'consultation';
+            if (!Validation || schemaName === 'off') return;
+
+            if (!Validation.schemas[schemaName]) {
+                console.warn(`Unknown form schema "${schemaName}"`);
+                return;
+            }
+            this.validator = Validation.create(this.form, Validation.schemas[schemaName]);
+        }
+
+        setupGuard() {
+            if (!Guard || this.form.getAttribute('data-guard') === 'off') return;
+
+            const options = {};
+            const minSeconds = parseFloat(this.form.getAttribute('data-guard-min-seconds'));
+            const difficulty = parseInt(this.form.getAttribute('data-guard-difficulty'), 10);
+            const maxPerHour = parseInt(this.form.getAttribute('data-guard-max-per-hour'), 10);
+            if (minSeconds >= 0) options.minTime = minSeconds * 1000;
+            if (difficulty > 0) options.difficulty = difficulty;
+            if (maxPerHour > 0) options.maxPerHour = maxPerHour;
+
+            this.guard = Guard.create(this.form, options);
+        }
+
+        // Submissions this form queued while offline (offline-queue.js), by record id
+        setupOfflineQueue() {
+            if (!OfflineQueue?.isSupported()) return;
+
+            this.queuedIds = new Set();
+            OfflineQueue.onSettled((result) => this.handleQueuedSettled(result));
+        }
+
+        setupLeadScoring() {
+            const source = this.form.getAttribute('data-lead-scoring');
+            if (!LeadScoring || source === 'off') return;
+
+            this.scoringRules = loadRuleSet(source || LEAD_SCORING_RULES);
+        }
+
+        // The answers and behaviour the rule set scores, named as in lead-scoring-rules.json.
+        // Disabled fields belong to skipped steps and don't count.
+        collectLeadFacts() {
+            const value = (id) => {
+                const field = this.form.querySelector(`#${id}`);
+                return field && !field.disabled ? field.value.trim() : '';
+            };
+            const challenges = Array.from(
+                this.form.querySelectorAll('input[name="challenges"]:checked:enabled, input[name="IT Challenges"]:checked:enabled, input[name="challenge"]:checked:enabled'),
+                (input) => input.value
+            );
+            const email = value('email');
+            const budget = parseInt(value('budget'), 10);
+
+            // business, personal or disposable; disposable addresses are penalised by the rule set
+            const emailType = (email && EmailCheck?.check(email).type) || '';
+
+            return {
+                email_type: emailType,
+                company_size: value('company-size'),
+                industry: value('industry'),
+                budget: Number.isFinite(budget) ? budget : null,
+                challenges,
+                challenge_count: challenges.length,
+                engagement: Engagement?.getSummary()?.signals || {}
+            };
+        }
+
+        // Resolves LeadScoring.evaluate()'s { score, matched, unknown, ... }, or null without rules
+        async scoreLead() {
+            const ruleSet = await this.scoringRules;
+            if (!ruleSet) return null;
+
+            return LeadScoring.evaluate(ruleSet, this.collectLeadFacts());
+        }
+
+        /**
+         * Add lead_score and the lead_score_breakdown that explains it (rules version, the
+         * rules that matched, values no rule recognised) to a payload.
+         * Resolves the score, or null when the lead goes through unscored.
+         */
+        async addLeadScore(payload) {
+            const scoring = await this.scoreLead();
+            if (!scoring) return null;
+
+            payload.lead_score = scoring.score;
+            payload.lead_score_breakdown = {
+                rules_version: scoring.version,
+                matched: scoring.matched.map((rule) => ({ id: rule.id, points: rule.points })),
+                unknown: scoring.unknown
+            };
+            return scoring.score;
+        }
+
+        // Steps and fields with data-show-if appear once earlier answers call for them
+        setupConditions() {
+            if (!Conditions) return;
+
+            this.conditions = Conditions.create(this.form);
+            this.conditions.onChange(() => {
+                this.updateProgress();
+                this.updateNavigation();
+            });
+        }
+
+        bindEvents() {
+            if (this.prevBtn) {
+                this.prevBtn.addEventListener('click', () => this.previousStep());
+            }
+            if (this.nextBtn) {
+                this.nextBtn.addEventListener('click', () => this.nextStep());
+            }
+
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+            this.form.addEventListener('keydown', (e) => this.handleKeydown(e));
+            this.form.addEventListener('focusin', (e) => this.trackFieldFocus(e));
+        }
+
+        setupDraft() {
+            if (!Draft || this.form.getAttribute('data-draft') === 'off') return;
+
+            const maxAgeDays = parseFloat(this.form.getAttribute('data-draft-max-age-days'));
+            this.draft = Draft.create(this.form, {
+                key: this.form.getAttribute('data-draft-key') || this.form.id || 'form',
+                maxAge: maxAgeDays > 0 ? maxAgeDays * DAY : Draft.DEFAULT_MAX_AGE,
+                exclude: listAttribute(this.form.getAttribute('data-draft-exclude'))
+            });
+        }
+
+        offerDraft(saved) {
+            this.draft.offerResume(saved, {
+                onResume: (draft) => {
+                    this.guard?.markDraftRestored();
+                    this.goToStep(draft.step, { history: 'replace' });
+                    trackEvent('form_draft', 'consultation', 'resumed', draft.step);
+                },
+                onDiscard: () => {
+                    this.goToStep(this.activeSteps()[0] || 1, { history: 'replace' });
+                    trackEvent('form_draft', 'consultation', 'discarded');
+                }
+            });
+        }
+
+        // Each step gets a history entry (?step=2), so back and forward move between steps
+        historyEnabled() {
+            return Boolean(Draft) && this.totalSteps > 1 && this.form.getAttribute('data-step-history') !== 'off';
+        }
+
+        setupStepHistory() {
+            if (!this.historyEnabled()) return;
+
+            root.addEventListener('popstate', (event) => {
+                const step = event.state?.formStep || Draft.readStep() || 1;
+                this.goToStep(step, { history: 'none' });
+            });
+        }
+
+        // Range inputs show their amount in <output for="id">
+        setupBudgetRange() {
+            this.form.querySelectorAll('input[type="range"]').forEach((range) => {
+                const output = range.id ? this.form.querySelector(`output[for="${CSS.escape(range.id)}"]`) : null;
+                if (!output) return;
+
+                const update = () => {
+                    const value = parseInt(range.value, 10);
+                    const atMax = range.max !== '' && value >= parseInt(range.max, 10);
+                    output.textContent = formatAmount(value, range.getAttribute('data-currency')) + (atMax ? '+' : '');
+                };
+                range.addEventListener('input', update);
+                update();
+            });
+        }
+
+        setupPhone() {
+            const phoneField = this.form.querySelector('[data-intl-tel]');
+            if (phoneField && Phone) {
+                this.phoneField = phoneField;
+                this.phone = Phone.attach(phoneField);
+            }
+        }
+
+        // Typo fixes and work address hints under the email field
+        setupEmailAssistant() {
+            const emailField = this.form.querySelector('input[type="email"]');
+            if (!emailField || !EmailCheck) return;
+
+            emailField.addEventListener('blur', () => this.handleEmailValidation(emailField));
+
+            // The work address suggestion depends on the company name, which may come later
+            const companyField = this.form.querySelector('#company-name');
+            if (companyField) {
+                companyField.addEventListener('change', () => {
+                    if (emailField.value.trim()) this.handleEmailValidation(emailField);
+                });
+            }
+        }
+
+        handleEmailValidation(emailField) {
+            const companyName = this.form.querySelector('#company-name')?.value || '';
+            const check = EmailCheck.check(emailField.value, { companyName });
+
+            // One hint at a time: fix a typo first, then nudge towards a work address
+            if (check.suggestion) {
+                this.showEmailSuggestion(emailField, EmailCheck.MESSAGES.typo, check.suggestion);
+            } else if (check.isDisposable) {
+                const message = check.workEmail ? EmailCheck.MESSAGES.disposableWork : EmailCheck.MESSAGES.disposable;
+                this.showEmailSuggestion(emailField, message, check.workEmail);
+            } else if (check.isPersonal && check.workEmail) {
+                this.showEmailSuggestion(emailField, EmailCheck.MESSAGES.personal, check.workEmail);
+            } else {
+                this.emailSuggestion?.remove();
+            }
+        }
+
+        showEmailSuggestion(emailField, message, suggestion) {
+            const suggestionDiv = this.emailSuggestion || this.createEmailSuggestion(emailField);
+            const text = suggestionDiv.querySelector('.suggestion-text');
+            const button = suggestionDiv.querySelector('.suggestion-btn');
+
+            text.textContent = suggestion ? `${message} ` : message;
+            button.textContent = suggestion || '';
+            button.hidden = !suggestion;
+            suggestionDiv.querySelector('.suggestion-end').textContent = suggestion ? '?' : '';
+
+            // Reuse one element so repeated blurs don't stack suggestions
+            if (!suggestionDiv.isConnected) {
+                emailField.insertAdjacentElement('afterend', suggestionDiv);
+            }
+        }
+
+        createEmailSuggestion(emailField) {
+            const suggestionDiv = document.createElement('div');
+            suggestionDiv.className = 'email-suggestion';
+            suggestionDiv.setAttribute('aria-live', 'polite');
+            suggestionDiv.innerHTML = `
+                <small>
+                    <span class="suggestion-text"></span><button type="button" class="suggestion-btn"></button><span class="suggestion-end"></span>
+                </small>
+            `;
+
+            suggestionDiv.querySelector('.suggestion-btn').addEventListener('click', (event) => {
+                emailField.value = event.currentTarget.textContent;
+                suggestionDiv.remove();
+                emailField.dispatchEvent(new Event('input', { bubbles: true }));
+                emailField.focus();
+
+                // A corrected gmail.com address can still earn a work address hint
+                this.handleEmailValidation(emailField);
+                trackEvent('email_suggestion_accepted', 'consultation');
+            });
+
+            this.emailSuggestion = suggestionDiv;
+            return suggestionDiv;
+        }
+
+        // ===== STEPS =====
+
+        stepNumber(step, index) {
+            return parseInt(step.getAttribute('data-step')) || index + 1;
+        }
+
+        stepElement(number) {
+            return Array.from(this.steps).find((step, index) => this.stepNumber(step, index) === number) || null;
+        }
+
+        // Step numbers the visitor will actually see, in order
+        activeSteps() {
+            return Array.from(this.steps)
+                .map((step, index) => (step.hidden ? null : this.stepNumber(step, index)))
+                .filter((number) => number !== null);
+        }
+
+        isLastStep() {
+            const active = this.activeSteps();
+            return !active.length || this.currentStep >= active[active.length - 1];
+        }
+
+        async validateCurrentStep() {
+            const currentStepElement = this.stepElement(this.currentStep);
+            if (!currentStepElement || !this.validator) return true;
+
+            const { valid } = await this.validator.validate(currentStepElement);
+            return valid;
+        }
+
+        async nextStep() {
+            if (!(await this.validateCurrentStep())) return;
+
+            const next = this.activeSteps().find(step => step > this.currentStep);
+            if (next) {
+                this.goToStep(next);
+                trackEvent('form_step', 'consultation', `step_${this.currentStep}`);
+            }
+        }
+
+        previousStep() {
+            const previous = this.activeSteps().reverse().find(step => step < this.currentStep);
+            if (previous) {
+                this.goToStep(previous);
+            }
+        }
+
+        /**
+         * Show a step and remember it in the draft and the URL.
+         * history: 'push' adds a back-button entry, 'replace' corrects the current one,
+         * 'none' is for steps reached through the back button itself.
+         */
+        goToStep(stepNumber, { history = 'push' } = {}) {
+            if (!stepNumber) return;
+
+            // A skipped step (e.g. from an old ?step= URL) resolves to the next one shown
+            const active = this.activeSteps();
+            const step = active.find(number => number >= stepNumber) || active[active.length - 1] || 1;
+            if (step !== this.currentStep) {
+                this.currentStep = step;
+                this.updateSteps();
+                this.updateProgress();
+                this.updateNavigation();
+            }
+
+            this.draft?.setStep(step);
+            if (this.historyEnabled() && history !== 'none') {
+                Draft.writeStep(step, { replace: history === 'replace' });
+            }
+        }
+
+        // Bring a field's step into view, then focus it
+        focusField(field) {
+            const step = field.closest('.form-step');
+            const index = Array.prototype.indexOf.call(this.steps, step);
+            this.goToStep(index >= 0 ? this.stepNumber(step, index) : this.currentStep);
+            field.focus();
+        }
+
+        updateSteps() {
+            this.steps.forEach((step, index) => {
+                step.classList.toggle('active', this.stepNumber(step, index) === this.currentStep);
+            });
+        }
+
+        // Progress counts only the steps this visitor's answers lead to
+        updateProgress() {
+            const active = this.activeSteps();
+            const position = active.filter(step => step <= this.currentStep).length;
+            const total = Math.max(active.length, 1);
+
+            if (this.progressBar) {
+                this.progressBar.style.width = `${(position / total) * 100}%`;
+            }
+
+            // Update progress steps, hiding the labels of skipped steps
+            this.progressSteps.forEach((step, index) => {
+                const number = this.stepNumber(step, index);
+                step.hidden = !active.includes(number);
+                step.classList.toggle('active', number <= this.currentStep);
+            });
+
+            // "Step 2: Company Details" from the step's data-step-title or legend
+            if (this.progressLabel) {
+                const current = this.stepElement(this.currentStep);
+                const title = current?.getAttribute('data-step-title') || current?.querySelector('legend')?.textContent.trim();
+                this.progressLabel.textContent = title ? `Step ${position}: ${title}` : `Step ${position}`;
+            }
+            if (this.progressCount) {
+                this.progressCount.textContent = `${position} / ${total}`;
+            }
+        }
+
+        updateNavigation() {
+            if (this.prevBtn) {
+                this.prevBtn.disabled = this.currentStep <= this.activeSteps()[0];
+            }
+
+            // Clearing the inline display hands it back to the page's button styles
+            const last = this.isLastStep();
+            if (this.nextBtn) this.nextBtn.style.display = last ? 'none' : '';
+            if (this.submitBtn) this.submitBtn.style.display = last ? '' : 'none';
+        }
+
+        // ===== SUBMISSION =====
+
+        async handleSubmit(e) {
+            e?.preventDefault();
+            if (this.submitting) return;
+
+            // Check every step, not just the visible one, and send the visitor to the first problem
+            if (this.validator) {
+                const { valid, invalid } = await this.validator.validate(this.form, { focus: false });
+                if (!valid) {
+                    this.focusField(invalid[0]);
+                    return;
+                }
+            }
+
+            // Send the phone number as E.164 whatever format it was typed in
+            this.phone?.normalize();
+            this.fillEngagementSummary();
+
+            this.submitting = true;
+            try {
+                if (await this.passesGuard()) {
+                    await this.submitHandler()(this, e);
+                }
+            } finally {
+                this.submitting = false;
+            }
+        }
+
+        // Tell sales which pages and actions led up to the request
+        fillEngagementSummary() {
+            const field = this.form.querySelector('[data-engagement-summary]');
+            const summary = Engagement?.getSummary();
+            if (field) field.value = summary ? describeEngagement(summary) : '';
+        }
+
+        submitHandler() {
+            const mode = this.form.getAttribute('data-submit') || 'native';
+            if (submitHandlers[mode]) return submitHandlers[mode];
+            if (Submit?.adapters[mode]) return (component) => sendWithAdapter(component, mode);
+
+            console.warn(`No submit handler "${mode}"; posting the form instead`);
+            return submitHandlers.native;
+        }
+
+        // Spam checks, and the signals for the backend in the _guard field
+        async passesGuard() {
+            if (!this.guard) return true;
+
+            this.clearError();
+            this.setSubmitState(true); // The proof of work may still be finishing
+            let verdict;
+            try {
+                verdict = await this.guard.prepare();
+            } finally {
+                this.setSubmitState(false);
+            }
+
+            if (verdict.status === 'spam') {
+                // Nothing is sent, but a bot shouldn't learn that
+                this.showSuccess();
+            } else if (verdict.status === 'blocked') {
+                this.showError(verdict.message);
+            }
+            if (verdict.status !== 'ok') {
+                trackEvent('form_guard', 'consultation', verdict.reason);
+            }
+            return verdict.status === 'ok';
+        }
+
+        setSubmitState(loading) {
+            if (!this.submitBtn) return;
+
+            this.submitBtn.setAttribute('data-loading', loading);
+            this.submitBtn.disabled = loading;
+
+            const btnText = this.submitBtn.querySelector('.btn-text');
+            const loadingText = this.submitBtn.getAttribute('data-loading-text');
+            if (btnText && loadingText) {
+                btnText.textContent = loading ? loadingText : this.submitLabel;
+            }
+        }
+
+        // Where and how adapters send this form
+        submitOptions(adapter) {
+            return {
+                adapter,
+                endpoint: this.form.getAttribute('data-endpoint') || this.form.getAttribute('action') || undefined,
+                to: this.form.getAttribute('data-mailto') || undefined
+            };
+        }
+
+        /**
+         * Queue a submission that failed for lack of a connection. Resolves false when it
+         * can't be queued, so the caller shows the error instead.
+         * @param {Object} options - { adapter, endpoint } to replay it with
+         */
+        async queueOffline(payload, { adapter, endpoint }) {
+            if (!this.queuedIds) return false;
+
+            // The spam proof's age counts up to now, not to whenever the connection comes back
+            if (this.guard && payload[Guard.FIELD_NAME]) payload[Guard.FIELD_NAME] = Guard.markQueued(payload[Guard.FIELD_NAME]);
+
+            try {
+                this.queuedIds.add(await OfflineQueue.enqueue({ adapter, endpoint, data: payload }));
+            } catch (error) {
+                console.error('Could not queue offline submission:', error);
+                return false;
+            }
+
+            this.showQueued();
+            trackEvent('form_submit', 'consultation', 'queued_offline');
+            return true;
+        }
+
+        showQueued() {
+            // The queued request holds the answers now
+            this.draft?.clear();
+            this.form.style.display = 'none';
+
+            let queuedNotice = this.scope.querySelector('.form-queued');
+            if (!queuedNotice) {
+                queuedNotice = document.createElement('div');
+                queuedNotice.className = 'form-queued';
+                queuedNotice.setAttribute('role', 'status');
+                this.form.parentNode.insertBefore(queuedNotice, this.form);
+            }
+
+            queuedNotice.innerHTML = `
+                <h3>You're offline — request queued</h3>
+                <p>We've saved your details on this device and will send them automatically when you're back online.</p>
+            `;
+        }
+
+        handleQueuedSettled({ id, delivered, message }) {
+            // Only the form that queued the submission reflects its outcome
+            if (!this.queuedIds.has(id)) return;
+            this.queuedIds.delete(id);
+
+            this.scope.querySelector('.form-queued')?.remove();
+
+            if (delivered) {
+                this.showSuccess();
+            } else {
+                this.form.style.display = '';
+                this.showError(message || 'We could not deliver your request. Please review it and try again.');
+            }
+        }
+
+        /**
+         * Show why a submission failed: field errors next to their fields, anything else
+         * above the form, with the mailto fallback when the form offers one.
+         */
+        showSubmitError(error, payload) {
+            const fieldErrors = error.fieldErrors || {};
+            const unmatched = this.showFieldErrors(fieldErrors);
+            if (unmatched.length || !Object.keys(fieldErrors).length) {
+                this.showError(error.name === 'SubmissionError' ? error.message : 'Something went wrong. Please try again.');
+                this.offerFallback(payload);
+            }
+        }
+
+        offerFallback(payload) {
+            const to = this.form.getAttribute('data-mailto');
+            const errorDiv = this.scope.querySelector('.form-error');
+            if (this.form.getAttribute('data-fallback') !== 'mailto' || !to || !Submit || !errorDiv) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary form-error-fallback';
+            button.textContent = 'Email your answers instead';
+            button.addEventListener('click', () => {
+                Submit.send(payload, { adapter: 'mailto', to })
+                    .then(() => trackEvent('form_submit', 'consultation', 'mailto_fallback'))
+                    .catch((error) => console.warn('Mail fallback unavailable:', error.message));
+            });
+            errorDiv.querySelector('.error-message').appendChild(button);
+        }
+
+        // Show server-side field errors (keyed by field id or name) next to their fields.
+        // Returns the messages that matched no field.
+        showFieldErrors(fieldErrors) {
+            if (!this.validator) return Object.values(fieldErrors);
+
+            const { unmatched, firstInvalid } = this.validator.showErrors(fieldErrors);
+            if (firstInvalid) {
+                this.focusField(firstInvalid);
+            }
+            return unmatched;
+        }
+
+        showSuccess() {
+            this.draft?.clear();
+            this.guard?.recordSubmission();
+            this.form.style.display = 'none';
+            if (this.formSuccess) {
+                this.formSuccess.style.display = 'block';
+            }
+        }
+
+        showError(message) {
+            // Create or update error message
+            let errorDiv = this.scope.querySelector('.form-error');
+            if (!errorDiv) {
+                errorDiv = document.createElement('div');
+                errorDiv.className = 'form-error';
+                errorDiv.setAttribute('role', 'alert');
+                this.form.parentNode.insertBefore(errorDiv, this.form);
+            }
+
+            // Messages can come from the server, so never render them as HTML
+            errorDiv.innerHTML = `
+                <div class="error-message">
+                    <strong>Error:</strong> <span class="error-text"></span>
+                </div>
+            `;
+            errorDiv.querySelector('.error-text').textContent = message;
+        }
+
+        clearError() {
+            const errorDiv = this.scope.querySelector('.form-error');
+            if (errorDiv) {
+                errorDiv.remove();
+            }
+        }
+
+        handleKeydown(e) {
+            // Enter moves on a step; buttons and textareas keep their own Enter behaviour
+            if (e.key !== 'Enter' || e.target.type === 'textarea' || e.target.tagName === 'BUTTON') return;
+
+            e.preventDefault();
+            if (!this.isLastStep()) {
+                this.nextStep();
+            } else if (typeof this.form.requestSubmit === 'function') {
+                // Goes through the submit event so other submit listeners still run
+                this.form.requestSubmit();
+            } else {
+                this.handleSubmit();
+            }
+        }
+
+        trackFieldFocus(e) {
+            const fieldName = e.target.id || e.target.name;
+            if (fieldName) {
+                trackEvent('form_interaction', 'field_focus', fieldName);
+            }
+        }
+    }
+
+    /**
+     * Mount the component on a form. Calling it again for the same form returns the same instance.
+     */
+    function mount(form) {
+        if (!instances.has(form)) {
+            instances.set(form, new ProgressiveForm(form));
+        }
+        return instances.get(form);
+    }
+
+    /**
+     * Add a data-submit mode. The handler receives the mounted form once every step is valid
+     * and may return a promise; a second submit is ignored until it settles.
+     */
+    function registerSubmitHandler(name, handler) {
+        submitHandlers[name] = handler;
+    }
+
+    function mountAll() {
+        document.querySelectorAll('.progressive-form').forEach((form) => mount(form));
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+
+    root.GeniusgliderProgressiveForm = {
+        mount,
+        registerSubmitHandler
+    };
+})(window);
@@ -0,0 +1,344 @@
+/**
+ * Geniusglider IT Services - ROI Engine
+ * Single ROI model behind the home page calculator (home.html) and the case-studies
+ * calculator (calculateAdvancedROI in simple.js),
+ * plus the query-string format used to share a calculator scenario, and loadModel() to fetch the
+ * figures sales tuned for an industry. Everything else is pure functions, so it runs unchanged
+ * in the browser and under Node.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const engine = factory(root);
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.GeniusgliderROI = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function(root) {
+    'use strict';
+
+    // ===== MODEL =====
+    // Every assumption lives here as data; loadModel() may override any part of it.
+    const DEFAULT_MODEL = Object.freeze({
+        version: 'bundled',
+        improvements: Object.freeze({
+            incidentReduction: 0.40,        // Up to 40% fewer IT issues
+            resolutionTimeReduction: 0.50,  // Up to 50% faster resolution
+            infrastructureSavings: 0.15     // Up to 15% of current IT spend optimised away
+        }),
+        defaults: Object.freeze({
+            resolutionHours: 4,             // Hours to resolve an issue today
+            hourlyCost: 500                 // ₹ per employee hour
+        }),
+        affectedStaff: Object.freeze({
+            share: 0.30,                    // 30% of staff affected by each issue...
+            max: 20                         // ...capped at 20 people
+        }),
+        pricingTiers: Object.freeze([
+            Object.freeze({ maxEmployees: 10, monthlyFee: 15000, label: 'Small business' }),
+            Object.freeze({ maxEmployees: 25, monthlyFee: 25000, label: 'Small-medium' }),
+            Object.freeze({ maxEmployees: 50, monthlyFee: 40000, label: 'Medium' }),
+            Object.freeze({ maxEmployees: 100, monthlyFee: 65000, label: 'Medium-large' }),
+            Object.freeze({ maxEmployees: 250, monthlyFee: 120000, label: 'Large' }),
+            Object.freeze({ maxEmployees: 500, monthlyFee: 200000, label: 'Enterprise' }),
+            Object.freeze({ maxEmployees: null, monthlyFee: 350000, label: 'Large enterprise' })
+        ])
+    });
+
+    const isRatio = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+    const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+    // Pick valid numeric overrides for the keys of `base`; anything else keeps the base value
+    function mergeNumbers(base, overrides, isValid) {
+        const merged = { ...base };
+        Object.keys(base).forEach((key) => {
+            const value = Number(overrides?.[key]);
+            if (overrides && key in overrides && isValid(value)) {
+                merged[key] = value;
+            }
+        });
+        return merged;
+    }
+
+    function sanitizeTiers(tiers) {
+        if (!Array.isArray(tiers) || !tiers.length) return null;
+
+        const sanitized = tiers.map((tier) => ({
+            maxEmployees: tier.maxEmployees === null ? null : Number(tier.maxEmployees),
+            monthlyFee: Number(tier.monthlyFee),
+            label: String(tier.label || '')
+        }));
+
+        const valid = sanitized.every((tier) =>
+            (tier.maxEmployees === null || isPositive(tier.maxEmployees)) && isPositive(tier.monthlyFee)
+        );
+        if (!valid) return null;
+
+        // Open-ended tier last, the rest by size
+        return sanitized.sort((a, b) => (a.maxEmployees ?? Infinity) - (b.maxEmployees ?? Infinity));
+    }
+
+    /**
+     * Build a model from partial overrides, ignoring invalid values so a bad
+     * server response can never produce absurd figures.
+     */
+    function createModel(overrides = {}) {
+        const affectedStaff = mergeNumbers(DEFAULT_MODEL.affectedStaff, overrides.affectedStaff, isPositive);
+        if (!isRatio(affectedStaff.share)) {
+            affectedStaff.share = DEFAULT_MODEL.affectedStaff.share;
+        }
+
+        return {
+            version: overrides.version || DEFAULT_MODEL.version,
+            improvements: mergeNumbers(DEFAULT_MODEL.improvements, overrides.improvements, isRatio),
+            defaults: mergeNumbers(DEFAULT_MODEL.defaults, overrides.defaults, isPositive),
+            affectedStaff,
+            pricingTiers: sanitizeTiers(overrides.pricingTiers) || DEFAULT_MODEL.pricingTiers
+        };
+    }
+
+    // Only the dev server answers here; the static site has no /api/*
+    const MODEL_ENDPOINT = '/api/roi-calculator';
+    const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+    /**
+     * Fetch the model tuned for an industry from `endpoint`, or from the dev server's
+     * MODEL_ENDPOINT on localhost. Anywhere else there is nothing to ask, so it resolves
+     * DEFAULT_MODEL without a request; it also falls back to DEFAULT_MODEL if the request fails.
+     *
+     * @param {string} industry - Value of the calculator's #roi-industry select
+     * @param {Object} [options] - { endpoint } to ask, e.g. from the page's data-roi-endpoint
+     * @returns {Promise<Object>} A model for calculate()
+     */
+    function loadModel(industry, { endpoint } = {}) {
+        const url = endpoint || (LOCAL_HOSTS.includes(root.location?.hostname) ? MODEL_ENDPOINT : null);
+        if (!url || typeof root.fetch !== 'function') return Promise.resolve(DEFAULT_MODEL);
+
+        const query = `industry=${encodeURIComponent(industry || 'default')}`;
+        return root.fetch(`${url}${url.includes('?') ? '&' : '?'}${query}`, { headers: { 'Accept': 'application/json' } })
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then((body) => createModel({ ...body.model, version: body.version }))
+            .catch((error) => {
+                console.warn('Using bundled ROI model:', error.message);
+                return DEFAULT_MODEL;
+            });
+    }
+
+    // ===== CALCULATION =====
+
+    function getPricingTier(employees, model = DEFAULT_MODEL) {
+        return model.pricingTiers.find((tier) => tier.maxEmployees === null || employees <= tier.maxEmployees) ||
+               model.pricingTiers[model.pricingTiers.length - 1];
+    }
+
+    function toNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number >= 0 ? number : fallback;
+    }
+
+    function normalizeInputs(inputs, model) {
+        return {
+            currentBudget: toNumber(inputs.currentBudget, 0),
+            employees: toNumber(inputs.employees, 0),
+            issues: toNumber(inputs.issues, 0),
+            resolutionHours: toNumber(inputs.resolutionHours, model.defaults.resolutionHours) || model.defaults.resolutionHours,
+            hourlyCost: toNumber(inputs.hourlyCost, model.defaults.hourlyCost) || model.defaults.hourlyCost
+        };
+    }
+
+    function formatCurrency(amount) {
+        return '₹' + Math.round(amount).toLocaleString('en-IN');
+    }
+
+    const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+    const formatQuantity = (value) => String(Math.round(value * 10) / 10);
+
+    /**
+     * Estimate monthly and annual savings.
+     *
+     * @param {Object} inputs - { currentBudget, employees, issues, resolutionHours?, hourlyCost? }
+     * @param {Object} [model] - Model from createModel(); defaults to DEFAULT_MODEL
+     * @returns {Object} Figures plus a `breakdown` explaining how each one was derived
+     */
+    function calculate(inputs, model = DEFAULT_MODEL) {
+        const values = normalizeInputs(inputs || {}, model);
+        const { improvements } = model;
+
+        // Current productivity loss
+        const affectedEmployees = Math.min(values.employees * model.affectedStaff.share, model.affectedStaff.max);
+        const monthlyDowntimeHours = values.issues * values.resolutionHours;
+        const monthlyProductivityLoss = monthlyDowntimeHours * affectedEmployees * values.hourlyCost;
+
+        // Our service pricing based on company size
+        const pricingTier = getPricingTier(values.employees, model);
+        const serviceCost = pricingTier.monthlyFee;
+
+        // Productivity loss after our service
+        const improvedIssues = values.issues * (1 - improvements.incidentReduction);
+        const improvedResolutionHours = values.resolutionHours * (1 - improvements.resolutionTimeReduction);
+        const improvedProductivityLoss = improvedIssues * improvedResolutionHours * affectedEmployees * values.hourlyCost;
+
+        // Savings
+        const productivitySavings = monthlyProductivityLoss - improvedProductivityLoss;
+        const infrastructureSavings = values.currentBudget * improvements.infrastructureSavings;
+        const grossMonthlySavings = productivitySavings + infrastructureSavings;
+        const netMonthlySavings = grossMonthlySavings - serviceCost;
+        const annualNetSavings = netMonthlySavings * 12;
+        const roiPercentage = serviceCost > 0 ? (annualNetSavings / (serviceCost * 12)) * 100 : 0;
+
+        const tierLimit = pricingTier.maxEmployees === null ? 'unlimited employees' : `up to ${pricingTier.maxEmployees} employees`;
+
+        return {
+            inputs: values,
+            modelVersion: model.version,
+            affectedEmployees,
+            monthlyProductivityLoss,
+            pricingTier,
+            serviceCost,
+            productivitySavings,
+            infrastructureSavings,
+            grossMonthlySavings,
+            netMonthlySavings,
+            annualGrossSavings: grossMonthlySavings * 12,
+            annualNetSavings,
+            roiPercentage,
+            breakdown: [
+                {
+                    key: 'monthlyProductivityLoss',
+                    label: 'Monthly productivity loss',
+                    value: monthlyProductivityLoss,
+                    explanation: `${formatQuantity(values.issues)} issues × ${formatQuantity(values.resolutionHours)} h to resolve × ` +
+                        `${formatQuantity(affectedEmployees)} affected staff (${formatPercent(model.affectedStaff.share)} of team, max ${model.affectedStaff.max}) × ` +
+                        `${formatCurrency(values.hourlyCost)}/h`
+                },
+                {
+                    key: 'serviceCost',
+                    label: 'Managed IT service cost',
+                    value: serviceCost,
+                    explanation: `${pricingTier.label} plan, ${tierLimit}`
+                },
+                {
+                    key: 'productivitySavings',
+                    label: 'Productivity savings',
+                    value: productivitySavings,
+                    explanation: `${formatPercent(improvements.incidentReduction)} fewer issues and ` +
+                        `${formatPercent(improvements.resolutionTimeReduction)} faster resolution`
+                },
+                {
+                    key: 'infrastructureSavings',
+                    label: 'Infrastructure savings',
+                    value: infrastructureSavings,
+                    explanation: `${formatPercent(improvements.infrastructureSavings)} of ${formatCurrency(values.currentBudget)} monthly IT spend`
+                },
+                {
+                    key: 'netMonthlySavings',
+                    label: 'Net monthly savings',
+                    value: netMonthlySavings,
+                    explanation: 'Productivity savings + infrastructure savings − service cost'
+                },
+                {
+                    key: 'annualNetSavings',
+                    label: 'Annual ROI',
+                    value: annualNetSavings,
+                    explanation: 'Net monthly savings × 12'
+                },
+                {
+                    key: 'roiPercentage',
+                    label: 'ROI percentage',
+                    value: roiPercentage,
+                    explanation: 'Annual ROI ÷ annual service cost'
+                }
+            ]
+        };
+    }
+
+    /**
+     * Cumulative savings over longer horizons, assuming the monthly figures hold.
+     *
+     * @param {Object} result - Output of calculate()
+     * @param {number[]} [horizons] - Months to project
+     * @returns {Object[]} One { months, grossSavings, serviceCost, netSavings } row per horizon
+     */
+    function projectSavings(result, horizons = [12, 24, 36]) {
+        return horizons.map((months) => ({
+            months,
+            grossSavings: result.grossMonthlySavings * months,
+            serviceCost: result.serviceCost * months,
+            netSavings: result.netMonthlySavings * months
+        }));
+    }
+
+    // ===== SHAREABLE SCENARIOS =====
+    // Query parameters that carry calculator inputs in a shared link,
+    // e.g. /case-studies.html?roi_budget=200000&roi_employees=50&roi_issues=10
+    const SCENARIO_PARAMS = Object.freeze({
+        currentBudget: 'roi_budget',
+        employees: 'roi_employees',
+        issues: 'roi_issues',
+        resolutionHours: 'roi_hours',
+        hourlyCost: 'roi_rate'
+    });
+
+    /**
+     * Write the given inputs into a query string, keeping unrelated parameters.
+     * Empty or non-positive inputs are dropped so they fall back to defaults when restored.
+     *
+     * @param {Object} inputs - Any subset of calculate() inputs
+     * @param {string} [search] - Existing query string to merge into
+     * @returns {string} Query string without the leading '?'
+     */
+    function encodeScenario(inputs, search = '') {
+        const params = new URLSearchParams(search);
+
+        Object.entries(SCENARIO_PARAMS).forEach(([key, param]) => {
+            const value = parseFloat(inputs?.[key]);
+            if (Number.isFinite(value) && value > 0) {
+                params.set(param, String(value));
+            } else {
+                params.delete(param);
+            }
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Read calculator inputs back out of a query string.
+     *
+     * @param {string} search - e.g. location.search
+     * @returns {Object|null} The inputs present in the URL, or null when it carries no scenario
+     */
+    function decodeScenario(search) {
+        const params = new URLSearchParams(search);
+        const inputs = {};
+
+        Object.entries(SCENARIO_PARAMS).forEach(([key, param]) => {
+            const value = parseFloat(params.get(param));
+            if (Number.isFinite(value) && value > 0) {
+                inputs[key] = value;
+            }
+        });
+
+        return Object.keys(inputs).length ? inputs : null;
+    }
+
+    return {
+        DEFAULT_MODEL,
+        MODEL_ENDPOINT,
+        SCENARIO_PARAMS,
+        createModel,
+        loadModel,
+        getPricingTier,
+        calculate,
+        projectSavings,
+        formatCurrency,
+        encodeScenario,
+        decodeScenario
+    };
+});
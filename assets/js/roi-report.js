@@ -0,0 +1,203 @@
+/**
+ * Geniusglider IT Services - ROI Report
+ * Turns a GeniusgliderROI.calculate() result into a branded, printable report.
+ * Everything is generated in the browser; "Save as PDF" in the print dialog gives the PDF.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const report = factory(root.GeniusgliderROI || (typeof require === 'function' ? require('./roi-engine.js') : null));
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = report;
+    } else {
+        root.GeniusgliderROIReport = report;
+    }
+})(typeof self !== 'undefined' ? self : this, function(ROIEngine) {
+    'use strict';
+
+    const BRAND = {
+        name: 'Geniusglider IT Services',
+        primary: '#0A1B35',
+        secondary: '#1DB584',
+        phone: '+91-98765-43210',
+        email: 'hello@geniusglider.com',
+        logo: '/assets/images/logo.png'
+    };
+
+    const escapeHTML = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    const formatCurrency = (amount) => ROIEngine.formatCurrency(amount);
+    const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+    function rows(items) {
+        return items.map(([label, value, note]) => `
+            <tr>
+                <th scope="row">${escapeHTML(label)}</th>
+                <td>${escapeHTML(value)}</td>
+                ${note === undefined ? '' : `<td class="note">${escapeHTML(note)}</td>`}
+            </tr>`).join('');
+    }
+
+    /**
+     * Build the report as a standalone HTML document.
+     *
+     * @param {Object} result - Output of GeniusgliderROI.calculate()
+     * @param {Object} [options]
+     * @param {Object} [options.model] - Model the result was calculated with (for the assumptions section)
+     * @param {string} [options.origin] - Site origin, so the logo resolves outside the site (downloaded file)
+     * @param {string} [options.scenarioUrl] - Link that reopens the calculator with these inputs
+     * @param {Date} [options.generatedAt]
+     * @param {boolean} [options.autoPrint] - Open the print dialog as soon as the report loads
+     * @returns {string}
+     */
+    function buildReport(result, options = {}) {
+        const model = options.model || ROIEngine.DEFAULT_MODEL;
+        const generatedAt = options.generatedAt || new Date();
+        const { inputs, pricingTier } = result;
+        const projection = ROIEngine.projectSavings(result);
+        const dateLabel = generatedAt.toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+
+        const inputRows = rows([
+            ['Current monthly IT spending', formatCurrency(inputs.currentBudget)],
+            ['Number of employees', String(inputs.employees)],
+            ['IT issues per month', String(inputs.issues)],
+            ['Average resolution time', `${inputs.resolutionHours} hours`],
+            ['Average employee hourly cost', formatCurrency(inputs.hourlyCost)]
+        ]);
+
+        const breakdown = Object.fromEntries(result.breakdown.map((item) => [item.key, item]));
+        const resultRows = rows([
+            ['Monthly productivity loss (current)', formatCurrency(result.monthlyProductivityLoss), breakdown.monthlyProductivityLoss.explanation],
+            ['Managed IT service cost', formatCurrency(result.serviceCost), breakdown.serviceCost.explanation],
+            ['Estimated monthly savings', formatCurrency(Math.max(0, result.netMonthlySavings)), breakdown.netMonthlySavings.explanation],
+            ['Annual ROI', formatCurrency(Math.max(0, result.annualNetSavings)), breakdown.annualNetSavings.explanation],
+            ['ROI percentage', `${Math.round(Math.max(0, result.roiPercentage))}%`, breakdown.roiPercentage.explanation]
+        ]);
+
+        const assumptionRows = rows([
+            ['Fewer IT issues', formatPercent(model.improvements.incidentReduction)],
+            ['Faster resolution', formatPercent(model.improvements.resolutionTimeReduction)],
+            ['Infrastructure savings', `${formatPercent(model.improvements.infrastructureSavings)} of current IT spend`],
+            ['Staff affected per issue', `${formatPercent(model.affectedStaff.share)} of team, up to ${model.affectedStaff.max} people`],
+            ['Service plan', `${pricingTier.label}, ${formatCurrency(pricingTier.monthlyFee)}/month`],
+            ['Model version', model.version]
+        ]);
+
+        const projectionRows = projection.map((row) => `
+            <tr>
+                <th scope="row">${row.months} months</th>
+                <td>${formatCurrency(row.grossSavings)}</td>
+                <td>${formatCurrency(row.serviceCost)}</td>
+                <td class="${row.netSavings >= 0 ? 'positive' : 'negative'}">${formatCurrency(row.netSavings)}</td>
+            </tr>`).join('');
+
+        const logoSrc = `${options.origin || ''}${BRAND.logo}`;
+        const scenarioLink = options.scenarioUrl ?
+            `<p>Revisit or adjust this scenario: <a href="${escapeHTML(options.scenarioUrl)}">${escapeHTML(options.scenarioUrl)}</a></p>` : '';
+        const autoPrint = options.autoPrint ? '<script>window.addEventListener(\'load\', function () { window.print(); });</script>' : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>IT Investment ROI Report | Geniusglider</title>
+    <style>
+        @page { size: A4; margin: 16mm; }
+        * { box-sizing: border-box; }
+        body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 0 auto; max-width: 800px; padding: 24px; line-height: 1.5; }
+        header { display: flex; justify-content: space-between; align-items: center; border-bottom: 4px solid ${BRAND.secondary}; padding-bottom: 16px; margin-bottom: 24px; }
+        header img { height: 40px; }
+        header .meta { text-align: right; font-size: 12px; color: #6b7280; }
+        h1 { color: ${BRAND.primary}; font-size: 24px; margin: 0 0 8px; }
+        h2 { color: ${BRAND.primary}; font-size: 16px; margin: 28px 0 8px; text-transform: uppercase; letter-spacing: 0.05em; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; page-break-inside: avoid; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+        thead th { background: ${BRAND.primary}; color: #fff; font-weight: 600; }
+        tbody th { font-weight: 500; width: 40%; }
+        td.note { color: #6b7280; font-size: 12px; }
+        .positive { color: #059669; font-weight: 600; }
+        .negative { color: #DC2626; font-weight: 600; }
+        .highlight { background: #ecfdf5; border-left: 4px solid ${BRAND.secondary}; padding: 12px 16px; margin: 16px 0; font-size: 15px; }
+        footer { margin-top: 32px; padding-top: 16px; border-top: 1px solid #e5e7eb; font-size: 11px; color: #6b7280; }
+        a { color: ${BRAND.primary}; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <header>
+        <img src="${escapeHTML(logoSrc)}" alt="${BRAND.name}">
+        <div class="meta">
+            <div>${escapeHTML(dateLabel)}</div>
+            <div>${BRAND.phone} &middot; ${BRAND.email}</div>
+        </div>
+    </header>
+
+    <h1>Your IT Investment ROI Report</h1>
+    <p class="highlight">
+        Estimated net savings of <strong>${formatCurrency(Math.max(0, result.annualNetSavings))}</strong> per year,
+        a <strong>${Math.round(Math.max(0, result.roiPercentage))}%</strong> return on the managed IT service.
+    </p>
+
+    <h2>Your Inputs</h2>
+    <table><tbody>${inputRows}</tbody></table>
+
+    <h2>Savings Breakdown</h2>
+    <table><tbody>${resultRows}</tbody></table>
+
+    <h2>Projection</h2>
+    <table>
+        <thead><tr><th scope="col">Period</th><th scope="col">Gross savings</th><th scope="col">Service cost</th><th scope="col">Net savings</th></tr></thead>
+        <tbody>${projectionRows}</tbody>
+    </table>
+
+    <h2>Assumptions</h2>
+    <table><tbody>${assumptionRows}</tbody></table>
+
+    <footer>
+        ${scenarioLink}
+        <p>ROI calculations are estimates based on industry benchmarks and historical data. Actual results vary depending on
+        individual circumstances, existing infrastructure and business requirements. Projections assume today's figures stay
+        constant and are for planning purposes only. Contact us for a personalised assessment.</p>
+        <p>&copy; ${generatedAt.getFullYear()} ${BRAND.name}</p>
+    </footer>
+    ${autoPrint}
+</body>
+</html>`;
+    }
+
+    /**
+     * Open the report ready to print or save as PDF. When pop-ups are blocked the
+     * report is downloaded as an HTML file instead.
+     *
+     * @returns {'print'|'download'} How the report was delivered
+     */
+    function downloadReport(result, options = {}) {
+        const origin = window.location.origin;
+        const reportWindow = window.open('', '_blank');
+
+        if (reportWindow) {
+            reportWindow.document.open();
+            reportWindow.document.write(buildReport(result, { ...options, origin, autoPrint: true }));
+            reportWindow.document.close();
+            return 'print';
+        }
+
+        const blob = new Blob([buildReport(result, { ...options, origin })], { type: 'text/html' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `geniusglider-roi-report-${new Date().toISOString().slice(0, 10)}.html`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return 'download';
+    }
+
+    return {
+        buildReport,
+        downloadReport
+    };
+});
@@ -10,6 +10,7 @@
     function initializeApp() {
         try {
             initNavigation();
+            initEngagement();
             initAnimatedNumbers();
             initROICalculator();
             initCaseStudyFilters();
@@ -48,6 +49,15 @@
         }
     }
 
+    // Engagement signals for lead scoring (assets/js/engagement.js), recorded once marketing is allowed
+    function initEngagement() {
+        const engagement = window.GeniusgliderEngagement;
+        if (!engagement) return;
+
+        engagement.recordPageView();
+        engagement.observePage();
+    }
+
     // Animated numbers
     function initAnimatedNumbers() {
         const statNumbers = document.querySelectorAll('.stat-number[data-target]');
@@ -122,6 +132,10 @@
         update();
     }
 
+    // Shared ROI model (assets/js/roi-engine.js); replaced by the sales-tuned version where one is served
+    let roiModel = window.GeniusgliderROI ? window.GeniusgliderROI.DEFAULT_MODEL : null;
+    let lastROIResult = null;
+
     // ROI Calculator (Case Studies page)
     function initROICalculator() {
         const calculateBtn = document.querySelector('button[onclick="calculateROI()"]');
@@ -131,6 +145,143 @@
             calculateBtn.removeAttribute('onclick');
             calculateBtn.addEventListener('click', calculateROI);
         }
+
+        const shareBtn = document.querySelector('[data-roi-share]');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', function() {
+                shareROIScenario(shareBtn);
+            });
+        }
+
+        const reportBtn = document.querySelector('[data-roi-report]');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', downloadROIReport);
+        }
+
+        const industrySelect = document.getElementById('roi-industry');
+        if (industrySelect) {
+            industrySelect.addEventListener('change', loadROIModel);
+        }
+
+        if (document.getElementById('current-budget')) {
+            loadROIModel();
+            restoreROIScenario();
+        }
+    }
+
+    // Calculator fields keyed by their GeniusgliderROI.calculate() input name
+    const ROI_FIELDS = {
+        currentBudget: 'current-budget',
+        employees: 'employees',
+        issues: 'downtime',
+        hourlyCost: 'avg-hourly-cost'
+    };
+
+    function readROIInputs() {
+        const inputs = {};
+        Object.keys(ROI_FIELDS).forEach(function(key) {
+            const field = document.getElementById(ROI_FIELDS[key]);
+            inputs[key] = field ? field.value : '';
+        });
+        return inputs;
+    }
+
+    // Pre-fill the calculator from a shared link and show the results straight away
+    function restoreROIScenario() {
+        if (!window.GeniusgliderROI) return;
+
+        const scenario = window.GeniusgliderROI.decodeScenario(window.location.search);
+        if (!scenario) return;
+
+        Object.keys(ROI_FIELDS).forEach(function(key) {
+            const field = document.getElementById(ROI_FIELDS[key]);
+            if (field && scenario[key] !== undefined) {
+                field.value = String(scenario[key]);
+            }
+        });
+
+        // Selects ignore values that aren't one of their options; only calculate complete scenarios
+        const inputs = readROIInputs();
+        if (inputs.currentBudget && inputs.employees && inputs.issues) {
+            calculateAdvancedROI();
+        }
+    }
+
+    function updateROIScenarioUrl() {
+        if (!window.history.replaceState) return;
+
+        const query = window.GeniusgliderROI.encodeScenario(readROIInputs(), window.location.search);
+        window.history.replaceState(window.history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    }
+
+    function shareROIScenario(button) {
+        if (!window.GeniusgliderROI) return;
+
+        const url = new URL(window.location.href);
+        url.search = window.GeniusgliderROI.encodeScenario(readROIInputs(), url.search);
+        const link = url.toString();
+
+        function showCopied() {
+            const label = button.textContent;
+            button.textContent = 'Link copied!';
+            setTimeout(function() {
+                button.textContent = label;
+            }, 2000);
+        }
+
+        function askToCopy() {
+            window.prompt('Copy this link to share your ROI scenario:', link);
+        }
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(showCopied, askToCopy);
+        } else {
+            askToCopy();
+        }
+    }
+
+    let roiModelRequest = 0;
+
+    // Sales tune the assumptions per industry; reloaded whenever #roi-industry changes
+    function loadROIModel() {
+        if (!window.GeniusgliderROI) return;
+
+        const industrySelect = document.getElementById('roi-industry');
+        const endpointHolder = industrySelect && industrySelect.closest('[data-roi-endpoint]');
+        const options = { endpoint: endpointHolder ? endpointHolder.getAttribute('data-roi-endpoint') : null };
+        const request = ++roiModelRequest;
+
+        window.GeniusgliderROI.loadModel(industrySelect && industrySelect.value, options).then(function(model) {
+            // A slower response for an earlier choice must not overwrite the current one
+            if (request !== roiModelRequest) return;
+            roiModel = model;
+
+            // Results may already be on screen with the previous figures
+            const resultsEl = document.getElementById('roi-results');
+            if (resultsEl && resultsEl.style.display === 'block') {
+                calculateAdvancedROI();
+            }
+        });
+    }
+
+    function downloadROIReport() {
+        if (!lastROIResult || !window.GeniusgliderROIReport) return;
+
+        const delivery = window.GeniusgliderROIReport.downloadReport(lastROIResult, {
+            model: roiModel,
+            scenarioUrl: window.location.href
+        });
+
+        if (window.GeniusgliderEngagement) {
+            window.GeniusgliderEngagement.recordSignal('pdf_downloaded');
+        }
+        if (window.GeniusgliderAnalytics) {
+            window.GeniusgliderAnalytics.track('pdf_downloaded', {
+                category: 'roi_calculator',
+                label: delivery,
+                value: Math.round(lastROIResult.annualNetSavings)
+            });
+        }
     }
 
     // Advanced ROI calculation function
@@ -154,50 +305,19 @@
             return;
         }
 
-        // Calculate current productivity loss
-        const avgIssueResolutionTime = 4; // hours per issue
-        const monthlyDowntimeHours = issues * avgIssueResolutionTime;
-        const affectedEmployeesPerIssue = Math.min(employees * 0.3, 20); // 30% of staff affected, max 20
-        const monthlyProductivityLoss = monthlyDowntimeHours * affectedEmployeesPerIssue * hourlyCost;
-
-        // Calculate our service pricing based on company size
-        let serviceCost = 0;
-        if (employees <= 10) {
-            serviceCost = 15000; // ₹15,000 for small businesses
-        } else if (employees <= 25) {
-            serviceCost = 25000; // ₹25,000 for small-medium
-        } else if (employees <= 50) {
-            serviceCost = 40000; // ₹40,000 for medium
-        } else if (employees <= 100) {
-            serviceCost = 65000; // ₹65,000 for medium-large
-        } else if (employees <= 250) {
-            serviceCost = 120000; // ₹1.2L for large
-        } else if (employees <= 500) {
-            serviceCost = 200000; // ₹2L for enterprise
-        } else {
-            serviceCost = 350000; // ₹3.5L for large enterprise
-        }
+        if (!window.GeniusgliderROI) return;
+
+        const result = window.GeniusgliderROI.calculate({
+            currentBudget: currentBudget,
+            employees: employees,
+            issues: issues,
+            hourlyCost: hourlyCost
+        }, roiModel);
+        const formatCurrency = window.GeniusgliderROI.formatCurrency;
+        lastROIResult = result;
 
-        // Calculate potential improvements with our service (conservative estimates)
-        const downtimeReduction = 0.40; // Up to 40% reduction in issues
-        const resolutionSpeedImprovement = 0.50; // Up to 50% faster resolution
-        const infrastructureSavings = currentBudget * 0.15; // Up to 15% cost optimization
-
-        // New productivity loss after our service
-        const newIssues = issues * (1 - downtimeReduction);
-        const newResolutionTime = avgIssueResolutionTime * (1 - resolutionSpeedImprovement);
-        const newMonthlyDowntime = newIssues * newResolutionTime;
-        const newProductivityLoss = newMonthlyDowntime * affectedEmployeesPerIssue * hourlyCost;
-
-        // Calculate savings
-        const productivitySavings = monthlyProductivityLoss - newProductivityLoss;
-        const totalMonthlySavings = productivitySavings + infrastructureSavings - serviceCost;
-        const annualROI = totalMonthlySavings * 12;
-        const roiPercentage = ((annualROI / (serviceCost * 12)) * 100);
-
-        // Format currency for Indian Rupees
-        function formatCurrency(amount) {
-            return '₹' + Math.round(amount).toLocaleString('en-IN');
+        if (window.GeniusgliderEngagement) {
+            window.GeniusgliderEngagement.recordSignal('calculator_used');
         }
 
         // Display results
@@ -206,23 +326,37 @@
         const monthlySavingsEl = document.getElementById('monthly-savings');
         const annualROIEl = document.getElementById('annual-roi');
         const roiPercentageEl = document.getElementById('roi-percentage');
+        const derivationEl = document.getElementById('roi-derivation');
         const resultsEl = document.getElementById('roi-results');
 
-        if (productivityLossEl) productivityLossEl.textContent = formatCurrency(monthlyProductivityLoss);
-        if (serviceCostEl) serviceCostEl.textContent = formatCurrency(serviceCost);
+        if (productivityLossEl) productivityLossEl.textContent = formatCurrency(result.monthlyProductivityLoss);
+        if (serviceCostEl) serviceCostEl.textContent = formatCurrency(result.serviceCost);
         if (monthlySavingsEl) {
-            monthlySavingsEl.textContent = formatCurrency(Math.max(0, totalMonthlySavings));
-            monthlySavingsEl.style.color = totalMonthlySavings > 0 ? '#059669' : '#DC2626';
+            monthlySavingsEl.textContent = formatCurrency(Math.max(0, result.netMonthlySavings));
+            monthlySavingsEl.style.color = result.netMonthlySavings > 0 ? '#059669' : '#DC2626';
         }
         if (annualROIEl) {
-            annualROIEl.textContent = formatCurrency(Math.max(0, annualROI));
-            annualROIEl.style.color = annualROI > 0 ? '#059669' : '#DC2626';
+            annualROIEl.textContent = formatCurrency(Math.max(0, result.annualNetSavings));
+            annualROIEl.style.color = result.annualNetSavings > 0 ? '#059669' : '#DC2626';
         }
         if (roiPercentageEl) {
-            roiPercentageEl.textContent = Math.round(Math.max(0, roiPercentage)) + '%';
-            roiPercentageEl.style.color = roiPercentage > 0 ? '#059669' : '#DC2626';
+            roiPercentageEl.textContent = Math.round(Math.max(0, result.roiPercentage)) + '%';
+            roiPercentageEl.style.color = result.roiPercentage > 0 ? '#059669' : '#DC2626';
+        }
+        if (derivationEl) {
+            derivationEl.innerHTML = '';
+            result.breakdown.forEach(function(item) {
+                const li = document.createElement('li');
+                const label = document.createElement('strong');
+                label.textContent = item.label + ': ';
+                li.appendChild(label);
+                li.appendChild(document.createTextNode(item.explanation));
+                derivationEl.appendChild(li);
+            });
         }
         if (resultsEl) resultsEl.style.display = 'block';
+
+        updateROIScenarioUrl();
     }
 
     // Legacy ROI calculation function for backward compatibility
@@ -301,85 +435,10 @@
         });
     }
 
-    // Enhanced form validation
-    function initFormValidation() {
-        const form = document.getElementById('consultation-form-element');
-        if (!form) return;
-
-        const inputs = form.querySelectorAll('input[required], select[required], textarea[required]');
-
-        inputs.forEach(function(input) {
-            input.addEventListener('blur', function() {
-                validateField(input);
-            });
-
-            input.addEventListener('input', function() {
-                clearFieldError(input);
-            });
-        });
-    }
-
-    function validateField(field) {
-        const value = field.value.trim();
-        const fieldGroup = field.closest('.field-group');
-
-        // Remove existing error
-        clearFieldError(field);
-
-        if (!value && field.hasAttribute('required')) {
-            showFieldError(field, 'This field is required');
-            return false;
-        }
-
-        // Email validation
-        if (field.type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                showFieldError(field, 'Please enter a valid email address');
-                return false;
-            }
-        }
-
-        // Phone validation
-        if (field.type === 'tel' && value) {
-            const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-            if (!phoneRegex.test(value.replace(/[\s\-\(\)]/g, ''))) {
-                showFieldError(field, 'Please enter a valid phone number');
-                return false;
-            }
-        }
-
-        return true;
-    }
-
-    function showFieldError(field, message) {
-        const fieldGroup = field.closest('.field-group');
-        const errorEl = document.createElement('span');
-        errorEl.className = 'field-error';
-        errorEl.textContent = message;
-        errorEl.style.color = '#DC2626';
-        errorEl.style.fontSize = '0.875rem';
-        errorEl.style.marginTop = '0.25rem';
-        errorEl.style.display = 'block';
-
-        field.style.borderColor = '#DC2626';
-        fieldGroup.appendChild(errorEl);
-    }
-
-    function clearFieldError(field) {
-        const fieldGroup = field.closest('.field-group');
-        const existingError = fieldGroup.querySelector('.field-error');
-        if (existingError) {
-            existingError.remove();
-        }
-        field.style.borderColor = '';
-    }
-
     // Initialize all new functionality
     function initializeContactPage() {
         initFAQ();
         initSmoothScrolling();
-        initFormValidation();
     }
 
     // Contact page initialization is now included in the main initializeApp function above
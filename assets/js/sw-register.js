@@ -0,0 +1,182 @@
+/**
+ * Geniusglider IT Services - Service Worker Registration
+ * Registers sw.js and offers a reload when the new version announces itself (UPDATE_AVAILABLE).
+ * The new worker only takes over once the visitor accepts (SKIP_WAITING) or every tab
+ * running the old version has closed.
+ *
+ * The updatefound watcher backs up the announcement for tabs that miss the message.
+ *
+ * GeniusgliderServiceWorker.start() creates the one manager per page and returns it on every call.
+ * App.initializeComponents (assets/js/app.js) calls it on pages that load app.js, which today is
+ * only offline.html; every other page relies on this script calling start() itself when it loads.
+ */
+
+(function(root) {
+    'use strict';
+
+    const SW_URL = '/sw.js';
+
+    // How often the worker should sweep expired cache entries where Periodic Background Sync exists
+    const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
+
+    function track(label) {
+        root.GeniusgliderAnalytics?.track('sw_update', { category: 'pwa', label });
+    }
+
+    class ServiceWorkerManager {
+        constructor() {
+            this.registration = null;
+            this.banner = null;
+            this.updateAccepted = false;
+            this.init();
+        }
+
+        init() {
+            if (!('serviceWorker' in navigator)) return;
+
+            // Listen straight away: an update can finish installing while this page is still loading
+            this.listenForAnnouncements();
+
+            // Register after load so precaching doesn't compete with the page's own requests
+            if (document.readyState === 'complete') {
+                this.register();
+            } else {
+                root.addEventListener('load', () => this.register());
+            }
+        }
+
+        async register() {
+            try {
+                this.registration = await navigator.serviceWorker.register(SW_URL);
+            } catch (error) {
+                console.error('Service worker registration failed:', error);
+                return;
+            }
+
+            this.watchForUpdates();
+            this.registerPeriodicCleanup();
+        }
+
+        // sw.js posts UPDATE_AVAILABLE at the end of an update's install (never the first install)
+        listenForAnnouncements() {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const worker = event.source;
+                if (event.data?.type !== 'UPDATE_AVAILABLE' || !worker) return;
+
+                // The message arrives a moment before the worker reaches 'installed' (waiting)
+                if (worker.state === 'installed') {
+                    this.showUpdateBanner(worker);
+                } else if (worker.state === 'installing') {
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed') this.showUpdateBanner(worker);
+                    });
+                }
+            });
+        }
+
+        watchForUpdates() {
+            const registration = this.registration;
+
+            // A worker that announced itself before this page opened is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            // Every tab sees the new worker install, so this still works if the announcement is missed
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    }
+                });
+            });
+
+            // Taking control on first install (clients.claim) is not an update
+            const hadController = Boolean(navigator.serviceWorker.controller);
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateAccepted) {
+                    root.location.reload();
+                } else if (hadController) {
+                    // Another tab accepted the update: this page's HTML is now older than its assets
+                    this.showUpdateBanner(null);
+                }
+            });
+        }
+
+        // Sweep expired cache entries in the background where Periodic Background Sync is available
+        async registerPeriodicCleanup() {
+            if (!('periodicSync' in this.registration)) return;
+
+            try {
+                await this.registration.periodicSync.register('cache-cleanup', {
+                    minInterval: CLEANUP_INTERVAL
+                });
+            } catch (error) {
+                // Browsers only grant periodic sync to installed/engaged sites
+            }
+        }
+
+        showUpdateBanner(waitingWorker) {
+            if (!this.banner) {
+                this.banner = document.createElement('div');
+                this.banner.className = 'sw-update-banner';
+                this.banner.setAttribute('role', 'status');
+                this.banner.innerHTML = `
+                    <span class="sw-update-text">Update available</span>
+                    <button type="button" class="btn btn-primary sw-update-reload">Reload</button>
+                    <button type="button" class="sw-update-dismiss" aria-label="Dismiss update notice">&times;</button>
+                `;
+
+                this.banner.querySelector('.sw-update-dismiss').addEventListener('click', () => this.hideUpdateBanner());
+                document.body.appendChild(this.banner);
+                requestAnimationFrame(() => this.banner?.classList.add('show'));
+
+                track('prompt_shown');
+            }
+
+            this.banner.querySelector('.sw-update-reload').onclick = () => this.applyUpdate(waitingWorker);
+        }
+
+        hideUpdateBanner() {
+            if (!this.banner) return;
+
+            this.banner.remove();
+            this.banner = null;
+            track('prompt_dismissed');
+        }
+
+        applyUpdate(waitingWorker) {
+            track('accepted');
+
+            // Already activated by another tab: just pick up the new version
+            if (!waitingWorker) {
+                root.location.reload();
+                return;
+            }
+
+            this.updateAccepted = true;
+            waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+
+    let manager = null;
+
+    function start() {
+        if (!manager) manager = new ServiceWorkerManager();
+        return manager;
+    }
+
+    root.GeniusgliderServiceWorker = {
+        start,
+        get manager() {
+            return manager;
+        }
+    };
+
+    start();
+})(window);
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Service Worker Precache Manifest Builder
+ * Walks the site, hashes every precacheable file and injects the manifest into sw.js.
+ * Only the images in PRECACHE_IMAGES are precached; sw.js caches the rest when first requested.
+ *
+ * Usage:
+ *   node scripts/build-sw-manifest.js          Rewrite the manifest block in sw.js
+ *   node scripts/build-sw-manifest.js --check  Exit 1 if sw.js is out of date (for CI/deploy hooks)
+ *
+ * Run this before every deploy: the worker only re-downloads entries whose revision changed,
+ * so a stale manifest keeps serving the previously cached copy of an edited file.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+
+// Top-level files and directories that make up the deployed site
+const ROOT_FILE_PATTERN = /\.html$/;
+const EXTRA_FILES = ['manifest.json'];
+const ASSET_DIRS = ['assets'];
+const ASSET_EXTENSIONS = ['.css', '.js', '.json', '.ico', '.woff', '.woff2'];
+
+// Images are precached only when the offline page or the first screen of the home page needs
+// them; page photography is several MB and is cached at runtime (LRU-limited) on first view
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.svg', '.gif', '.webp', '.avif'];
+const PRECACHE_IMAGES = [
+  'assets/images/logo.png',
+  'assets/images/hero-particles.svg'
+];
+
+const MARKER_START = '// @precache-manifest-start';
+const MARKER_END = '// @precache-manifest-end';
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12);
+}
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.name.startsWith('.')) return [];
+    return entry.isDirectory() ? walk(fullPath) : [fullPath];
+  });
+}
+
+function isPrecacheable(file) {
+  const extension = path.extname(file).toLowerCase();
+
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    return PRECACHE_IMAGES.includes(path.relative(ROOT, file).split(path.sep).join('/'));
+  }
+  return ASSET_EXTENSIONS.includes(extension);
+}
+
+function collectFiles() {
+  const missing = PRECACHE_IMAGES.filter((file) => !fs.existsSync(path.join(ROOT, file)));
+  if (missing.length) {
+    throw new Error(`PRECACHE_IMAGES lists files that do not exist: ${missing.join(', ')}`);
+  }
+
+  const rootFiles = fs.readdirSync(ROOT)
+    .filter((name) => ROOT_FILE_PATTERN.test(name) || EXTRA_FILES.includes(name))
+    .map((name) => path.join(ROOT, name));
+
+  const assetFiles = ASSET_DIRS
+    .flatMap((dir) => walk(path.join(ROOT, dir)))
+    .filter(isPrecacheable);
+
+  return [...rootFiles, ...assetFiles].sort();
+}
+
+function toUrl(file) {
+  return '/' + path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function buildManifest() {
+  const entries = collectFiles().map((file) => {
+    const content = fs.readFileSync(file);
+    return { url: toUrl(file), revision: hashContent(content), size: content.length };
+  });
+
+  // The site root serves index.html
+  const index = entries.find((entry) => entry.url === '/index.html');
+  if (index) {
+    entries.unshift({ ...index, url: '/' });
+  }
+
+  const version = hashContent(entries.map((entry) => `${entry.url}@${entry.revision}`).join('\n')).slice(0, 8);
+
+  return { version, entries };
+}
+
+function renderManifest(manifest) {
+  const lines = manifest.entries.map((entry) =>
+    `    { url: '${entry.url}', revision: '${entry.revision}', size: ${entry.size} }`
+  );
+
+  return [
+    `${MARKER_START} (generated by scripts/build-sw-manifest.js - do not edit by hand)`,
+    'const PRECACHE_MANIFEST = {',
+    `  version: '${manifest.version}',`,
+    '  entries: [',
+    lines.join(',\n'),
+    '  ]',
+    '};',
+    MARKER_END
+  ].join('\n');
+}
+
+function injectManifest(source, block) {
+  const start = source.indexOf(MARKER_START);
+  const end = source.indexOf(MARKER_END);
+
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`sw.js is missing the ${MARKER_START} / ${MARKER_END} markers`);
+  }
+
+  return source.slice(0, start) + block + source.slice(end + MARKER_END.length);
+}
+
+function main() {
+  const manifest = buildManifest();
+  const source = fs.readFileSync(SW_PATH, 'utf8');
+  const output = injectManifest(source, renderManifest(manifest));
+  const totalBytes = manifest.entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  if (process.argv.includes('--check')) {
+    if (output !== source) {
+      console.error('sw.js precache manifest is out of date. Run: node scripts/build-sw-manifest.js');
+      process.exit(1);
+    }
+    console.log(`sw.js precache manifest is up to date (version ${manifest.version})`);
+    return;
+  }
+
+  fs.writeFileSync(SW_PATH, output);
+  console.log(`Precache manifest ${manifest.version}: ${manifest.entries.length} entries, ${(totalBytes / 1024).toFixed(0)} KB`);
+}
+
+main();
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Analytics Schema Check
+ * Checks that every event name the site tracks (in assets/js and the pages' inline scripts) is in
+ * the schema in assets/js/analytics.js and that the schema lists nothing the site never sends,
+ * runs checkParams and validateEvent over good and bad events, and posts a batch through the
+ * collector in scripts/event-collector.js to a temporary file. The module is loaded into a
+ * stand-in page to check delivery: nothing leaves before consent, full batches go to GA4 and to
+ * the collector once an endpoint is configured, the last events leave by sendBeacon when the page
+ * is hidden, and undelivered collector batches wait in localStorage until the browser is back online.
+ *
+ * Usage:
+ *   node scripts/check-analytics.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A stand-in page for the module to load into: its storage, listeners and outgoing requests
+const page = {
+  listeners: {},
+  documentListeners: {},
+  storage: new Map(),
+  gtag: [],
+  posts: [],
+  beacons: [],
+  status: 202,
+  consent: null
+};
+
+function fakeStorage(map) {
+  return {
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key)
+  };
+}
+
+global.self = {
+  document: {
+    visibilityState: 'visible',
+    addEventListener: (type, listener) => { page.documentListeners[type] = listener; }
+  },
+  location: { hostname: 'www.geniusglider.com', pathname: '/contact.html', search: '' },
+  navigator: {
+    onLine: true,
+    sendBeacon: (url, blob) => {
+      page.beacons.push({ url, blob });
+      return true;
+    }
+  },
+  localStorage: fakeStorage(page.storage),
+  sessionStorage: fakeStorage(new Map()),
+  crypto: globalThis.crypto,
+  addEventListener: (type, listener) => { page.listeners[type] = listener; },
+  gtag: (...args) => page.gtag.push(args),
+  GeniusgliderConsent: { onChange: (callback) => { page.consent = callback; } }
+};
+global.fetch = async (url, init) => {
+  page.posts.push({ url, body: JSON.parse(init.body) });
+  return { ok: page.status < 300, status: page.status };
+};
+
+const Analytics = require('../assets/js/analytics.js');
+const { createCollector } = require('./event-collector.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// GeniusgliderAnalytics.track('name', ...) and the trackEvent('name', category, ...) helpers
+const TRACK_CALL = /(?:[Aa]nalytics\??\.track|trackEvent)\(\s*['"`]([a-z_]+)['"`]/g;
+
+const OUTBOX_KEY = 'geniusglider-analytics:outbox';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+function sourceFiles() {
+  const scripts = fs.readdirSync(path.join(ROOT, 'assets/js'))
+    .filter((file) => file.endsWith('.js') && file !== 'analytics.js')
+    .map((file) => path.join('assets/js', file));
+  const pages = fs.readdirSync(ROOT).filter((file) => file.endsWith('.html'));
+  return [...scripts, ...pages];
+}
+
+function event(overrides = {}) {
+  return {
+    v: Analytics.SCHEMA_VERSION,
+    id: 'b7c1e6a2-4f0d-4c55-9a51-3f1e2d7c8a90',
+    name: 'form_submit',
+    params: { category: 'consultation', label: 'success' },
+    ts: '2026-10-19T09:30:00.000Z',
+    page: '/contact.html',
+    session: 'f3a9',
+    ...overrides
+  };
+}
+
+async function checkDelivery() {
+  const click = (label) => Analytics.track('click', { category: 'cta', label });
+  Analytics.configure({ batchSize: 3, flushInterval: 20 });
+
+  click('hero');
+  Analytics.flush();
+  await wait(40);
+  check('nothing is sent or stored before the visitor answers', page.posts.length === 0 && page.gtag.length === 0 &&
+    page.storage.size === 0);
+
+  page.consent({ analytics: true });
+  click('pricing');
+  click('footer');
+  await wait(10);
+  check('events from before consent go out with the first full batch, to GA4 in the legacy shape',
+    page.gtag.map((call) => call[2].event_label).join() === 'hero,pricing,footer' &&
+    page.gtag[0][1] === 'click' && page.gtag[0][2].event_category === 'cta');
+  check('the static site has no collector until an endpoint is configured', page.posts.length === 0);
+
+  Analytics.configure({ endpoint: '/api/events' });
+  ['one', 'two', 'three'].forEach(click);
+  await wait(10);
+  const [batch] = page.posts;
+  check('configuring an endpoint sends full batches to the collector', page.posts.length === 1 &&
+    batch.url === '/api/events' && batch.body.v === Analytics.SCHEMA_VERSION &&
+    batch.body.events.map((event) => event.params.label).join() === 'one,two,three' &&
+    batch.body.events.every((event) => event.session && Analytics.validateEvent(event).length === 0));
+
+  click('partial');
+  await wait(40);
+  check('a partial batch goes out after flushInterval', page.posts.length === 2 && page.posts[1].body.events.length === 1);
+
+  click('leaving');
+  self.document.visibilityState = 'hidden';
+  page.documentListeners.visibilitychange();
+  const beacon = page.beacons[0];
+  const beaconBody = beacon && JSON.parse(await beacon.blob.text());
+  check('hiding the page sends what is left by sendBeacon', page.beacons.length === 1 && page.posts.length === 2 &&
+    beacon.url === '/api/events' && beaconBody.events[0].params.label === 'leaving');
+  self.document.visibilityState = 'visible';
+
+  page.status = 503;
+  ['a', 'b', 'c'].forEach(click);
+  await wait(10);
+  const stored = JSON.parse(page.storage.get(OUTBOX_KEY) || '[]');
+  check('a batch the collector could not take waits in localStorage', stored.length === 3);
+
+  page.status = 202;
+  page.listeners.online();
+  await wait(10);
+  check('the stored batch is sent again once the browser is back online', !page.storage.has(OUTBOX_KEY) &&
+    page.posts[page.posts.length - 1].body.events.map((event) => event.params.label).join() === 'a,b,c');
+
+  page.status = 503;
+  ['d', 'e', 'f'].forEach(click);
+  await wait(10);
+  const sent = page.posts.length;
+  page.consent({ analytics: false });
+  click('after');
+  Analytics.flush();
+  await wait(40);
+  check('refusing analytics drops the stored events and stops tracking', !page.storage.has(OUTBOX_KEY) &&
+    page.posts.length === sent);
+}
+
+async function run() {
+  const tracked = new Map();
+  sourceFiles().forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    for (const [, name] of source.matchAll(TRACK_CALL)) {
+      tracked.set(name, tracked.get(name) || file);
+    }
+  });
+
+  const unknown = [...tracked].filter(([name]) => !Object.hasOwn(Analytics.EVENTS, name));
+  check(`every tracked event is in the schema (${tracked.size} found)`, unknown.length === 0,
+    unknown.map(([name, file]) => `${name} in ${file}`).join(', '));
+  const unused = Object.keys(Analytics.EVENTS).filter((name) => !tracked.has(name));
+  check('every schema event is tracked somewhere', unused.length === 0, unused.join(', '));
+
+  const legacy = Analytics.checkParams('click', { category: 'cta', label: 'hero', value: 1, extra: 'x' });
+  check('checkParams keeps known parameters and reports the rest',
+    JSON.stringify(legacy.params) === '{"category":"cta","label":"hero","value":1}' &&
+      legacy.problems.join() === 'click.extra is not in the schema');
+
+  const wrongOptional = Analytics.checkParams('click', { category: 'cta', value: 'high' });
+  check('a wrongly typed optional parameter is dropped, not the event',
+    JSON.stringify(wrongOptional.params) === '{"category":"cta"}' && wrongOptional.problems.length === 1);
+
+  check('a missing required parameter or unknown event drops the event',
+    Analytics.checkParams('click', { label: 'hero' }).params === null &&
+      Analytics.checkParams('clicked', { category: 'cta' }).params === null &&
+      Analytics.checkParams('web_vital', { metric: 'LCP', value: Infinity, rating: 'good', navigation_type: 'navigate' }).params === null);
+
+  check('names inherited from Object.prototype are neither events nor parameters',
+    Analytics.checkParams('toString', { category: 'cta' }).params === null &&
+      Analytics.checkParams('__proto__', { category: 'cta' }).params === null &&
+      Analytics.checkParams('click', { category: 'cta', constructor: 'x' }).problems.join() === 'click.constructor is not in the schema');
+
+  check('empty optional parameters are left out without a problem',
+    Analytics.checkParams('form_submit', { category: 'consultation', label: '', value: null, code: undefined }).problems.length === 0);
+
+  check('a complete event is valid', Analytics.validateEvent(event()).length === 0);
+  const broken = Analytics.validateEvent(event({ v: 2, id: '', ts: 'yesterday', page: undefined, params: {} }));
+  check('validateEvent reports every envelope problem', broken.length === 5, broken.join('; '));
+  check('events named after Object.prototype members are invalid',
+    Analytics.validateEvent(event({ name: 'toString' })).length > 0 &&
+      Analytics.validateEvent(event({ name: '__proto__' })).length > 0);
+  check('non-objects are rejected', Analytics.validateEvent(null).join() === 'not an object');
+
+  await checkDelivery();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geniusglider-analytics-'));
+  try {
+    const collector = createCollector({ file: path.join(dir, 'events.ndjson') });
+    const outcome = await collector.record({ v: 1, events: [event(), event({ name: 'clicked' }), 'junk'] });
+    const lines = fs.readFileSync(collector.file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    check('the collector stores valid events and reports the rest', outcome.accepted === 1 &&
+      outcome.rejected.map((item) => item.index).join() === '1,2' && lines.length === 1 && Boolean(lines[0].received_at));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+runChecks(run);
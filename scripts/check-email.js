@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Email Assistant Check
+ * Runs assets/js/email-check.js over common webmail typos, real company domains that sit close
+ * to a short provider name (which must not be "corrected"), the provider lists themselves and
+ * the work address guessed from a company name.
+ *
+ * Usage:
+ *   node scripts/check-email.js
+ */
+
+'use strict';
+
+const Email = require('../assets/js/email-check.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'hotmial.com': 'hotmail.com',
+  'outlok.com': 'outlook.com',
+  'protonmial.com': 'protonmail.com',
+  'yahooo.co.in': 'yahoo.co.in',
+  'yahoo.co.inn': 'yahoo.co.in',
+  'acme.con': 'acme.com',
+  'acme.nte': 'acme.net'
+};
+
+// Real domains one keystroke from a short provider name or a typo'd ending
+const LEFT_ALONE = ['gnx.com', 'lime.in', 'mac.co', 'live.io', 'msn.co', 'acme.co', 'acme.cm', 'zoho.in'];
+
+const COMPANIES = {
+  'Acme Tech Pvt. Ltd.': 'acmetech.com',
+  'The Tata & Sons Co': 'tataandsons.com',
+  'Café Noir GmbH': 'cafenoir.com',
+  'Co Works Pvt Ltd': 'coworks.com',
+  'X': null
+};
+
+function run() {
+  const missed = Object.entries(TYPOS).filter(([typed, expected]) => Email.suggestDomain(typed) !== expected);
+  check('common typos are corrected', missed.length === 0,
+    missed.map(([typed]) => `${typed} -> ${Email.suggestDomain(typed)}`).join(', '));
+
+  const flagged = LEFT_ALONE.filter((domain) => Email.suggestDomain(domain) !== null || Email.check(`it@${domain}`).type !== 'business');
+  check('real domains near short provider names are left alone', flagged.length === 0,
+    flagged.map((domain) => `${domain} -> ${Email.suggestDomain(domain)}`).join(', '));
+
+  const misclassified = [
+    ...Email.FREE_PROVIDERS.map((domain) => [domain, 'personal']),
+    ...Email.DISPOSABLE_PROVIDERS.map((domain) => [domain, 'disposable'])
+  ].filter(([domain, type]) => {
+    const result = Email.check(`someone@${domain}`);
+    return result.type !== type || result.suggestion !== null;
+  });
+  check('every listed provider is classified as itself', misclassified.length === 0, misclassified.map(([domain]) => domain).join(', '));
+
+  const overlap = Email.FREE_PROVIDERS.filter((domain) => Email.DISPOSABLE_PROVIDERS.includes(domain));
+  check('no provider is both personal and disposable', overlap.length === 0, overlap.join(', '));
+
+  const typo = Email.check('priya@gmial.com', { companyName: 'Acme Tech Pvt Ltd' });
+  check('a mistyped webmail address is still personal and gets both suggestions', typo.type === 'personal' &&
+    typo.suggestion === 'priya@gmail.com' && typo.workEmail === 'priya@acmetech.com');
+
+  const business = Email.check(' Priya@Acme.co.in ', { companyName: 'Acme' });
+  check('business addresses are trimmed and get no suggestions', business.type === 'business' &&
+    business.email === 'Priya@Acme.co.in' && business.domain === 'acme.co.in' && !business.suggestion && !business.workEmail);
+
+  const invalid = ['', 'priya', 'priya@acme', 'priya @acme.com'].filter((address) => Email.check(address).valid);
+  check('malformed addresses are invalid and unclassified', invalid.length === 0, invalid.join(', '));
+
+  const guessed = Object.entries(COMPANIES).filter(([company, domain]) => Email.domainFromCompany(company) !== domain);
+  check('domainFromCompany drops legal suffixes and accents', guessed.length === 0,
+    guessed.map(([company]) => `${company} -> ${Email.domainFromCompany(company)}`).join(', '));
+}
+
+runChecks(run);
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Form Conditions Check
+ * Runs the data-show-if syntax in assets/js/form-conditions.js (operators, value lists,
+ * && / || precedence, range values such as '201-1000') and checks that every condition on
+ * the form pages names a field that exists, since one that doesn't keeps its section hidden.
+ *
+ * Usage:
+ *   node scripts/check-form-conditions.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Conditions = require('../assets/js/form-conditions.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const FORM_PAGES = ['contact.html', 'home.html'];
+
+// Answers as the form would report them: arrays of non-empty strings, missing when unanswered
+function answers(values) {
+  return (field) => [].concat(values[field] || []);
+}
+
+function run() {
+  const parsed = Conditions.parse('industry=healthcare|finance && company-size>=201 || budget');
+  check('parse: || splits groups, && splits clauses, | splits values', JSON.stringify(parsed) === JSON.stringify([
+    [{ field: 'industry', operator: '=', values: ['healthcare', 'finance'] }, { field: 'company-size', operator: '>=', values: ['201'] }],
+    [{ field: 'budget', operator: 'present', values: [] }]
+  ]));
+
+  const large = 'company-size>=201';
+  const sizes = ['1-10', '11-50', '51-200', '201-1000'].map((size) => Conditions.evaluate(large, answers({ 'company-size': size })));
+  check('ranges compare on their lower bound', sizes.join() === 'false,false,false,true', sizes.join());
+
+  const regulated = 'IT Challenges=Compliance Issues || industry=healthcare|finance';
+  check('any checked box in a group can match',
+    Conditions.evaluate(regulated, answers({ 'IT Challenges': ['Frequent Downtime', 'Compliance Issues'] })) &&
+      !Conditions.evaluate(regulated, answers({ 'IT Challenges': ['Frequent Downtime'], industry: 'retail' })));
+  check('any listed value matches', Conditions.evaluate(regulated, answers({ industry: 'finance' })));
+
+  const precedence = 'a=1 || b=1 && c=1';
+  check('&& binds tighter than ||', Conditions.evaluate(precedence, answers({ a: '1' })) &&
+    !Conditions.evaluate(precedence, answers({ b: '1' })) && Conditions.evaluate(precedence, answers({ b: '1', c: '1' })));
+
+  check('!= passes only when no value matches', Conditions.evaluate('industry!=retail|education', answers({ industry: 'finance' })) &&
+    !Conditions.evaluate('industry!=retail|education', answers({ industry: 'retail' })));
+  check('a bare field name passes once answered', !Conditions.evaluate('budget', answers({})) &&
+    Conditions.evaluate('budget', answers({ budget: '50000' })));
+  check('numeric operators ignore non-numeric answers', !Conditions.evaluate('budget>0', answers({ budget: 'unsure' })) &&
+    Conditions.evaluate('budget<=100000', answers({ budget: '75000' })));
+
+  FORM_PAGES.forEach((page) => {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const fields = [...html.matchAll(/data-show-if="([^"]*)"/g)]
+      .flatMap((match) => Conditions.parse(match[1].replace(/&amp;/g, '&')).flat().map((clause) => clause.field));
+    if (!fields.length) return;
+
+    const missing = fields.filter((field) => !html.includes(`id="${field}"`) && !html.includes(`name="${field}"`));
+    check(`${page}: every condition names a field on the page`, missing.length === 0, missing.join(', '));
+  });
+}
+
+runChecks(run);
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Form Draft Check
+ * Checks the parts of assets/js/form-draft.js that decide what the visitor gets back: when a
+ * saved draft expires, and how the current step is written to and read from the URL (?step=2)
+ * without disturbing the page's other parameters.
+ *
+ * Usage:
+ *   node scripts/check-form-draft.js
+ */
+
+'use strict';
+
+const Draft = require('../assets/js/form-draft.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T09:30:00Z');
+const PAGE = 'https://geniusglider.com/contact.html?utm_source=newsletter#consultation';
+
+const savedAgo = (ms) => ({ savedAt: new Date(NOW - ms).toISOString() });
+
+function run() {
+  check('a draft is kept for the default seven days', Draft.DEFAULT_MAX_AGE === 7 * DAY &&
+    !Draft.isExpired(savedAgo(7 * DAY), undefined, NOW) && Draft.isExpired(savedAgo(7 * DAY + 1000), undefined, NOW));
+  check('a custom maxAge is honoured', Draft.isExpired(savedAgo(2 * DAY), DAY, NOW) && !Draft.isExpired(savedAgo(DAY / 2), DAY, NOW));
+  check('a missing or unreadable savedAt counts as expired',
+    Draft.isExpired({}, undefined, NOW) && Draft.isExpired({ savedAt: 'yesterday' }, undefined, NOW));
+
+  const stepTwo = Draft.stepUrl(PAGE, 2);
+  check('later steps are added to the URL', stepTwo === 'https://geniusglider.com/contact.html?utm_source=newsletter&step=2#consultation',
+    stepTwo);
+  check('the first step has no step parameter', Draft.stepUrl(stepTwo, 1) === PAGE, Draft.stepUrl(stepTwo, 1));
+  check('moving between steps replaces the parameter', new URL(Draft.stepUrl(stepTwo, 3)).searchParams.getAll('step').join() === '3');
+
+  const roundTrips = [1, 2, 3, 4].every((step) => (Draft.readStep(new URL(Draft.stepUrl(PAGE, step)).search) || 1) === step);
+  check('steps round-trip through the URL', roundTrips);
+
+  const junk = ['', '?utm_source=newsletter', '?step=0', '?step=-2', '?step=two'].filter((search) => Draft.readStep(search) !== null);
+  check('missing or invalid steps read as null', junk.length === 0, junk.join(', '));
+}
+
+runChecks(run);
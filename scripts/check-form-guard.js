@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Form Guard Check
+ * Solves a proof of work with assets/js/form-guard.js (the same solve() pow-worker.js runs) and
+ * runs the reference verify() the dev server uses against a genuine submission and the ways a
+ * bot's can be wrong: honeypot filled, sent too fast, forged, tampered or replayed proofs, and
+ * that a submission delivered late from the offline queue is judged from when it was queued. Then
+ * guards a stand-in form to check what the browser side decides before sending: the honeypot,
+ * the time since the form loaded (waived for a restored draft), and the per-browser submission limit.
+ * Uses a low difficulty so it finishes quickly.
+ *
+ * Usage:
+ *   node scripts/check-form-guard.js
+ */
+
+'use strict';
+
+// The submission limit lives in localStorage; give the module one before it loads
+const storage = new Map();
+global.self = {
+  localStorage: {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+  }
+};
+
+const Guard = require('../assets/js/form-guard.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const DIFFICULTY = 10;
+const ISSUED = Date.parse('2026-10-19T09:30:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const MINUTE = 60 * 1000;
+
+// Just enough of a form for FormGuard: its own honeypot and _guard field, and its listeners
+function fakeForm() {
+  const honeypot = { type: 'text', value: '' };
+  const field = { value: '' };
+  const listeners = {};
+  return {
+    honeypot,
+    field,
+    querySelectorAll: () => [honeypot],
+    querySelector: () => field,
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    // What the first focus or keystroke sets off
+    touch: () => listeners.focusin()
+  };
+}
+
+async function checkForm() {
+  const realNow = Date.now;
+  let clock = ISSUED;
+  Date.now = () => clock;
+
+  try {
+    // No Worker under Node, so no proof: prepare() signs off with pow: null
+    const guarded = () => {
+      const form = fakeForm();
+      Guard.create(form, { workerUrl: null, powTimeout: 10 });
+      return form;
+    };
+    const prepare = (form) => Guard.create(form).prepare();
+
+    const bot = guarded();
+    bot.touch();
+    bot.honeypot.value = 'fax';
+    clock += MINUTE;
+    const caught = await prepare(bot);
+    check('a filled honeypot is treated as spam and never signed', caught.status === 'spam' && caught.signals.honeypot === true &&
+      bot.field.value === '');
+
+    const hasty = guarded();
+    clock += Guard.DEFAULTS.minTime - 1;
+    hasty.touch();
+    check('sending within minTime of the form loading is too fast', (await prepare(hasty)).reason === 'too_fast');
+
+    // Clicking submit is the first focus: the time on the page before it still counts
+    const reader = guarded();
+    clock += MINUTE;
+    reader.touch();
+    check('a visitor who reads the page, then fills the form quickly, is not too fast', (await prepare(reader)).status === 'ok');
+
+    const returning = guarded();
+    Guard.create(returning).markDraftRestored();
+    returning.touch();
+    const resumed = await prepare(returning);
+    check('sending a restored draft straight away is not too fast, and says why', resumed.status === 'ok' &&
+      resumed.signals.draft_restored === true && resumed.signals.elapsed_ms === 0);
+
+    const person = guarded();
+    clock += MINUTE;
+    person.touch();
+    const sent = await prepare(person);
+    const signals = JSON.parse(person.field.value || '{}');
+    check('a person taking their time is signed off with the signals in _guard', sent.status === 'ok' &&
+      signals.elapsed_ms === MINUTE && signals.started_at === new Date(clock - MINUTE).toISOString() && signals.recent_submissions === 0);
+
+    const guard = Guard.create(person);
+    guard.recordSubmission();
+    clock += Guard.DEFAULTS.minInterval - 1;
+    check('a second submission within minInterval is held back', (await prepare(person)).reason === 'rate_limited');
+
+    clock += MINUTE;
+    guard.recordSubmission();
+    clock += MINUTE;
+    guard.recordSubmission();
+    clock += MINUTE;
+    const limited = await prepare(person);
+    check(`after ${Guard.DEFAULTS.maxPerHour} submissions in an hour the next waits for the oldest to expire`,
+      limited.reason === 'rate_limited' && /in 57 minutes,/.test(limited.message), limited.message);
+
+    clock += 58 * MINUTE;
+    check('the limit lifts once the oldest submission is an hour old', (await prepare(person)).status === 'ok');
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+async function run() {
+  const bits = [[[0x80], 0], [[0x01], 7], [[0, 0x0f], 12], [[0, 0, 0], 24]].map(([bytes, expected]) =>
+    Guard.leadingZeroBits(new Uint8Array(bytes)) === expected);
+  check('leadingZeroBits counts across bytes', bits.every(Boolean));
+
+  const proof = await Guard.solve(`${ISSUED}:5f2b8c01a9d3e7f4c6b0a2d8:consultation`, DIFFICULTY);
+  check('solve finds a proof at the requested difficulty', proof && proof.difficulty === DIFFICULTY &&
+    Guard.leadingZeroBits(Buffer.from(proof.hash, 'hex')) >= DIFFICULTY, proof && `nonce ${proof.nonce}`);
+  if (!proof) return;
+
+  const options = { minDifficulty: DIFFICULTY, now: ISSUED + 60000 };
+  const human = { honeypot: false, elapsed_ms: 48000, pow: proof };
+  const verify = (signals, overrides) => Guard.verify(signals, { ...options, ...overrides }).then((problems) => problems.join());
+
+  check('a genuine submission passes', await verify(human) === '');
+  check('the JSON string from the _guard field is accepted', await verify(JSON.stringify(human)) === '');
+
+  check('a filled honeypot is reported', await verify({ ...human, honeypot: true }) === 'honeypot');
+  check('a submission faster than minTime is too_fast', await verify({ ...human, elapsed_ms: Guard.DEFAULTS.minTime - 1 }) === 'too_fast' &&
+    await verify({ ...human, elapsed_ms: undefined }) === 'too_fast');
+  check('a restored draft may be sent faster than minTime', await verify({ ...human, elapsed_ms: 400, draft_restored: true }) === '');
+
+  check('a missing proof is reported', await verify({ ...human, pow: null }) === 'no_proof');
+  check('a tampered nonce is a bad proof', await verify({ ...human, pow: { ...proof, nonce: proof.nonce + 1 } }) === 'bad_proof');
+  check('overclaiming the difficulty is a bad proof', await verify({ ...human, pow: { ...proof, difficulty: 30 } }) === 'bad_proof');
+  check('proofs below the required difficulty are refused', await verify(human, { minDifficulty: Guard.DEFAULTS.difficulty }) === 'bad_proof');
+
+  check('a replayed proof goes stale after maxAge', await verify(human, { now: ISSUED + 25 * HOUR }) === 'stale_proof');
+  check('a challenge from the future is stale', await verify(human, { now: ISSUED - 60000 }) === 'stale_proof');
+
+  const queued = JSON.parse(Guard.markQueued(JSON.stringify(human), ISSUED + 60000));
+  check('a submission queued offline is checked from when it was queued', queued.queued_at === new Date(ISSUED + 60000).toISOString() &&
+    await verify(queued, { now: ISSUED + 3 * 24 * HOUR }) === '' &&
+    await verify(queued, { now: ISSUED + 8 * 24 * HOUR }) === 'stale_proof' &&
+    await verify({ ...human, queued_at: new Date(ISSUED + 25 * HOUR).toISOString() }, { now: ISSUED + 26 * HOUR }) === 'stale_proof' &&
+    await verify({ ...human, queued_at: 'yesterday' }, { now: ISSUED + 25 * HOUR }) === 'stale_proof');
+
+  check('unreadable or missing signals are reported', await verify('{not json') === 'unreadable' &&
+    await verify(null) === 'missing' && await verify({}) === 'too_fast,no_proof');
+
+  await checkForm();
+
+  check('rate limit message pluralises minutes',
+    /in 1 minute,/.test(Guard.MESSAGES.rateLimited(1)) && /in 12 minutes,/.test(Guard.MESSAGES.rateLimited(12)));
+}
+
+runChecks(run);
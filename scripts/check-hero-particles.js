@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Hero Particles Budget Check
+ * Runs the starting particle budget in assets/js/hero-particles.js for a range of devices
+ * (memory, cores, screen width, Save-Data) and the frame-time adjustment that follows, including
+ * a simulated device to check the field settles instead of swinging between too many and too few.
+ *
+ * Usage:
+ *   node scripts/check-hero-particles.js
+ */
+
+'use strict';
+
+const Particles = require('../assets/js/hero-particles.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const { DEFAULTS, particleBudget, adaptCount } = Particles;
+const DESKTOP = 1440;
+const PHONE = 390;
+
+const budget = (navigator, width = DESKTOP, settings = DEFAULTS) => particleBudget(settings, { navigator, width });
+
+function run() {
+  check('a desktop without device hints gets the full field', budget({}) === DEFAULTS.maxParticles);
+
+  const factors = [
+    ['Save-Data', budget({ connection: { saveData: true } }), 1250],
+    ['2 GB memory', budget({ deviceMemory: 2 }), 2000],
+    ['4 GB memory', budget({ deviceMemory: 4 }), 3500],
+    ['8 GB memory', budget({ deviceMemory: 8 }), 5000],
+    ['4 cores', budget({ hardwareConcurrency: 4 }), 3000],
+    ['8 cores', budget({ hardwareConcurrency: 8 }), 5000],
+    ['767px wide', budget({}, 767), 2500],
+    ['768px wide', budget({}, 768), 5000]
+  ].filter(([, actual, expected]) => actual !== expected);
+  check('each device hint scales the budget', factors.length === 0, factors.map(([hint, actual]) => `${hint} -> ${actual}`).join(', '));
+
+  check('a mid-range phone gets a reduced field', budget({ deviceMemory: 4, hardwareConcurrency: 8 }, PHONE) === 1750);
+  check('a low-end phone on Save-Data gets the minimum, never less',
+    budget({ deviceMemory: 1, hardwareConcurrency: 2, connection: { saveData: true } }, PHONE) === DEFAULTS.minParticles);
+  check('options passed to mount() set the range',
+    budget({}, DESKTOP, { ...DEFAULTS, maxParticles: 2000 }) === 2000 &&
+      budget({ deviceMemory: 1 }, PHONE, { ...DEFAULTS, maxParticles: 2000, minParticles: 100 }) === 400);
+
+  check('defaults are ordered: min <= 2D cap <= max',
+    DEFAULTS.minParticles <= DEFAULTS.max2dParticles && DEFAULTS.max2dParticles <= DEFAULTS.maxParticles);
+
+  const thirtyFps = 1000 / 30;
+  const sixtyFps = 1000 / 60;
+  check('slow frames shed 30%, down to the minimum', adaptCount(3000, thirtyFps, 5000, DEFAULTS) === 2100 &&
+    adaptCount(450, thirtyFps, 5000, DEFAULTS) === DEFAULTS.minParticles &&
+    adaptCount(DEFAULTS.minParticles, thirtyFps, 5000, DEFAULTS) === DEFAULTS.minParticles);
+  check('fast frames grow 15%, up to the ceiling', adaptCount(2000, sixtyFps, 5000, DEFAULTS) === 2300 &&
+    adaptCount(2000, sixtyFps, 2100, DEFAULTS) === 2100 && adaptCount(2100, sixtyFps, 2100, DEFAULTS) === 2100);
+  check('50fps is left alone', adaptCount(3000, 1000 / 50, 5000, DEFAULTS) === 3000);
+
+  // A device that draws 300 particles per extra millisecond of frame time, from either end of the range
+  const frameTime = (count) => 10 + count / 300;
+  const settle = (start) => {
+    const history = [start];
+    for (let step = 0; step < 30; step++) {
+      const count = history[history.length - 1];
+      history.push(adaptCount(count, frameTime(count), DEFAULTS.maxParticles, DEFAULTS));
+    }
+    return history;
+  };
+  const unsettled = [DEFAULTS.maxParticles, DEFAULTS.minParticles].map(settle).filter((history) => {
+    const last = history.slice(-5);
+    return !last.every((count) => count === last[0]) || frameTime(last[0]) > 1000 / 45;
+  });
+  check('a slow device settles between the frame-time thresholds', unsettled.length === 0,
+    unsettled.map((history) => history.slice(-5).join(' -> ')).join('; '));
+}
+
+runChecks(run);
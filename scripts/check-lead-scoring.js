@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Lead Scoring Check
+ * Validates assets/data/lead-scoring-rules.json with assets/js/lead-scoring.js, checks that every
+ * company size and industry the consultation forms offer is recognised by a rule (so none of them
+ * quietly lands in `unknown`), and scores a few sample leads, including engagement signals.
+ *
+ * Usage:
+ *   node scripts/check-lead-scoring.js [path/to/rules.json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const LeadScoring = require('../assets/js/lead-scoring.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const RULES_PATH = path.resolve(process.argv[2] || path.join(ROOT, 'assets/data/lead-scoring-rules.json'));
+const FORM_PAGES = ['contact.html', 'home.html'];
+
+// Non-empty option values of <select id="..."> on a page
+function selectOptions(html, id) {
+  const select = html.match(new RegExp(`<select[^>]*id="${id}"[\\s\\S]*?</select>`));
+  return select ? [...select[0].matchAll(/value="([^"]+)"/g)].map((match) => match[1]) : [];
+}
+
+const matchedIds = (scoring) => scoring.matched.map((rule) => rule.id);
+
+function run() {
+  const ruleSet = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+
+  const problems = LeadScoring.validateRuleSet(ruleSet);
+  check(`${path.relative(ROOT, RULES_PATH)} is a valid rule set`, problems.length === 0, problems.join('; '));
+  if (problems.length) return;
+
+  FORM_PAGES.forEach((page) => {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+
+    [['company-size', 'company_size'], ['industry', 'industry']].forEach(([id, field]) => {
+      const options = selectOptions(html, id);
+      if (!options.length) return;
+
+      const unknown = options.filter((value) => LeadScoring.evaluate(ruleSet, { [field]: value }).unknown.length);
+      check(`${page}: every ${id} option has a rule`, unknown.length === 0, unknown.join(', '));
+    });
+  });
+
+  const strong = LeadScoring.evaluate(ruleSet, {
+    email_type: 'business',
+    company_size: '51-200',
+    industry: 'finance',
+    budget: 60000,
+    challenges: ['Frequent Downtime', 'Security Concerns', 'High IT Costs'],
+    challenge_count: 3,
+    engagement: { pricing_viewed: 2, pdf_downloaded: 1 }
+  });
+  check('a strong lead is capped at maxScore', strong.score === ruleSet.maxScore && strong.rawScore > ruleSet.maxScore,
+    `raw ${strong.rawScore}`);
+  check('engagement signals add points', ['engagement-pricing', 'engagement-report'].every((id) => matchedIds(strong).includes(id)));
+
+  const weak = LeadScoring.evaluate(ruleSet, { email_type: 'disposable', budget: 5000, challenges: [], challenge_count: 0 });
+  check('a disposable email with a small budget scores at the floor', weak.score === ruleSet.minScore,
+    `raw ${weak.rawScore}: ${matchedIds(weak).join(', ')}`);
+
+  const unanswered = LeadScoring.evaluate(ruleSet, { email_type: '', company_size: '', industry: '', budget: null, engagement: {} });
+  check('unanswered fields match no rules', unanswered.matched.length === 0 && unanswered.unknown.length === 0);
+
+  const newOption = LeadScoring.evaluate(ruleSet, { industry: 'logistics', company_size: '5000+' });
+  check('new form options are scored by the fallback and reported as unknown',
+    newOption.unknown.map((item) => `${item.field}=${item.value}`).join() === 'company_size=5000+,industry=logistics' &&
+      matchedIds(newOption).includes('industry-unknown'));
+
+  const broken = {
+    rules: [
+      { id: 'a', field: 'budget', operator: 'gte', value: '50000', points: 10 },
+      { id: 'a', field: 'industry', operator: 'like', value: 'fin', points: 5 },
+      { id: 'c', field: 'budget', operator: 'between', value: [1], points: 'ten' }
+    ]
+  };
+  check('validateRuleSet reports every broken rule', LeadScoring.validateRuleSet(broken).length === 5,
+    LeadScoring.validateRuleSet(broken).join('; '));
+}
+
+runChecks(run);
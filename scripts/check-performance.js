@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Web Vitals Check
+ * Loads assets/js/performance-monitor.js into a stand-in page, feeds it performance entries and
+ * lifecycle events, and checks that each metric is sent once at the right moment: TTFB and FCP
+ * when known, LCP at the first interaction, CLS and INP when the page is hidden, with the
+ * navigation type, ratings and attribution. Also feeds layout-shift sequences through the CLS
+ * session windows (shifts less than 1s apart, windows at most 5s long, input-driven shifts
+ * ignored, worst window wins) and checks the rating boundaries. Finally starts diagnostics mode
+ * (?perf=1) and checks its long task totals (including those home.html collects early),
+ * render-blocking detection and third-party ranking.
+ *
+ * Usage:
+ *   node scripts/check-performance.js
+ */
+
+'use strict';
+
+const { check, runChecks } = require('./lib/check.js');
+
+// ===== STAND-IN PAGE =====
+
+const page = {
+  sent: [],
+  flushes: [],
+  observers: {},
+  listeners: {},
+  documentListeners: {}
+};
+
+class FakeObserver {
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  observe({ type }) {
+    page.observers[type] = this;
+  }
+
+  takeRecords() {
+    return [];
+  }
+
+  disconnect() {
+    this.disconnected = true;
+  }
+}
+FakeObserver.supportedEntryTypes = [
+  'paint', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask', 'long-animation-frame', 'resource'
+];
+
+function emit(type, entries) {
+  const observer = page.observers[type];
+  if (observer && !observer.disconnected) observer.callback({ getEntries: () => entries });
+}
+
+function element(localName, id = '', classes = []) {
+  return { nodeType: 1, localName, id, classList: classes, parentElement: null };
+}
+
+const fakeDocument = {
+  visibilityState: 'visible',
+  readyState: 'complete',
+  // The page's render-blocking <script> and <link> tags, for browsers without renderBlockingStatus
+  querySelectorAll: () => [{ src: 'https://cdn.tailwindcss.com/' }],
+  addEventListener: (type, listener) => { page.documentListeners[type] = listener; }
+};
+
+global.Node = { ELEMENT_NODE: 1 };
+global.document = fakeDocument;
+global.PerformanceObserver = FakeObserver;
+Object.defineProperty(global, 'performance', {
+  configurable: true,
+  value: {
+    now: () => 5000,
+    getEntriesByType: (type) => (type === 'navigation' ? [{ type: 'back_forward', responseStart: 950, activationStart: 0 }] : [])
+  }
+});
+global.self = {
+  document: fakeDocument,
+  location: { href: 'https://www.geniusglider.com/home.html', host: 'www.geniusglider.com', pathname: '/home.html', search: '' },
+  PerformanceObserver: FakeObserver,
+  addEventListener: (type, listener) => { (page.listeners[type] = page.listeners[type] || []).push(listener); },
+  GeniusgliderAnalytics: {
+    track: (name, params) => page.sent.push({ name, ...params }),
+    flush: (options) => page.flushes.push(options)
+  }
+};
+
+const Performance = require('../assets/js/performance-monitor.js');
+
+const sent = (metric) => page.sent.filter((event) => event.name === 'web_vital' && event.metric === metric);
+const fire = (type) => (page.listeners[type] || []).forEach((listener) => listener());
+
+function hide() {
+  fakeDocument.visibilityState = 'hidden';
+  page.documentListeners.visibilitychange();
+}
+
+// ===== CHECKS =====
+
+// CLS for [startTime ms, value, hadRecentInput] shifts, rounded as the monitor reports it
+function cls(shifts) {
+  const state = { value: 0, session: 0, sessionEntries: [] };
+  shifts.forEach(([startTime, value, hadRecentInput = false]) => {
+    Performance.addLayoutShift(state, { startTime, value, hadRecentInput });
+  });
+  return Math.round(state.value * 1000) / 1000;
+}
+
+function checkLifecycle() {
+  const [ttfb] = sent('TTFB');
+  check('TTFB is sent on load with the navigation type', sent('TTFB').length === 1 && ttfb.value === 950 &&
+    ttfb.rating === 'needs-improvement' && ttfb.navigation_type === 'back-forward');
+
+  emit('paint', [{ name: 'first-paint', startTime: 600 }, { name: 'first-contentful-paint', startTime: 700 }]);
+  emit('paint', [{ name: 'first-contentful-paint', startTime: 750 }]);
+  check('FCP is sent once, when painted', sent('FCP').length === 1 && sent('FCP')[0].value === 700);
+
+  emit('largest-contentful-paint', [{ startTime: 1200, element: element('h1', '', ['hero-title']) }]);
+  emit('largest-contentful-paint', [{ startTime: 2600, element: element('img', 'hero-image'), url: 'https://example.com/hero.webp' }]);
+  check('LCP waits for the first interaction', sent('LCP').length === 0);
+
+  fire('click');
+  const [lcp] = sent('LCP');
+  check('LCP is the last candidate before the first interaction, with its element and image', sent('LCP').length === 1 &&
+    lcp.value === 2600 && lcp.rating === 'needs-improvement' && lcp.target === 'img#hero-image' &&
+    lcp.resource_url === 'https://example.com/hero.webp');
+
+  emit('largest-contentful-paint', [{ startTime: 4000, element: element('p') }]);
+  fire('keydown');
+  check('later LCP candidates are not sent', sent('LCP').length === 1);
+
+  emit('layout-shift', [{ startTime: 1000, value: 0.05 }, { startTime: 1500, value: 0.04 }, { startTime: 8000, value: 0.02 }]);
+  const button = element('button', '', ['btn', 'btn-primary']);
+  emit('event', [
+    { interactionId: 1, name: 'pointerup', duration: 120, target: button },
+    { interactionId: 1, name: 'click', duration: 280, target: button },
+    { interactionId: 2, name: 'keydown', duration: 90, target: element('input', 'email') },
+    { interactionId: 0, name: 'mousemove', duration: 900, target: button }
+  ]);
+  check('CLS and INP wait until the page is hidden', sent('CLS').length === 0 && sent('INP').length === 0);
+
+  hide();
+  const [inp] = sent('INP');
+  check('CLS is the worst session window when the page is hidden', sent('CLS').length === 1 &&
+    sent('CLS')[0].value === 0.09 && sent('CLS')[0].rating === 'good');
+  check('INP is the slowest interaction, not a non-interaction event, with its target and type', sent('INP').length === 1 &&
+    inp.value === 280 && inp.rating === 'needs-improvement' && inp.target === 'button.btn.btn-primary' &&
+    inp.interaction_type === 'pointer');
+  check('the final metrics are flushed by beacon', page.flushes.some((options) => options && options.beacon));
+
+  emit('layout-shift', [{ startTime: 9000, value: 0.5 }]);
+  hide();
+  fire('pagehide');
+  check('every metric is sent once per page view', ['TTFB', 'FCP', 'LCP', 'CLS', 'INP'].every((metric) => sent(metric).length === 1));
+}
+
+function checkDiagnostics() {
+  const { monitor } = Performance;
+  check('diagnostics stay off without ?perf=1', monitor.diagnosticsReport() === null && !page.observers.longtask);
+
+  // home.html's inline script has been collecting long tasks since the page started loading
+  const early = { disconnected: false, takeRecords: () => [{ startTime: 40, duration: 90 }], disconnect: () => { early.disconnected = true; } };
+  self.GeniusgliderEarlyLongTasks = { entries: [{ startTime: 10, duration: 70 }], observer: early };
+
+  monitor.startDiagnostics();
+  emit('longtask', [{ startTime: 100, duration: 180 }, { startTime: 900, duration: 60 }]);
+
+  const three = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
+  const chart = 'https://cdn.jsdelivr.net/npm/chart.js';
+  const lucide = 'https://unpkg.com/lucide@latest';
+  emit('resource', [
+    { name: 'https://cdn.tailwindcss.com/', initiatorType: 'script', startTime: 20, duration: 300, transferSize: 120000 },
+    { name: three, initiatorType: 'script', startTime: 30, duration: 500, transferSize: 160000, renderBlockingStatus: 'blocking' },
+    { name: chart, initiatorType: 'script', startTime: 40, duration: 200, transferSize: 70000, renderBlockingStatus: 'non-blocking' },
+    { name: lucide, initiatorType: 'script', startTime: 50, duration: 900, transferSize: 0, renderBlockingStatus: 'non-blocking' },
+    { name: 'https://www.geniusglider.com/assets/js/simple.js', initiatorType: 'script', startTime: 60, duration: 40, transferSize: 6000 }
+  ]);
+  emit('long-animation-frame', [
+    { startTime: 1000, duration: 140, blockingDuration: 90, scripts: [{ sourceURL: chart, invoker: 'load', duration: 60 }] },
+    { startTime: 2000, duration: 120, blockingDuration: 70, scripts: [{ sourceURL: chart, duration: 30 }, { sourceURL: lucide, duration: 80 }] }
+  ]);
+
+  const report = monitor.diagnosticsReport();
+  check('long tasks from the early observer are taken over, so page load is included', early.disconnected &&
+    report.longTasks.includesPageLoad === true && report.longTasks.count === 4);
+  check('long tasks add up to total blocking time', report.longTasks.totalBlockingTime === 200 && report.longTasks.longest === 180);
+  check('long animation frames are totalled', report.longAnimationFrames.count === 2 &&
+    report.longAnimationFrames.totalBlockingDuration === 160);
+  check('render-blocking comes from the browser, or from the page\'s tags where it doesn\'t say',
+    report.resources.renderBlocking.join() === `https://cdn.tailwindcss.com/,${three}`);
+  check('resources are sized and the slowest listed first', report.resources.count === 5 &&
+    report.resources.transferSize === 356000 && report.resources.slowest[0].url === lucide);
+  check('third-party files rank by main-thread time, then bytes, leaving out first-party ones',
+    report.thirdParty.map((cost) => cost.url).join() === [chart, lucide, three, 'https://cdn.tailwindcss.com/'].join() &&
+      report.thirdParty[0].mainThread === 90);
+}
+
+function run() {
+  checkLifecycle();
+  checkDiagnostics();
+
+  check('no shifts is zero', cls([]) === 0);
+  check('shifts less than 1s apart add up', cls([[0, 0.05], [500, 0.05], [900, 0.05]]) === 0.15);
+  check('a 1s gap starts a new window', cls([[0, 0.1], [1000, 0.02]]) === 0.1 && cls([[0, 0.1], [999, 0.02]]) === 0.12);
+
+  const steady = [0, 900, 1800, 2700, 3600, 4500, 5400].map((time) => [time, 0.01]);
+  check('a window closes after 5s even while shifts continue', cls(steady) === 0.06, `${cls(steady)}`);
+
+  check('the worst window is reported, not the total',
+    cls([[0, 0.1], [3000, 0.05], [3400, 0.05], [3800, 0.05], [9000, 0.01]]) === 0.15);
+
+  check('shifts right after input are ignored', cls([[0, 0.02], [300, 0.5, true], [600, 0.02]]) === 0.04);
+  check('an ignored shift does not keep a window open', cls([[0, 0.1], [700, 0.5, true], [1400, 0.1]]) === 0.1);
+
+  const ratings = [
+    ['CLS', 0.1, 'good'], ['CLS', 0.101, 'needs-improvement'], ['CLS', 0.25, 'needs-improvement'], ['CLS', 0.26, 'poor'],
+    ['LCP', 2500, 'good'], ['LCP', 4000, 'needs-improvement'], ['LCP', 4001, 'poor'],
+    ['INP', 200, 'good'], ['INP', 501, 'poor'], ['FCP', 1801, 'needs-improvement'], ['TTFB', 1800, 'needs-improvement']
+  ].filter(([metric, value, expected]) => Performance.rateMetric(metric, value) !== expected);
+  check('ratings use the web.dev boundaries, inclusive', ratings.length === 0,
+    ratings.map(([metric, value]) => `${metric} ${value} -> ${Performance.rateMetric(metric, value)}`).join(', '));
+
+  const unordered = Object.entries(Performance.WEB_VITAL_THRESHOLDS).filter(([, [good, poor]]) => !(good > 0 && poor > good));
+  check('every metric has a good boundary below its poor one', unordered.length === 0, unordered.map(([metric]) => metric).join(', '));
+}
+
+runChecks(run);
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Phone Number Check
+ * Parses sample numbers for every country in assets/js/phone.js the way visitors type them
+ * (trunk prefix, country code with or without +, 00), checks the error messages for numbers
+ * that can't be right, and that as-you-type formatting never changes what a number parses to.
+ *
+ * Usage:
+ *   node scripts/check-phone.js
+ */
+
+'use strict';
+
+const Phone = require('../assets/js/phone.js');
+const { check, runChecks } = require('./lib/check.js');
+
+// [typed, selected country, expected E.164]
+const VALID = [
+  ['98765 43210', 'IN', '+919876543210'],
+  ['098765 43210', 'IN', '+919876543210'],
+  ['91 98765 43210', 'IN', '+919876543210'],
+  ['(415) 555-2671', 'US', '+14155552671'],
+  ['1 415 555 2671', 'US', '+14155552671'],
+  ['416-555-0123', 'CA', '+14165550123'],
+  ['07700 900123', 'GB', '+447700900123'],
+  ['020 7946 0958', 'GB', '+442079460958'],
+  ['050 123 4567', 'AE', '+971501234567'],
+  ['04 123 4567', 'AE', '+97141234567'],
+  ['6123 4567', 'SG', '+6561234567'],
+  ['0412 345 678', 'AU', '+61412345678'],
+  ['0044 7700 900123', 'IN', '+447700900123']
+];
+
+function run() {
+  const misparsed = VALID.filter(([typed, country, e164]) => Phone.toE164(typed, country) !== e164);
+  check('sample numbers normalise to E.164', misparsed.length === 0,
+    misparsed.map(([typed, country]) => `${country} ${typed} -> ${Phone.toE164(typed, country)}`).join(', '));
+
+  const reformatted = VALID.filter(([typed, country, e164]) => Phone.toE164(Phone.format(typed, country), country) !== e164);
+  check('formatting keeps the number', reformatted.length === 0,
+    reformatted.map(([typed, country]) => `${country} ${typed} -> ${Phone.format(typed, country)}`).join(', '));
+
+  check('format: as-you-type grouping', Phone.format('9876543', 'IN') === '98765 43' &&
+    Phone.format('4155552671', 'US') === '(415) 555-2671' && Phone.format('+447700900123', 'IN') === '+44 7700 900123');
+  check('format: extra digits are kept, not dropped', Phone.format('98765432101', 'IN') === '98765 432101');
+
+  const templates = Object.entries(Phone.COUNTRIES).filter(([, country]) =>
+    country.templates.length !== country.lengths.length ||
+    country.templates.some((template, index) => template.split('#').length - 1 !== country.lengths[index]));
+  check('every country has one template per allowed length', templates.length === 0, templates.map(([code]) => code).join(', '));
+
+  check('+1 numbers follow the selected country, then default to the US',
+    Phone.parse('+1 416 555 0123', 'CA').country === 'CA' && Phone.parse('+1 416 555 0123', 'IN').country === 'US');
+
+  const other = Phone.parse('+49 30 1234567', 'IN');
+  check('countries without rules only get the E.164 length check', other.valid && other.country === null &&
+    other.e164 === '+49301234567' && Phone.parse('+49 12', 'IN').error === Phone.MESSAGES.international);
+
+  check('length errors use the country message', Phone.parse('98765', 'IN').error === Phone.COUNTRIES.IN.messages.length &&
+    Phone.parse('07700 90', 'GB').error === Phone.COUNTRIES.GB.messages.length);
+  check('prefix errors use the country message', Phone.parse('015 555 2671', 'US').error === Phone.COUNTRIES.US.messages.leading &&
+    Phone.parse('1234 5678', 'SG').error === Phone.COUNTRIES.SG.messages.leading);
+
+  check('empty input and unknown countries', Phone.parse('  ', 'IN').error === Phone.MESSAGES.empty &&
+    Phone.parse('12345', 'ZZ').error === Phone.MESSAGES.unknownCountry);
+}
+
+runChecks(run);
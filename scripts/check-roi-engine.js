@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - ROI Engine Check
+ * Runs assets/js/roi-engine.js against a scenario worked out by hand, the pricing tier
+ * boundaries and the per-industry overrides the dev server stub serves, and checks that
+ * invalid overrides or inputs fall back to the bundled model instead of producing absurd figures.
+ * Also checks that loadModel() only asks for a model on localhost or where an endpoint is given.
+ *
+ * Usage:
+ *   node scripts/check-roi-engine.js
+ */
+
+'use strict';
+
+// A stand-in page for loadModel(): where it is served from and the requests it makes
+const page = { requests: [], fail: false };
+global.self = {
+  location: { hostname: 'www.geniusglider.com' },
+  fetch: async (url) => {
+    page.requests.push(url);
+    if (page.fail) return { ok: false, status: 503, json: async () => ({}) };
+    const industry = new URL(url, 'http://localhost').searchParams.get('industry');
+    return { ok: true, status: 200, json: async () => ({ version: stub.version, model: stub.industries[industry] || stub.default }) };
+  }
+};
+
+const ROI = require('../assets/js/roi-engine.js');
+const stub = require('./stubs/roi-calculator.json');
+const { check, runChecks } = require('./lib/check.js');
+
+async function checkLoadModel() {
+  const onStaticSite = await ROI.loadModel('healthcare');
+  check('loadModel: the static site uses the bundled model without a request',
+    onStaticSite === ROI.DEFAULT_MODEL && page.requests.length === 0);
+
+  const configured = await ROI.loadModel('finance', { endpoint: 'https://api.example.com/roi?v=2' });
+  check('loadModel: a configured endpoint is asked for the industry', configured.version === stub.version &&
+    configured.defaults.hourlyCost === 900 && page.requests.pop() === 'https://api.example.com/roi?v=2&industry=finance');
+
+  self.location.hostname = 'localhost';
+  const local = await ROI.loadModel('healthcare');
+  check('loadModel: localhost asks the dev server', page.requests.pop() === `${ROI.MODEL_ENDPOINT}?industry=healthcare` &&
+    local.affectedStaff.share === 0.4);
+
+  page.fail = true;
+  const warn = console.warn;
+  console.warn = () => {};
+  const failed = await ROI.loadModel('saas');
+  console.warn = warn;
+  check('loadModel: a failed request falls back to the bundled model', failed === ROI.DEFAULT_MODEL && page.requests.length === 1);
+}
+
+async function run() {
+  // 15 affected staff (30% of 50) x 10 issues x 4 h x ₹500 = ₹3,00,000 lost a month; Medium plan ₹40,000;
+  // 40% fewer issues, 50% faster: ₹90,000 still lost; 15% of a ₹2,00,000 budget saved
+  const result = ROI.calculate({ currentBudget: 200000, employees: 50, issues: 10 });
+  check('calculate: hand-worked scenario', result.monthlyProductivityLoss === 300000 &&
+    result.serviceCost === 40000 && result.productivitySavings === 210000 &&
+    result.infrastructureSavings === 30000 && result.netMonthlySavings === 200000 &&
+    result.annualNetSavings === 2400000 && result.roiPercentage === 500,
+  `net ${result.netMonthlySavings}/month, ROI ${result.roiPercentage}%`);
+
+  check('calculate: breakdown explains every headline figure', result.breakdown.every((item) =>
+    item.value === result[item.key] && item.label && item.explanation));
+
+  check('calculate: affected staff is capped', ROI.calculate({ employees: 400, issues: 1 }).affectedEmployees === 20);
+
+  const defaults = ROI.calculate({ currentBudget: 'abc', employees: -5, issues: '', hourlyCost: 0 });
+  check('calculate: unusable inputs fall back instead of going negative',
+    defaults.inputs.currentBudget === 0 && defaults.inputs.employees === 0 && defaults.inputs.issues === 0 &&
+      defaults.inputs.hourlyCost === ROI.DEFAULT_MODEL.defaults.hourlyCost && defaults.monthlyProductivityLoss === 0);
+
+  const tiers = [[10, 'Small business'], [11, 'Small-medium'], [500, 'Enterprise'], [501, 'Large enterprise'], [100000, 'Large enterprise']]
+    .map(([employees, label]) => [employees, ROI.getPricingTier(employees).label, label]);
+  check('getPricingTier: tier boundaries', tiers.every(([, actual, expected]) => actual === expected),
+    tiers.filter(([, actual, expected]) => actual !== expected).map(([employees, actual]) => `${employees} -> ${actual}`).join(', '));
+
+  const projection = ROI.projectSavings(result);
+  check('projectSavings: 12/24/36 months at the monthly rate', projection.length === 3 &&
+    projection[2].months === 36 && projection[2].netSavings === result.netMonthlySavings * 36 &&
+    projection[1].serviceCost === result.serviceCost * 24);
+
+  Object.entries(stub.industries).forEach(([industry, overrides]) => {
+    const model = ROI.createModel({ ...overrides, version: stub.version });
+    const applied = ['improvements', 'affectedStaff', 'defaults'].every((group) =>
+      Object.entries(overrides[group] || {}).every(([key, value]) => model[group][key] === value));
+    check(`createModel: ${industry} overrides from the dev server stub apply`, applied && model.version === stub.version);
+  });
+
+  const hostile = ROI.createModel({
+    improvements: { incidentReduction: 2, resolutionTimeReduction: -1, infrastructureSavings: 'lots' },
+    affectedStaff: { share: 1.5, max: 0 },
+    defaults: { hourlyCost: -100 },
+    pricingTiers: [{ maxEmployees: 10, monthlyFee: -1, label: 'Free money' }]
+  });
+  check('createModel: invalid overrides keep the bundled values',
+    JSON.stringify({ ...hostile, version: ROI.DEFAULT_MODEL.version }) === JSON.stringify(ROI.DEFAULT_MODEL));
+
+  const unsorted = ROI.createModel({ pricingTiers: [
+    { maxEmployees: null, monthlyFee: 90000, label: 'Unlimited' },
+    { maxEmployees: 20, monthlyFee: 10000, label: 'Starter' }
+  ] });
+  check('createModel: pricing tiers are sorted with the open-ended tier last',
+    unsorted.pricingTiers.map((tier) => tier.label).join() === 'Starter,Unlimited' &&
+      ROI.getPricingTier(5000, unsorted).label === 'Unlimited');
+
+  check('formatCurrency: Indian digit grouping', ROI.formatCurrency(2400000.4) === '₹24,00,000', ROI.formatCurrency(2400000.4));
+
+  await checkLoadModel();
+}
+
+runChecks(run);
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - ROI Scenario Link Check
+ * Round-trips calculator inputs through the shareable query string in assets/js/roi-engine.js
+ * (encodeScenario / decodeScenario), as used by the home and case-studies calculators, and checks
+ * that unrelated parameters survive while junk values are dropped.
+ *
+ * Usage:
+ *   node scripts/check-roi-scenarios.js
+ */
+
+'use strict';
+
+const ROI = require('../assets/js/roi-engine.js');
+const { check, runChecks } = require('./lib/check.js');
+
+function run() {
+  const caseStudies = { currentBudget: 200000, employees: 50, issues: 10, hourlyCost: 750 };
+  const encoded = ROI.encodeScenario(caseStudies);
+  check('case-studies inputs round-trip', JSON.stringify(ROI.decodeScenario(`?${encoded}`)) === JSON.stringify(caseStudies), encoded);
+
+  // The home calculator has no budget field but sets the resolution time
+  const home = { employees: 120, issues: 8, resolutionHours: 6, hourlyCost: 1500 };
+  check('home inputs round-trip', JSON.stringify(ROI.decodeScenario(ROI.encodeScenario(home))) === JSON.stringify(home));
+
+  const merged = new URLSearchParams(ROI.encodeScenario(home, '?utm_source=mail&roi_budget=90000&roi_issues=3'));
+  check('unrelated parameters are kept', merged.get('utm_source') === 'mail');
+  check('parameters the calculator no longer sets are removed', !merged.has('roi_budget') && merged.get('roi_issues') === '8',
+    merged.toString());
+
+  check('form values arrive as strings', ROI.encodeScenario({ employees: '50', issues: '10.5' }) === 'roi_employees=50&roi_issues=10.5');
+
+  check('empty, zero, negative and non-numeric inputs are left out',
+    ROI.encodeScenario({ currentBudget: '', employees: 0, issues: -4, hourlyCost: 'abc' }) === '');
+
+  const tampered = ROI.decodeScenario('?roi_budget=Infinity&roi_employees=-10&roi_issues=abc&roi_hours=3&roi_rate=0');
+  check('tampered links only restore usable values', JSON.stringify(tampered) === JSON.stringify({ resolutionHours: 3 }),
+    JSON.stringify(tampered));
+
+  check('a link without a scenario decodes to null',
+    ROI.decodeScenario('') === null && ROI.decodeScenario('?utm_source=mail') === null);
+
+  const restored = ROI.calculate(ROI.decodeScenario(ROI.encodeScenario(caseStudies)));
+  check('a restored link calculates the same result',
+    restored.annualNetSavings === ROI.calculate(caseStudies).annualNetSavings);
+}
+
+runChecks(run);
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Submission Adapter Check
+ * Starts the dev server on a spare port and sends a valid and an invalid consultation through
+ * every adapter in assets/js/form-submit.js, checking they succeed, fail and retry the same way
+ * (a second dev server with STUB_FAIL=1 answers every request with a 500).
+ * The mailto adapter is checked by capturing the link it would open, and the consultation stub's
+ * spam check (assets/js/form-guard.js) by sending a honeypot hit. Bodies that are JSON but not
+ * an object must be turned away with a 400.
+ *
+ * Usage:
+ *   node scripts/check-submit-adapters.js [--port 8123]
+ */
+
+'use strict';
+
+const path = require('path');
+const { spawn } = require('child_process');
+const Submit = require('../assets/js/form-submit.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = parseInt(portArg > -1 ? process.argv[portArg + 1] : '', 10) || 8123;
+const BASE = `http://localhost:${PORT}`;
+const UNUSED_PORT = PORT + 1;
+const FAILING_PORT = PORT + 2; // A second dev server with STUB_FAIL=1
+
+const VALID = {
+  access_key: 'local-test-key',
+  'first-name': 'Asha',
+  'last-name': 'Rao',
+  email: 'asha@acme.in',
+  phone: '+919876543210',
+  'company-name': 'Acme',
+  challenges: ['Security Concerns', 'Slow Support'],
+  engagement: { page_views: 3 }
+};
+const INVALID = { ...VALID, email: 'asha@', phone: '98765' };
+
+const HTTP_ADAPTERS = {
+  json: `${BASE}/api/consultation`,
+  form: `${BASE}/api/consultation`,
+  web3forms: `${BASE}/api/mock/web3forms`
+};
+
+async function outcome(promise) {
+  try {
+    return { result: await promise };
+  } catch (error) {
+    return { error };
+  }
+}
+
+function startServer(port, env = {}) {
+  const server = spawn(process.execPath, [path.join(__dirname, 'dev-server.js'), '--port', String(port)], {
+    env: { ...process.env, STUB_DELAY: '1', ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.on('exit', (code) => reject(new Error(`dev server exited with code ${code}`)));
+    server.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('running at')) resolve(server);
+    });
+  });
+}
+
+async function run() {
+  for (const [adapter, endpoint] of Object.entries(HTTP_ADAPTERS)) {
+    const sent = await outcome(Submit.send(VALID, { adapter, endpoint }));
+    check(`${adapter}: valid payload is delivered`, sent.result?.ok === true && sent.result.status < 300,
+      sent.error ? sent.error.message : `status ${sent.result.status}`);
+
+    const rejected = await outcome(Submit.send(INVALID, { adapter, endpoint }));
+    const error = rejected.error;
+    check(`${adapter}: invalid payload is rejected without retrying`,
+      error instanceof Submit.SubmissionError && error.retryable === false && error.attempts === 1 &&
+        error.status >= 400 && Boolean(error.message),
+      error ? `${error.status} ${error.code}: ${error.message}` : 'resolved');
+
+    const offline = await outcome(Submit.send(VALID, {
+      adapter,
+      endpoint: endpoint.replace(`:${PORT}`, `:${UNUSED_PORT}`),
+      retries: 2,
+      retryDelay: 10
+    }));
+    check(`${adapter}: unreachable endpoint is retried, then fails as network`,
+      offline.error?.code === 'network' && offline.error.retryable === true && offline.error.attempts === 3,
+      offline.error ? `${offline.error.attempts} attempts` : 'resolved');
+
+    const failing = await outcome(Submit.send(VALID, {
+      adapter,
+      endpoint: endpoint.replace(`:${PORT}`, `:${FAILING_PORT}`),
+      retries: 2,
+      retryDelay: 10
+    }));
+    check(`${adapter}: a server error is retried, then fails with its status`,
+      failing.error?.status === 500 && failing.error.retryable === true && failing.error.attempts === 3,
+      failing.error ? `${failing.error.status} after ${failing.error.attempts} attempts` : 'resolved');
+  }
+
+  const jsonErrors = (await outcome(Submit.send(INVALID, { adapter: 'json', endpoint: HTTP_ADAPTERS.json }))).error;
+  check('json: field errors are passed through', Boolean(jsonErrors?.fieldErrors.email && jsonErrors.fieldErrors.phone));
+
+  const bot = { ...VALID, _guard: JSON.stringify({ version: 1, honeypot: true, elapsed_ms: 400, pow: null }) };
+  const spam = (await outcome(Submit.send(bot, { adapter: 'json', endpoint: HTTP_ADAPTERS.json }))).error;
+  check('json: spam signals are rejected', spam?.code === 'spam_suspected' && !spam.retryable,
+    spam ? `${spam.status} ${spam.code}` : 'resolved');
+
+  // Valid JSON that isn't an object must not reach the handlers
+  const statuses = await Promise.all(['null', '"hello"', '42', '[]'].map(async (body) => (await fetch(HTTP_ADAPTERS.json, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  })).status));
+  check('dev server: a JSON body that is not an object is a 400', statuses.every((status) => status === 400), statuses.join());
+
+  let opened = null;
+  const mailed = await outcome(Submit.send(VALID, {
+    adapter: 'mailto',
+    to: 'hello@geniusglider.com',
+    navigate: (url) => { opened = url; }
+  }));
+  check('mailto: opens a prefilled email', mailed.result?.ok === true &&
+    /^mailto:hello@geniusglider\.com\?subject=/.test(opened || '') && !opened.includes('local-test-key'));
+
+  const noAddress = await outcome(Submit.send(VALID, { adapter: 'mailto', navigate: () => {} }));
+  check('mailto: fails cleanly without an address', noAddress.error?.code === 'unsupported' && !noAddress.error.retryable);
+}
+
+runChecks(async () => {
+  const servers = await Promise.all([startServer(PORT), startServer(FAILING_PORT, { STUB_FAIL: '1' })]);
+  try {
+    await run();
+  } finally {
+    servers.forEach((server) => {
+      server.removeAllListeners('exit');
+      server.kill();
+    });
+  }
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Form Validation Check
+ * Runs the consultation schema in assets/js/form-validation.js through checkRules (the same
+ * rules the progressive form applies on blur and per step), checks custom messages and the
+ * phone fallback, and that every control the form pages mark `required` is required by the schema.
+ *
+ * Usage:
+ *   node scripts/check-validation.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Validation = require('../assets/js/form-validation.js');
+const { check, runChecks } = require('./lib/check.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const FORM_PAGES = ['contact.html', 'home.html'];
+
+// id (or name) of every input, select and textarea carrying the required attribute
+function requiredControls(html) {
+  return [...html.matchAll(/<(?:input|select|textarea)\b[^>]*\brequired\b[^>]*>/g)]
+    .map((match) => (match[0].match(/\bid="([^"]+)"/) || match[0].match(/\bname="([^"]+)"/) || [])[1])
+    .filter(Boolean);
+}
+
+function run() {
+  const { fields, groups } = Validation.schemas.consultation;
+  const { checkRules, MESSAGES } = Validation;
+
+  check('required fields reject empty values', checkRules('', fields['first-name']) === MESSAGES.required);
+  check('optional fields accept empty values', checkRules('', fields['additional-info']) === '');
+  check('minLength', checkRules('A', fields['company-name']) === MESSAGES.minLength(2) &&
+    checkRules('AB', fields['company-name']) === '');
+  check('maxLength', checkRules('x'.repeat(2001), fields['additional-info']) === MESSAGES.maxLength(2000) &&
+    checkRules('x'.repeat(2000), fields['additional-info']) === '');
+
+  const badEmails = ['name', 'name@', 'name@company', 'na me@company.com'].filter((value) => checkRules(value, fields.email) !== MESSAGES.email);
+  check('email rejects malformed addresses', badEmails.length === 0, badEmails.join(', '));
+  check('email accepts a plain work address', checkRules('priya@acme.co.in', fields.email) === '');
+
+  check('tel ignores spacing and punctuation', checkRules('+91 (98765) 43210', { tel: true }) === '' &&
+    checkRules('0123', { tel: true }) === MESSAGES.tel);
+  check('pattern', checkRules('GST-123', { pattern: '^[A-Z]{3}-\\d+$' }) === '' &&
+    checkRules('gst-123', { pattern: '^[A-Z]{3}-\\d+$' }) === MESSAGES.pattern);
+  check('custom messages replace the defaults', checkRules('', { required: true, messages: { required: 'Tell us your name' } }) === 'Tell us your name');
+
+  // Without assets/js/phone.js loaded, the phone field falls back to the generic tel rule
+  const form = { querySelector: () => null };
+  check('phone falls back to the tel rule without phone.js',
+    fields.phone.validate('+91 98765 43210', { form }) === '' && fields.phone.validate('12ab', { form }) === MESSAGES.tel);
+
+  FORM_PAGES.forEach((page) => {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const uncovered = requiredControls(html).filter((key) =>
+      !fields[key]?.required && !Object.values(groups).some((group) => group.selector.includes(`name="${key}"`)));
+    check(`${page}: every required control is required by the schema`, uncovered.length === 0, uncovered.join(', '));
+  });
+}
+
+runChecks(run);
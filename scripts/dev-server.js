@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Local Development Server
+ * Serves the static site and stubs the /api/* endpoints used by assets/js/app.js and the ROI
+ * calculators (assets/js/roi-engine.js), plus a Web3Forms look-alike for trying the submission
+ * adapters in assets/js/form-submit.js.
+ * Consultations carrying spam signals (_guard, from assets/js/form-guard.js) are checked too,
+ * and analytics events posted to /api/events are written to NDJSON (scripts/event-collector.js).
+ * Stub data lives in scripts/stubs/ and is re-read on every request, so it can be edited live.
+ *
+ * Usage:
+ *   node scripts/dev-server.js [--port 8000]
+ *
+ * Environment:
+ *   PORT         Port to listen on (default 8000)
+ *   STUB_DELAY   Artificial latency for API responses in ms (default 600)
+ *   STUB_FAIL    Set to 1 to make every API request fail with a 500
+ *   EVENTS_FILE  Where analytics events are written (default logs/analytics-events.ndjson)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Guard = require('../assets/js/form-guard.js');
+const { createCollector } = require('./event-collector.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const STUBS_DIR = path.join(__dirname, 'stubs');
+const portArg = process.argv.indexOf('--port');
+const PORT = parseInt(portArg > -1 ? process.argv[portArg + 1] : process.env.PORT, 10) || 8000;
+const STUB_DELAY = parseInt(process.env.STUB_DELAY, 10) || 600;
+const STUB_FAIL = process.env.STUB_FAIL === '1';
+const MAX_BODY_BYTES = 100 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+// ===== CONSULTATION STUB =====
+
+// Required consultation fields. The contact page posts human-readable names
+// ("First Name") while the other forms use the element ids ("first-name").
+const CONSULTATION_FIELDS = [
+  { keys: ['first-name', 'First Name'], label: 'First name', minLength: 2 },
+  { keys: ['last-name', 'Last Name'], label: 'Last name', minLength: 2 },
+  { keys: ['email'], label: 'Email', type: 'email' },
+  { keys: ['phone', 'Phone Number'], label: 'Phone number', type: 'e164' },
+  { keys: ['company-name', 'Company Name'], label: 'Company name', minLength: 2 }
+];
+
+const submissions = [];
+
+// Spam signals that reject a consultation. A missing proof only gets logged: the browser may
+// lack Web Workers, or the visitor sent the form before the proof finished.
+const GUARD_REJECTS = ['honeypot', 'too_fast', 'bad_proof', 'stale_proof', 'unreadable'];
+
+function validateConsultation(payload) {
+  const errors = {};
+
+  CONSULTATION_FIELDS.forEach((field) => {
+    const key = field.keys.find((candidate) => candidate in payload) || field.keys[0];
+    const value = String(payload[key] || '').trim();
+
+    if (!value) {
+      errors[key] = `${field.label} is required`;
+    } else if (field.minLength && value.length < field.minLength) {
+      errors[key] = `${field.label} must be at least ${field.minLength} characters`;
+    } else if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      errors[key] = 'Please enter a valid email address';
+    } else if (field.type === 'e164' && !/^\+[1-9]\d{7,14}$/.test(value)) {
+      // The forms normalise phone numbers with assets/js/phone.js before sending
+      errors[key] = 'Please enter a valid phone number';
+    }
+  });
+
+  return errors;
+}
+
+async function handleConsultation(req, res, payload, url) {
+  if (payload._guard === undefined) {
+    console.log('[api] consultation without spam signals');
+  } else {
+    const problems = await Guard.verify(payload._guard);
+    if (problems.some((problem) => GUARD_REJECTS.includes(problem))) {
+      console.log(`[api] consultation rejected as spam (${problems.join(', ')})`);
+      return sendJSON(res, 422, {
+        success: false,
+        code: 'spam_suspected',
+        message: 'Your request could not be sent. Please try again, or email us directly.'
+      });
+    }
+    if (problems.length) {
+      console.log(`[api] consultation spam signals: ${problems.join(', ')}`);
+    }
+  }
+
+  const errors = validateConsultation(payload);
+
+  if (Object.keys(errors).length) {
+    return sendJSON(res, 422, {
+      success: false,
+      code: 'validation_error',
+      message: 'Please correct the highlighted fields.',
+      errors
+    });
+  }
+
+  const submission = { id: crypto.randomUUID(), receivedAt: new Date().toISOString(), data: payload };
+  submissions.push(submission);
+  console.log(`[api] consultation ${submission.id} (lead score ${payload.lead_score})`);
+
+  return sendJSON(res, 201, { success: true, id: submission.id });
+}
+
+// ===== WEB3FORMS MOCK =====
+
+// Answers like https://api.web3forms.com/submit: 200 { success: true } or 400 { success: false }
+function handleWeb3FormsMock(req, res, payload, url) {
+  if (!payload.access_key) {
+    return sendJSON(res, 400, { success: false, message: 'Access key is missing' });
+  }
+  if (payload.botcheck) {
+    return sendJSON(res, 400, { success: false, message: 'Spam detected' });
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(payload.email || ''))) {
+    return sendJSON(res, 400, { success: false, message: 'Please provide a valid email address' });
+  }
+
+  const submission = { id: crypto.randomUUID(), receivedAt: new Date().toISOString(), data: payload };
+  submissions.push(submission);
+  console.log(`[mock] web3forms ${submission.id}`);
+
+  return sendJSON(res, 200, { success: true, message: 'Email sent successfully!', data: payload });
+}
+
+// ===== ROI CALCULATOR STUB =====
+
+function handleROIModel(req, res, payload, url) {
+  // Overrides on top of DEFAULT_MODEL in assets/js/roi-engine.js
+  const stub = JSON.parse(fs.readFileSync(path.join(STUBS_DIR, 'roi-calculator.json'), 'utf8'));
+  const industry = url.searchParams.get('industry') || 'default';
+  const known = Object.prototype.hasOwnProperty.call(stub.industries, industry);
+
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return sendJSON(res, 200, {
+    version: stub.version,
+    industry: known ? industry : 'default',
+    model: known ? stub.industries[industry] : stub.default
+  });
+}
+
+// ===== ANALYTICS COLLECTOR =====
+
+const collector = createCollector({ file: process.env.EVENTS_FILE ? path.resolve(process.env.EVENTS_FILE) : undefined });
+
+async function handleEvents(req, res, payload, url) {
+  const { accepted, rejected } = await collector.record(payload);
+  rejected.forEach(({ index, problems }) => console.warn(`[events] rejected #${index}: ${problems.join('; ')}`));
+  return sendJSON(res, 202, { success: true, accepted, rejected });
+}
+
+const API_ROUTES = {
+  'POST /api/consultation': handleConsultation,
+  'POST /api/mock/web3forms': handleWeb3FormsMock,
+  'GET /api/roi-calculator': handleROIModel,
+  'POST /api/events': handleEvents
+};
+
+// ===== HTTP HELPERS =====
+
+function sendJSON(res, status, body) {
+  if (!res.hasHeader('Cache-Control')) {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+// Form-encoded fields, with repeated names (checkbox groups) as arrays
+function parseFormBody(text) {
+  const payload = {};
+  for (const [key, value] of new URLSearchParams(text)) {
+    payload[key] = key in payload ? [].concat(payload[key], value) : value;
+  }
+  return payload;
+}
+
+// JSON or application/x-www-form-urlencoded, by Content-Type
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!chunks.length) return resolve({});
+      const text = Buffer.concat(chunks).toString('utf8');
+      if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+        return resolve(parseFormBody(text));
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        return reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }));
+      }
+      // The handlers read fields off it: null, arrays, strings and numbers would crash them
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+async function handleApi(req, res, url) {
+  const { pathname } = url;
+  const handler = API_ROUTES[`${req.method} ${pathname}`];
+  if (!handler) {
+    return sendJSON(res, 404, { success: false, code: 'not_found', message: `No stub for ${req.method} ${pathname}` });
+  }
+
+  let payload;
+  try {
+    payload = req.method === 'GET' ? {} : await readBody(req);
+  } catch (error) {
+    return sendJSON(res, error.status || 400, { success: false, code: 'bad_request', message: error.message });
+  }
+
+  setTimeout(async () => {
+    if (STUB_FAIL) {
+      return sendJSON(res, 500, { success: false, code: 'server_error', message: 'Our servers are having trouble right now. Please try again shortly.' });
+    }
+    try {
+      await handler(req, res, payload, url);
+    } catch (error) {
+      console.error(`[api] ${req.method} ${pathname} failed:`, error);
+      sendJSON(res, 500, { success: false, code: 'server_error', message: error.message });
+    }
+  }, STUB_DELAY);
+}
+
+function serveStatic(req, res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // Malformed escapes such as /%E0
+    res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+    return res.end('Bad request');
+  }
+
+  let filePath = path.normalize(path.join(ROOT, decoded));
+
+  // Never serve anything outside the site root
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    return res.end('Forbidden');
+  }
+
+  if (pathname.endsWith('/')) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] });
+      return res.end('Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+// ===== SERVER =====
+
+const server = http.createServer((req, res) => {
+  // A fixed base: the Host header is client input, and a malformed one must not take the server down
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+    return res.end('Bad request');
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url);
+  } else {
+    serveStatic(req, res, url.pathname);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Geniusglider dev server running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Geniusglider IT Services - Local Analytics Collector
+ * Receives the event batches assets/js/analytics.js posts to /api/events (fetch or
+ * sendBeacon), checks each event against the shared schema and appends the valid ones to an
+ * NDJSON file, one event per line, ready for `tail -f` or `jq`. scripts/dev-server.js mounts
+ * the same collector; run this file on its own to collect from a site served elsewhere.
+ *
+ * Usage:
+ *   node scripts/event-collector.js [--port 8787] [--out logs/analytics-events.ndjson]
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const Analytics = require('../assets/js/analytics.js');
+
+const DEFAULT_FILE = path.resolve(__dirname, '..', 'logs', 'analytics-events.ndjson');
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_BATCH = 100;
+
+/**
+ * A collector writing to `file`. record(body) takes a posted batch ({ v, events }) and resolves
+ * { accepted, rejected }, where rejected lists { index, id, problems } for events left out.
+ */
+function createCollector({ file = DEFAULT_FILE } = {}) {
+  async function record(body) {
+    const events = body && Array.isArray(body.events) ? body.events.slice(0, MAX_BATCH) : [];
+    const receivedAt = new Date().toISOString();
+    const lines = [];
+    const rejected = [];
+
+    events.forEach((event, index) => {
+      const problems = Analytics.validateEvent(event);
+      if (problems.length) {
+        rejected.push({ index, id: event && event.id, problems });
+      } else {
+        lines.push(JSON.stringify({ ...event, received_at: receivedAt }));
+      }
+    });
+
+    if (lines.length) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${lines.join('\n')}\n`);
+    }
+    return { accepted: lines.length, rejected };
+  }
+
+  return { file, record };
+}
+
+// ===== STANDALONE SERVER =====
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    // sendBeacon may send text/plain, so the body is read as JSON whatever the Content-Type
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function startServer({ port, file }) {
+  const collector = createCollector({ file });
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(body));
+    };
+
+    // The site is usually served from another port, so allow cross-origin posts
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      return send(400, { success: false, message: 'Malformed request URL' });
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method !== 'POST' || pathname !== '/api/events') {
+      return send(404, { success: false, message: 'POST event batches to /api/events' });
+    }
+
+    try {
+      const result = await collector.record(await readJSON(req));
+      result.rejected.forEach(({ index, problems }) => console.warn(`[events] rejected #${index}: ${problems.join('; ')}`));
+      console.log(`[events] ${result.accepted} event(s) written`);
+      send(202, { success: true, ...result });
+    } catch (error) {
+      send(error.status || 500, { success: false, message: error.message });
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Analytics collector running at http://localhost:${port}/api/events`);
+    console.log(`Writing events to ${collector.file}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const option = (name) => {
+    const index = process.argv.indexOf(name);
+    return index > -1 ? process.argv[index + 1] : undefined;
+  };
+
+  startServer({
+    port: parseInt(option('--port'), 10) || 8787,
+    file: option('--out') ? path.resolve(option('--out')) : DEFAULT_FILE
+  });
+}
+
+module.exports = { DEFAULT_FILE, createCollector };
@@ -0,0 +1,34 @@
+/**
+ * Geniusglider IT Services - Check Helpers
+ * Shared by the scripts/check-*.js scripts: check() prints one ok/FAIL line per assertion, and
+ * runChecks() runs a script's checks (sync or async), prints the tally and exits 1 on any
+ * failure or uncaught error.
+ *
+ *   const { check, runChecks } = require('./lib/check.js');
+ *   runChecks(() => check('adds up', 1 + 1 === 2));
+ */
+
+'use strict';
+
+const results = [];
+
+function check(name, passed, detail) {
+  results.push({ name, passed: Boolean(passed) });
+  console.log(`${passed ? 'ok  ' : 'FAIL'}  ${name}${detail ? `  (${detail})` : ''}`);
+}
+
+function runChecks(checks) {
+  Promise.resolve()
+    .then(checks)
+    .then(() => {
+      const failed = results.filter((result) => !result.passed).length;
+      console.log(`\n${results.length - failed}/${results.length} checks passed`);
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { check, runChecks };
@@ -3,29 +3,66 @@
  * Handles caching, offline functionality, and performance optimization
  */
 
-const CACHE_NAME = 'geniusglider-v1.0.0';
-const STATIC_CACHE_NAME = 'geniusglider-static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'geniusglider-dynamic-v1.0.0';
+// @precache-manifest-start (generated by scripts/build-sw-manifest.js - do not edit by hand)
+const PRECACHE_MANIFEST = {
+  version: 'c52f9779',
+  entries: [
+    { url: '/', revision: '9e6109e049b6', size: 27865 },
+    { url: '/about.html', revision: '4c46ac918f05', size: 27568 },
+    { url: '/ai-solutions.html', revision: 'bbffba2d3c25', size: 13636 },
+    { url: '/assets/css/critical.css', revision: '10431a7db29a', size: 7066 },
+    { url: '/assets/css/styles.css', revision: '523571ab98e8', size: 83403 },
+    { url: '/assets/data/lead-scoring-rules.json', revision: '870a832265fb', size: 3857 },
+    { url: '/assets/images/hero-particles.svg', revision: '902c8b0d7303', size: 11443 },
+    { url: '/assets/images/logo.png', revision: '634dec66d8c1', size: 215288 },
+    { url: '/assets/js/analytics.js', revision: 'af315fed3b86', size: 13670 },
+    { url: '/assets/js/app.js', revision: '31098b6aef8a', size: 21878 },
+    { url: '/assets/js/consent.js', revision: '9bb7d0ddec36', size: 12538 },
+    { url: '/assets/js/email-check.js', revision: '9aeb1171ae26', size: 8119 },
+    { url: '/assets/js/engagement.js', revision: 'c170207eec5a', size: 8442 },
+    { url: '/assets/js/form-conditions.js', revision: '5913ae815a84', size: 6652 },
+    { url: '/assets/js/form-draft.js', revision: '70a5145b9aad', size: 11700 },
+    { url: '/assets/js/form-guard.js', revision: 'e3eee8d5a1e8', size: 13377 },
+    { url: '/assets/js/form-submit.js', revision: '0a172fb04447', size: 11111 },
+    { url: '/assets/js/form-validation.js', revision: 'd84bd558eae6', size: 13885 },
+    { url: '/assets/js/hero-particles.js', revision: '2fe7d1bf40b4', size: 16859 },
+    { url: '/assets/js/lead-scoring.js', revision: '2f24f11a5ae4', size: 6067 },
+    { url: '/assets/js/offline-queue.js', revision: 'f4624bd9d0c1', size: 8035 },
+    { url: '/assets/js/performance-monitor.js', revision: '7079e085787e', size: 25506 },
+    { url: '/assets/js/phone.js', revision: '85943e38223d', size: 13586 },
+    { url: '/assets/js/pow-worker.js', revision: '9bb0c81f4fca', size: 553 },
+    { url: '/assets/js/progressive-form.js', revision: 'db535c41496b', size: 36034 },
+    { url: '/assets/js/roi-engine.js', revision: '6b92b2909159', size: 14833 },
+    { url: '/assets/js/roi-report.js', revision: '452455531fde', size: 9702 },
+    { url: '/assets/js/simple.js', revision: '877d566aec53', size: 16461 },
+    { url: '/assets/js/sw-register.js', revision: '046e7be5aefa', size: 6842 },
+    { url: '/case-studies.html', revision: '79dbaf57bc2e', size: 33884 },
+    { url: '/contact.html', revision: '3561fc2bce81', size: 55585 },
+    { url: '/home.html', revision: '811a64d4b7f3', size: 60744 },
+    { url: '/index.html', revision: '9e6109e049b6', size: 27865 },
+    { url: '/manifest.json', revision: '01a100338748', size: 3263 },
+    { url: '/offline.html', revision: '1276e074bc34', size: 11714 },
+    { url: '/services.html', revision: 'c2463f90a244', size: 21661 }
+  ]
+};
+// @precache-manifest-end
 
-// Files to cache immediately (app shell)
-const STATIC_FILES = [
-  '/',
-  '/index.html',
-  '/assets/css/critical.css',
-  '/assets/css/styles.css',
-  '/assets/js/app.js',
-  '/assets/images/logo.svg',
-  '/assets/images/logo-white.svg',
-  '/manifest.json'
-];
+// Submission adapters shared with the pages, so queued forms replay the way they were sent
+importScripts('/assets/js/form-submit.js');
 
-// Files that can be cached dynamically
-const DYNAMIC_CACHE_PATTERNS = [
-  /^https:\/\/fonts\.googleapis\.com/,
-  /^https:\/\/fonts\.gstatic\.com/,
-  /\.(?:png|jpg|jpeg|svg|gif|webp|avif)$/,
-  /\.(?:css|js)$/
-];
+// Both named after the manifest version, so activate drops the previous deploy's caches
+const STATIC_CACHE_NAME = `geniusglider-static-${PRECACHE_MANIFEST.version}`;
+const DYNAMIC_CACHE_NAME = `geniusglider-dynamic-${PRECACHE_MANIFEST.version}`;
+const API_CACHE_NAME = 'geniusglider-api-v1';
+
+// Page served for navigations that can't be fulfilled from the network or cache
+const OFFLINE_PAGE = '/offline.html';
+
+// Key under which each static cache records the manifest it was populated from
+const PRECACHE_MANIFEST_KEY = '/__precache-manifest.json';
+
+// Files to cache immediately (app shell)
+const STATIC_FILES = PRECACHE_MANIFEST.entries.map((entry) => entry.url);
 
 // Files/routes that should always fetch from network
 const NETWORK_FIRST = [
@@ -34,39 +71,75 @@ const NETWORK_FIRST = [
   '?fresh=true'
 ];
 
-// Maximum age for cached files (in milliseconds)
-const CACHE_MAX_AGE = {
-  static: 30 * 24 * 60 * 60 * 1000, // 30 days
-  dynamic: 7 * 24 * 60 * 60 * 1000,  // 7 days
-  api: 60 * 60 * 1000                 // 1 hour
+// Cache policy - every expiry and size limit is configured here
+const CACHE_POLICY = {
+  // Maximum age for cached files (in milliseconds), measured from when the worker stored them
+  maxAge: {
+    static: 30 * 24 * 60 * 60 * 1000, // 30 days
+    dynamic: 7 * 24 * 60 * 60 * 1000,  // 7 days
+    api: 60 * 60 * 1000                 // 1 hour
+  },
+  // Least-recently-used eviction limits for DYNAMIC_CACHE_NAME
+  dynamic: {
+    maxEntries: 100,
+    maxBytes: 25 * 1024 * 1024          // 25 MB
+  },
+  // Least-recently-used eviction limits for API_CACHE_NAME (GET /api/* responses)
+  api: {
+    maxEntries: 50,
+    maxBytes: 2 * 1024 * 1024           // 2 MB
+  },
+  // Opaque (cross-origin, no-cors) bodies can't be measured, so count them at this size
+  opaqueEntrySize: 256 * 1024,
+  // Minimum time between expiry sweeps triggered from fetch events
+  cleanupInterval: 60 * 60 * 1000       // 1 hour
 };
 
+// IndexedDB database holding per-entry cache metadata (stored-at, last access, size)
+const CACHE_META_DB = 'GeniusgliderCacheMeta';
+
 // ===== SERVICE WORKER EVENTS =====
 
 /**
- * Install Event - Cache static assets
+ * Install Event - Precache the app shell, re-downloading only entries whose revision changed.
+ * An updated worker announces itself to open pages (UPDATE_AVAILABLE) and then waits: it only
+ * takes over once the user accepts the update (SKIP_WAITING message) or every tab running the
+ * old version has closed.
  */
 self.addEventListener('install', (event) => {
   console.log('Service Worker installing...');
 
   event.waitUntil(
-    caches.open(STATIC_CACHE_NAME)
-      .then((cache) => {
-        console.log('Caching static files...');
-        return cache.addAll(STATIC_FILES);
-      })
+    precacheStaticFiles()
       .then(() => {
         console.log('Static files cached successfully');
-        return self.skipWaiting();
+
+        // With a worker already active this is an update: tell open pages a new version is waiting.
+        // The first install has nothing to replace, so it stays quiet.
+        if (self.registration.active) {
+          return notifyClients({ type: 'UPDATE_AVAILABLE' })
+            .catch((error) => console.warn('Could not announce the update:', error));
+        }
       })
       .catch((error) => {
+        // Fail the install so the current worker keeps serving a complete cache
         console.error('Error caching static files:', error);
+        throw error;
       })
   );
 });
 
 /**
- * Activate Event - Clean up old caches
+ * Message Event - Activate the waiting worker when the user accepts the update
+ */
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Activate Event - Clean up old caches and expired entries
  */
 self.addEventListener('activate', (event) => {
   console.log('Service Worker activating...');
@@ -78,6 +151,7 @@ self.addEventListener('activate', (event) => {
           cacheNames.map((cacheName) => {
             if (cacheName !== STATIC_CACHE_NAME &&
                 cacheName !== DYNAMIC_CACHE_NAME &&
+                cacheName !== API_CACHE_NAME &&
                 cacheName.startsWith('geniusglider-')) {
               console.log('Deleting old cache:', cacheName);
               return caches.delete(cacheName);
@@ -85,6 +159,7 @@ self.addEventListener('activate', (event) => {
           })
         );
       })
+      .then(() => runCacheCleanup())
       .then(() => {
         console.log('Service Worker activated');
         return self.clients.claim();
@@ -117,6 +192,20 @@ self.addEventListener('fetch', (event) => {
   } else {
     event.respondWith(staleWhileRevalidateStrategy(request));
   }
+
+  // Sweep expired entries now and then while the worker is busy anyway
+  if (Date.now() - lastCacheCleanup > CACHE_POLICY.cleanupInterval) {
+    event.waitUntil(runCacheCleanup());
+  }
+});
+
+/**
+ * Periodic Background Sync - Sweep expired entries even when no pages are open
+ */
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'cache-cleanup') {
+    event.waitUntil(runCacheCleanup());
+  }
 });
 
 /**
@@ -161,24 +250,357 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
+// ===== PRECACHING =====
+
+/**
+ * Populate the versioned static cache from PRECACHE_MANIFEST, copying unchanged
+ * entries from the previous static cache instead of fetching them again
+ */
+async function precacheStaticFiles() {
+  const cache = await caches.open(STATIC_CACHE_NAME);
+  const previous = await findPreviousPrecache();
+  let reused = 0;
+
+  await Promise.all(PRECACHE_MANIFEST.entries.map(async (entry) => {
+    if (previous && previous.revisions[entry.url] === entry.revision) {
+      const cachedResponse = await previous.cache.match(entry.url);
+      if (cachedResponse) {
+        reused++;
+        await cache.put(entry.url, cachedResponse);
+        return recordCacheEntry(STATIC_CACHE_NAME, entry.url, entry.size);
+      }
+    }
+
+    // Bypass the HTTP cache: assets are served as immutable for a year
+    const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`Precache request for ${entry.url} failed with status ${response.status}`);
+    }
+    await cache.put(entry.url, response);
+    return recordCacheEntry(STATIC_CACHE_NAME, entry.url, entry.size);
+  }));
+
+  await cache.put(PRECACHE_MANIFEST_KEY, new Response(JSON.stringify(PRECACHE_MANIFEST), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+
+  console.log(`Precached ${PRECACHE_MANIFEST.entries.length} files (${reused} reused) for ${PRECACHE_MANIFEST.version}`);
+}
+
+/**
+ * Locate the most recent static cache from an earlier version along with its entry revisions
+ */
+async function findPreviousPrecache() {
+  const cacheNames = await caches.keys();
+
+  for (const cacheName of cacheNames.reverse()) {
+    if (!cacheName.startsWith('geniusglider-static-') || cacheName === STATIC_CACHE_NAME) {
+      continue;
+    }
+
+    const cache = await caches.open(cacheName);
+    const manifestResponse = await cache.match(PRECACHE_MANIFEST_KEY);
+    if (!manifestResponse) {
+      continue;
+    }
+
+    const manifest = await manifestResponse.json();
+    const revisions = {};
+    manifest.entries.forEach((entry) => {
+      revisions[entry.url] = entry.revision;
+    });
+
+    return { cache, revisions };
+  }
+
+  return null;
+}
+
+/**
+ * Determine if request targets a precached file (query strings such as ?v=2 are ignored)
+ */
+function isPrecached(request) {
+  return STATIC_FILES.includes(new URL(request.url).pathname);
+}
+
+// ===== CACHE METADATA & EXPIRY =====
+
+let cacheMetaDB = null;
+let lastCacheCleanup = 0;
+// In-flight LRU enforcement per cache name, so a busy cache never blocks another cache's trim
+const limitEnforcement = new Map();
+
+/**
+ * Open the cache metadata database (one record per cached URL per cache)
+ */
+function openCacheMetaDB() {
+  if (!cacheMetaDB) {
+    cacheMetaDB = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_META_DB, 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const store = db.createObjectStore('entries', { keyPath: 'key' });
+        store.createIndex('cacheName', 'cacheName', { unique: false });
+      };
+    }).catch((error) => {
+      cacheMetaDB = null;
+      throw error;
+    });
+  }
+  return cacheMetaDB;
+}
+
+/**
+ * Run a single request against the metadata store
+ */
+async function cacheMetaRequest(mode, operation) {
+  const db = await openCacheMetaDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['entries'], mode);
+    const request = operation(transaction.objectStore('entries'));
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * URL under which a request is cached; precached files ignore their query string
+ */
+function cacheKeyFor(request) {
+  const url = new URL(typeof request === 'string' ? request : request.url, self.location.origin);
+  if (STATIC_FILES.includes(url.pathname)) {
+    url.search = '';
+  }
+  return url.href;
+}
+
+function cacheMetaKey(cacheName, url) {
+  return `${cacheName}|${cacheKeyFor(url)}`;
+}
+
+/**
+ * Record when an entry was stored; this, not the origin Date header, drives expiry
+ */
+function recordCacheEntry(cacheName, url, size) {
+  const now = Date.now();
+  const key = cacheMetaKey(cacheName, url);
+
+  return cacheMetaRequest('readwrite', (store) => store.put({
+    key,
+    cacheName,
+    url: cacheKeyFor(url),
+    storedAt: now,
+    lastAccessed: now,
+    size
+  }));
+}
+
+function getCacheEntry(cacheName, url) {
+  return cacheMetaRequest('readonly', (store) => store.get(cacheMetaKey(cacheName, url)));
+}
+
+function deleteCacheEntry(key) {
+  return cacheMetaRequest('readwrite', (store) => store.delete(key));
+}
+
+function getAllCacheEntries() {
+  return cacheMetaRequest('readonly', (store) => store.getAll());
+}
+
+/**
+ * Mark an entry as recently used for LRU eviction
+ */
+async function touchCacheEntry(cacheName, url) {
+  const entry = await getCacheEntry(cacheName, url);
+  if (entry) {
+    entry.lastAccessed = Date.now();
+    await cacheMetaRequest('readwrite', (store) => store.put(entry));
+  }
+}
+
+/**
+ * Size of a response body in bytes (estimated for opaque responses)
+ */
+async function measureResponse(response) {
+  if (response.type === 'opaque') {
+    return CACHE_POLICY.opaqueEntrySize;
+  }
+
+  const contentLength = parseInt(response.headers.get('content-length'), 10);
+  if (contentLength >= 0) {
+    return contentLength;
+  }
+
+  const body = await response.clone().blob();
+  return body.size;
+}
+
+/**
+ * Store a response along with its metadata, then keep the dynamic cache within its limits
+ */
+async function storeInCache(cacheName, request, response) {
+  const key = cacheKeyFor(request);
+  const size = await measureResponse(response);
+  const cache = await caches.open(cacheName);
+
+  await cache.put(key, response);
+  await recordCacheEntry(cacheName, key, size);
+
+  const limits = getCacheLimits(cacheName);
+  if (limits && !limitEnforcement.has(cacheName)) {
+    limitEnforcement.set(cacheName, enforceCacheLimits(cacheName, limits)
+      .finally(() => {
+        limitEnforcement.delete(cacheName);
+      }));
+  }
+}
+
+/**
+ * LRU limits for a runtime cache (the versioned static cache has none)
+ */
+function getCacheLimits(cacheName) {
+  if (cacheName === DYNAMIC_CACHE_NAME) {
+    return CACHE_POLICY.dynamic;
+  } else if (cacheName === API_CACHE_NAME) {
+    return CACHE_POLICY.api;
+  }
+  return null;
+}
+
+/**
+ * Look up a cached response; with `fresh` set, expired entries are treated as missing
+ */
+async function matchCache(cacheName, request, { fresh = false } = {}) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(cacheKeyFor(request));
+
+  if (!cachedResponse || (fresh && await isCacheExpired(cacheName, request))) {
+    return null;
+  }
+
+  touchCacheEntry(cacheName, request).catch(() => {});
+  return cachedResponse;
+}
+
+/**
+ * Maximum age for a URL based on its type
+ */
+function getMaxAge(url) {
+  if (url.includes('/api/')) {
+    return CACHE_POLICY.maxAge.api;
+  } else if (isStaticAsset({ url })) {
+    return CACHE_POLICY.maxAge.static;
+  }
+  return CACHE_POLICY.maxAge.dynamic;
+}
+
+/**
+ * Check if a cached entry has expired, based on the stored-at time the worker recorded.
+ * Entries without metadata (cached by an older worker) count as expired.
+ */
+async function isCacheExpired(cacheName, request) {
+  const entry = await getCacheEntry(cacheName, request).catch(() => null);
+  if (!entry) {
+    return true;
+  }
+  return Date.now() - entry.storedAt > getMaxAge(entry.url);
+}
+
+/**
+ * Evict least-recently-used entries until the cache fits within maxEntries and maxBytes
+ */
+async function enforceCacheLimits(cacheName, { maxEntries, maxBytes }) {
+  const entries = (await getAllCacheEntries())
+    .filter((entry) => entry.cacheName === cacheName)
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let count = entries.length;
+  const cache = await caches.open(cacheName);
+
+  for (const entry of entries) {
+    if (count <= maxEntries && totalBytes <= maxBytes) {
+      break;
+    }
+
+    await cache.delete(entry.url);
+    await deleteCacheEntry(entry.key);
+    count--;
+    totalBytes -= entry.size;
+  }
+}
+
+/**
+ * Remove expired runtime entries, untracked leftovers and metadata for deleted caches.
+ * Precached files are never removed here: they are replaced when the manifest changes.
+ */
+async function runCacheCleanup() {
+  lastCacheCleanup = Date.now();
+
+  try {
+    const cacheNames = await caches.keys();
+    const entries = await getAllCacheEntries();
+    const tracked = new Set();
+
+    for (const entry of entries) {
+      if (!cacheNames.includes(entry.cacheName)) {
+        await deleteCacheEntry(entry.key);
+        continue;
+      }
+
+      const isExpired = Date.now() - entry.storedAt > getMaxAge(entry.url);
+      const isPrecachedEntry = entry.cacheName === STATIC_CACHE_NAME && isPrecached({ url: entry.url });
+
+      if (isExpired && !isPrecachedEntry) {
+        const cache = await caches.open(entry.cacheName);
+        await cache.delete(entry.url);
+        await deleteCacheEntry(entry.key);
+      } else {
+        tracked.add(entry.key);
+      }
+    }
+
+    // Drop runtime entries the metadata store doesn't know about (e.g. cached by an older worker)
+    for (const cacheName of [DYNAMIC_CACHE_NAME, API_CACHE_NAME]) {
+      const cache = await caches.open(cacheName);
+      for (const request of await cache.keys()) {
+        if (!tracked.has(cacheMetaKey(cacheName, request.url))) {
+          await cache.delete(request);
+        }
+      }
+
+      await enforceCacheLimits(cacheName, getCacheLimits(cacheName));
+    }
+  } catch (error) {
+    console.error('Cache cleanup failed:', error);
+  }
+}
+
 // ===== CACHING STRATEGIES =====
 
 /**
  * Cache First Strategy - For static assets
  */
 async function cacheFirstStrategy(request) {
-  try {
-    const cachedResponse = await caches.match(request);
+  const cacheName = getCacheName(request);
 
-    if (cachedResponse && !isCacheExpired(cachedResponse)) {
+  try {
+    const cachedResponse = await matchCache(cacheName, request, { fresh: true });
+    if (cachedResponse) {
       return cachedResponse;
     }
 
     const networkResponse = await fetch(request);
 
     if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(getCacheName(request));
-      cache.put(request, networkResponse.clone());
+      storeInCache(cacheName, request, networkResponse.clone())
+        .catch((error) => console.error('Caching failed:', error));
     }
 
     return networkResponse;
@@ -186,14 +608,13 @@ async function cacheFirstStrategy(request) {
     console.error('Cache first strategy failed:', error);
 
     // Try to return cached version even if expired
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchCache(cacheName, request);
     if (cachedResponse) {
       return cachedResponse;
     }
 
-    // Return offline page for navigation requests
     if (request.mode === 'navigate') {
-      return caches.match('/offline.html') || new Response('Offline');
+      return offlineFallback();
     }
 
     throw error;
@@ -204,23 +625,31 @@ async function cacheFirstStrategy(request) {
  * Network First Strategy - For API calls and dynamic content
  */
 async function networkFirstStrategy(request) {
+  const cacheName = isApiRequest(request) ? API_CACHE_NAME : DYNAMIC_CACHE_NAME;
+
   try {
     const networkResponse = await fetch(request);
 
     if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(DYNAMIC_CACHE_NAME);
-      cache.put(request, networkResponse.clone());
+      storeInCache(cacheName, request, networkResponse.clone())
+        .catch((error) => console.error('Caching failed:', error));
     }
 
     return networkResponse;
   } catch (error) {
     console.error('Network first strategy failed:', error);
 
-    const cachedResponse = await caches.match(request);
+    // Only serve runtime entries within their max age; precached pages are always acceptable
+    const cachedResponse = await matchCache(cacheName, request, { fresh: true }) ||
+                           await matchCache(STATIC_CACHE_NAME, request);
     if (cachedResponse) {
       return cachedResponse;
     }
 
+    if (request.mode === 'navigate') {
+      return offlineFallback();
+    }
+
     throw error;
   }
 }
@@ -229,14 +658,14 @@ async function networkFirstStrategy(request) {
  * Stale While Revalidate Strategy - For regular pages
  */
 async function staleWhileRevalidateStrategy(request) {
-  const cache = await caches.open(DYNAMIC_CACHE_NAME);
-  const cachedResponse = await cache.match(request);
+  const cachedResponse = await matchCache(DYNAMIC_CACHE_NAME, request);
 
   // Fetch from network in background
   const fetchPromise = fetch(request)
     .then((networkResponse) => {
       if (networkResponse && networkResponse.status === 200) {
-        cache.put(request, networkResponse.clone());
+        storeInCache(DYNAMIC_CACHE_NAME, request, networkResponse.clone())
+          .catch((error) => console.error('Caching failed:', error));
       }
       return networkResponse;
     })
@@ -244,14 +673,46 @@ async function staleWhileRevalidateStrategy(request) {
       console.error('Network request failed:', error);
     });
 
-  // Return cached version immediately if available
-  if (cachedResponse && !isCacheExpired(cachedResponse)) {
-    fetchPromise; // Continue background update
+  // Return cached version immediately if available (the fetch keeps updating the cache)
+  if (cachedResponse && !(await isCacheExpired(DYNAMIC_CACHE_NAME, request))) {
     return cachedResponse;
   }
 
   // Wait for network response if no cache or expired
-  return fetchPromise || cachedResponse || new Response('Offline');
+  const networkResponse = await fetchPromise;
+  if (networkResponse) {
+    return networkResponse;
+  }
+
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+
+  if (request.mode === 'navigate') {
+    return offlineFallback();
+  }
+
+  return new Response('Offline', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+/**
+ * Offline fallback for navigation requests
+ */
+async function offlineFallback() {
+  const offlineResponse = await caches.match(OFFLINE_PAGE);
+  if (offlineResponse) {
+    return offlineResponse;
+  }
+
+  return new Response('<h1>You are offline</h1><p>Please check your connection and try again.</p>', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
 }
 
 // ===== UTILITY FUNCTIONS =====
@@ -268,71 +729,79 @@ function shouldUseNetworkFirst(request) {
   });
 }
 
+/**
+ * Determine if request targets the site's own API
+ */
+function isApiRequest(request) {
+  return new URL(request.url).pathname.startsWith('/api/');
+}
+
 /**
  * Determine if request is for a static asset
  */
 function isStaticAsset(request) {
-  return STATIC_FILES.includes(new URL(request.url).pathname) ||
+  return isPrecached(request) ||
          request.url.includes('/assets/');
 }
 
 /**
- * Get appropriate cache name for request
+ * Get appropriate cache name for request. Only precached files live in the versioned static
+ * cache; other assets (most images) go to the LRU-limited dynamic cache when first fetched.
  */
 function getCacheName(request) {
-  if (isStaticAsset(request)) {
+  if (isPrecached(request)) {
     return STATIC_CACHE_NAME;
   }
   return DYNAMIC_CACHE_NAME;
 }
 
 /**
- * Check if cached response has expired
+ * Handle offline form submissions queued by the page (see assets/js/offline-queue.js), each
+ * through the adapter it was queued with. Records from before adapters were stored are JSON.
+ * Rejects while any submission is still undelivered so the browser retries the sync.
  */
-function isCacheExpired(response) {
-  const cachedDate = new Date(response.headers.get('date') || Date.now());
-  const now = new Date();
-  const age = now - cachedDate;
+async function handleOfflineFormSubmission() {
+  const db = await openDB();
+  const offlineForms = await getOfflineForms(db);
+  let pending = 0;
+
+  for (const form of offlineForms) {
+    // Records queued before the adapter was stored with them were JSON posts to the consultation API
+    const target = form.adapter ?
+      { adapter: form.adapter, endpoint: form.endpoint } :
+      { adapter: 'json', endpoint: form.endpoint || '/api/consultation' };
+
+    try {
+      // The browser retries the whole sync with its own backoff, so one attempt each
+      await self.GeniusgliderSubmit.send(form.data, { ...target, retries: 0 });
+
+      await deleteOfflineForm(db, form.id);
+      await notifyClients({ type: 'CONSULTATION_SYNCED', id: form.id, source: form.source });
+      console.log('Offline form submitted successfully');
+    } catch (error) {
+      if (error.retryable) {
+        pending++;
+        console.error('Failed to submit offline form:', error.message);
+      } else {
+        // The server rejected the payload; replaying it would never succeed
+        await deleteOfflineForm(db, form.id);
+        await notifyClients({ type: 'CONSULTATION_REJECTED', id: form.id, source: form.source, message: error.message });
+        console.warn('Offline form rejected:', error.status, error.message);
+      }
+    }
+  }
 
-  // Use different max ages based on content type
-  if (response.url.includes('/api/')) {
-    return age > CACHE_MAX_AGE.api;
-  } else if (isStaticAsset({ url: response.url })) {
-    return age > CACHE_MAX_AGE.static;
-  } else {
-    return age > CACHE_MAX_AGE.dynamic;
+  if (pending > 0) {
+    throw new Error(`${pending} offline form(s) still pending`);
   }
 }
 
 /**
- * Handle offline form submissions
+ * Post a message to every open window of the site
  */
-async function handleOfflineFormSubmission() {
-  try {
-    const db = await openDB();
-    const offlineForms = await getOfflineForms(db);
-
-    for (const form of offlineForms) {
-      try {
-        const response = await fetch('/api/consultation', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(form.data)
-        });
-
-        if (response.ok) {
-          await deleteOfflineForm(db, form.id);
-          console.log('Offline form submitted successfully');
-        }
-      } catch (error) {
-        console.error('Failed to submit offline form:', error);
-      }
-    }
-  } catch (error) {
-    console.error('Error handling offline forms:', error);
-  }
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windowClients.forEach((client) => client.postMessage(message));
 }
 
 /**